@@ -0,0 +1,20 @@
+// public/tile-sw.js
+// Serves map tiles saved with "Save area offline" (src/lib/tileCache.js)
+// from the cache; everything else goes to the network as usual.
+const TILE_CACHE_NAME = 'map-tiles-v1'
+
+self.addEventListener('install', () => self.skipWaiting())
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim())
+})
+
+self.addEventListener('fetch', (event) => {
+  if (event.request.method !== 'GET' || event.request.destination !== 'image') return
+
+  event.respondWith(
+    caches.open(TILE_CACHE_NAME)
+      .then(cache => cache.match(event.request.url))
+      .then(cached => cached || fetch(event.request))
+  )
+})
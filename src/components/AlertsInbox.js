@@ -0,0 +1,426 @@
+// src/components/AlertsInbox.js
+import { useState, useEffect } from 'react'
+import toast from 'react-hot-toast'
+import { format } from 'date-fns'
+import { supabase } from '../lib/supabase'
+import {
+  BellAlertIcon,
+  PlusIcon,
+  TrashIcon,
+  CheckIcon
+} from '@heroicons/react/24/outline'
+
+// Threshold meaning per rule type (see src/lib/alerts.js). Pair rules compare
+// two devices the user can see, not necessarily their own.
+export const ALERT_RULE_TYPES = {
+  offline: { label: 'Offline for more than', unit: 'min' },
+  speed: { label: 'Speed above', unit: 'km/h' },
+  battery: { label: 'Battery below', unit: '%' },
+  inactivity: { label: 'No movement for', unit: 'h' },
+  proximity: { label: 'Closer than', unit: 'm', pair: true },
+  separation: { label: 'Further apart than', unit: 'm', pair: true }
+}
+
+const RULE_DEFAULTS = { offline: 15, speed: 100, battery: 15, inactivity: 6, proximity: 200, separation: 1000 }
+
+// Triggered alerts plus the rules that produce them. `refreshKey` changes
+// whenever a new alert arrives over the socket.
+export default function AlertsInbox({ user, refreshKey = 0, onUnreadChange = null }) {
+  const [alerts, setAlerts] = useState([])
+  const [rules, setRules] = useState([])
+  const [devices, setDevices] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  // New rule form
+  const [ruleType, setRuleType] = useState('offline')
+  const [threshold, setThreshold] = useState(RULE_DEFAULTS.offline)
+  const [ruleDeviceId, setRuleDeviceId] = useState('')
+  const [otherDeviceId, setOtherDeviceId] = useState('')
+  const [activeFrom, setActiveFrom] = useState('')
+  const [activeTo, setActiveTo] = useState('')
+  const [cooldownMinutes, setCooldownMinutes] = useState(30)
+
+  useEffect(() => {
+    if (user) {
+      fetchRulesAndDevices()
+    }
+  }, [user])
+
+  useEffect(() => {
+    if (user) {
+      fetchAlerts()
+    }
+  }, [user, refreshKey])
+
+  const fetchAlerts = async () => {
+    const { data, error } = await supabase
+      .from('alerts')
+      .select('*')
+      .eq('user_id', user.id)
+      .order('triggered_at', { ascending: false })
+      .limit(100)
+
+    if (error) {
+      console.error('Error fetching alerts:', error)
+      toast.error('Error loading alerts: ' + error.message)
+    } else {
+      setAlerts(data || [])
+      if (onUnreadChange) onUnreadChange((data || []).filter(alert => !alert.read_at).length)
+    }
+
+    setLoading(false)
+  }
+
+  // Devices come from the server, which applies the circle rules
+  const fetchVisibleDevices = async () => {
+    const { data: { session } } = await supabase.auth.getSession()
+    const response = await fetch('/api/devices', {
+      headers: { Authorization: `Bearer ${session?.access_token}` }
+    })
+    const body = await response.json()
+
+    if (!response.ok) {
+      throw new Error(body.error || `Request failed (${response.status})`)
+    }
+
+    return body.devices
+  }
+
+  const fetchRulesAndDevices = async () => {
+    const [rulesResult, visibleDevices] = await Promise.all([
+      supabase
+        .from('alert_rules')
+        .select('*')
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: true }),
+      fetchVisibleDevices().catch(error => {
+        console.error('Error fetching devices:', error)
+        toast.error('Error loading devices: ' + error.message)
+        return []
+      })
+    ])
+
+    if (rulesResult.error) {
+      console.error('Error fetching alert rules:', rulesResult.error)
+    } else {
+      setRules(rulesResult.data || [])
+    }
+
+    setDevices([...visibleDevices].sort((a, b) => a.device_name.localeCompare(b.device_name)))
+  }
+
+  const ownDevices = devices.filter(device => device.user_id === user.id)
+  const isPairRule = Boolean(ALERT_RULE_TYPES[ruleType].pair)
+
+  const deviceName = (deviceId) =>
+    devices.find(device => device.id === deviceId)?.device_name || 'Unknown device'
+
+  const ruleTarget = (rule) => {
+    if (rule.other_device_id) return `${deviceName(rule.device_id)} and ${deviceName(rule.other_device_id)}`
+    return rule.device_id ? deviceName(rule.device_id) : 'All my devices'
+  }
+
+  const describeRule = (rule) =>
+    `${ALERT_RULE_TYPES[rule.rule_type].label} ${rule.threshold} ${ALERT_RULE_TYPES[rule.rule_type].unit}`
+
+  const markAsRead = async (alertIds) => {
+    if (alertIds.length === 0) return
+
+    const { error } = await supabase
+      .from('alerts')
+      .update({ read_at: new Date().toISOString() })
+      .in('id', alertIds)
+
+    if (error) {
+      console.error('Error marking alerts as read:', error)
+      toast.error('Error updating alerts: ' + error.message)
+      return
+    }
+
+    fetchAlerts()
+  }
+
+  const changeRuleType = (type) => {
+    setRuleType(type)
+    setThreshold(RULE_DEFAULTS[type])
+    // "All my devices" does not apply to pairs, and other people's devices only to pairs
+    setRuleDeviceId('')
+    setOtherDeviceId('')
+  }
+
+  const createRule = async (e) => {
+    e.preventDefault()
+
+    if (!(Number(threshold) > 0)) {
+      toast.error('Please enter a threshold above 0')
+      return
+    }
+    if (Boolean(activeFrom) !== Boolean(activeTo)) {
+      toast.error('Please set both ends of the time window, or neither')
+      return
+    }
+    if (isPairRule && (!ruleDeviceId || !otherDeviceId || ruleDeviceId === otherDeviceId)) {
+      toast.error('Please choose two different devices')
+      return
+    }
+
+    const target = ruleTarget({ device_id: ruleDeviceId || null, other_device_id: otherDeviceId || null })
+
+    const { error } = await supabase
+      .from('alert_rules')
+      .insert({
+        user_id: user.id,
+        device_id: ruleDeviceId || null,
+        other_device_id: isPairRule ? otherDeviceId : null,
+        name: `${target}: ${ALERT_RULE_TYPES[ruleType].label.toLowerCase()} ${threshold} ${ALERT_RULE_TYPES[ruleType].unit}`,
+        rule_type: ruleType,
+        threshold: Number(threshold),
+        active_from: activeFrom || null,
+        active_to: activeTo || null,
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        cooldown_minutes: Number(cooldownMinutes) || 0
+      })
+
+    if (error) {
+      console.error('Error creating alert rule:', error)
+      toast.error('Error creating rule: ' + error.message)
+      return
+    }
+
+    toast.success('Alert rule created')
+    setActiveFrom('')
+    setActiveTo('')
+    fetchRulesAndDevices()
+  }
+
+  const toggleRule = async (rule) => {
+    const { error } = await supabase
+      .from('alert_rules')
+      .update({ enabled: !rule.enabled, updated_at: new Date().toISOString() })
+      .eq('id', rule.id)
+
+    if (error) {
+      console.error('Error updating alert rule:', error)
+      toast.error('Error updating rule: ' + error.message)
+      return
+    }
+
+    setRules(prev => prev.map(r => r.id === rule.id ? { ...r, enabled: !rule.enabled } : r))
+  }
+
+  const deleteRule = async (rule) => {
+    if (!confirm(`Delete the rule "${rule.name}" and its alerts?`)) return
+
+    const { error } = await supabase
+      .from('alert_rules')
+      .delete()
+      .eq('id', rule.id)
+
+    if (error) {
+      console.error('Error deleting alert rule:', error)
+      toast.error('Error deleting rule: ' + error.message)
+      return
+    }
+
+    toast.success('Rule deleted')
+    setRules(prev => prev.filter(r => r.id !== rule.id))
+    fetchAlerts()
+  }
+
+  if (loading) {
+    return (
+      <div className="text-center py-8 text-gray-500 text-sm">Loading alerts...</div>
+    )
+  }
+
+  const unreadIds = alerts.filter(alert => !alert.read_at).map(alert => alert.id)
+
+  return (
+    <div className="space-y-4 sm:space-y-6">
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center space-y-3 sm:space-y-0">
+        <h2 className="text-lg sm:text-xl font-semibold">Alerts</h2>
+        {unreadIds.length > 0 && (
+          <button
+            onClick={() => markAsRead(unreadIds)}
+            className="bg-gray-100 text-gray-700 px-3 py-2 rounded-md text-sm hover:bg-gray-200 flex items-center self-start"
+          >
+            <CheckIcon className="w-4 h-4 mr-1" />
+            Mark all as read
+          </button>
+        )}
+      </div>
+
+      {/* Inbox */}
+      <div className="bg-white rounded-lg shadow-md border divide-y divide-gray-200">
+        {alerts.map(alert => (
+          <div
+            key={alert.id}
+            className={`p-4 flex items-start justify-between space-x-3 ${alert.read_at ? '' : 'bg-red-50'}`}
+          >
+            <div className="flex items-start space-x-3 min-w-0">
+              <BellAlertIcon className={`w-5 h-5 flex-shrink-0 ${alert.read_at ? 'text-gray-400' : 'text-red-500'}`} />
+              <div className="min-w-0">
+                <p className="text-sm text-gray-900">{alert.message}</p>
+                <p className="text-xs text-gray-500">
+                  {format(new Date(alert.triggered_at), 'MMM d, yyyy HH:mm')}
+                </p>
+              </div>
+            </div>
+            {!alert.read_at && (
+              <button
+                onClick={() => markAsRead([alert.id])}
+                className="p-1 hover:bg-gray-200 rounded flex-shrink-0"
+                title="Mark as read"
+              >
+                <CheckIcon className="w-4 h-4 text-gray-500" />
+              </button>
+            )}
+          </div>
+        ))}
+
+        {alerts.length === 0 && (
+          <div className="text-center py-8 sm:py-12">
+            <BellAlertIcon className="mx-auto h-10 w-10 sm:h-12 sm:w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No alerts yet</h3>
+            <p className="mt-1 text-sm text-gray-500">Alerts appear here when one of your rules is triggered.</p>
+          </div>
+        )}
+      </div>
+
+      {/* Rules */}
+      <div className="bg-white p-4 sm:p-6 rounded-lg shadow-md border space-y-4">
+        <h3 className="text-base sm:text-lg font-medium">Rules</h3>
+
+        <form onSubmit={createRule} className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 text-sm">
+          {isPairRule ? (
+            <div className="flex items-center space-x-2">
+              {[[ruleDeviceId, setRuleDeviceId], [otherDeviceId, setOtherDeviceId]].map(([value, setValue], i) => (
+                <select
+                  key={i}
+                  value={value}
+                  onChange={(e) => setValue(e.target.value)}
+                  className="flex-1 min-w-0 border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">{i === 0 ? 'Device...' : 'and device...'}</option>
+                  {devices.map(device => (
+                    <option key={device.id} value={device.id}>{device.device_name}</option>
+                  ))}
+                </select>
+              ))}
+            </div>
+          ) : (
+            <select
+              value={ruleDeviceId}
+              onChange={(e) => setRuleDeviceId(e.target.value)}
+              className="border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">All my devices</option>
+              {ownDevices.map(device => (
+                <option key={device.id} value={device.id}>{device.device_name}</option>
+              ))}
+            </select>
+          )}
+
+          <div className="flex space-x-2">
+            <select
+              value={ruleType}
+              onChange={(e) => changeRuleType(e.target.value)}
+              className="flex-1 border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {Object.entries(ALERT_RULE_TYPES).map(([type, { label }]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="1"
+              value={threshold}
+              onChange={(e) => setThreshold(e.target.value)}
+              className="w-20 border border-gray-300 rounded-md px-2 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <span className="self-center text-gray-500">{ALERT_RULE_TYPES[ruleType].unit}</span>
+          </div>
+
+          <div className="flex items-center space-x-2">
+            <span className="text-gray-500 flex-shrink-0">Only between</span>
+            <input
+              type="time"
+              value={activeFrom}
+              onChange={(e) => setActiveFrom(e.target.value)}
+              className="flex-1 border border-gray-300 rounded-md px-2 py-2"
+            />
+            <span className="text-gray-500">and</span>
+            <input
+              type="time"
+              value={activeTo}
+              onChange={(e) => setActiveTo(e.target.value)}
+              className="flex-1 border border-gray-300 rounded-md px-2 py-2"
+            />
+          </div>
+
+          <div className="flex items-center space-x-2">
+            <span className="text-gray-500 flex-shrink-0">Repeat at most every</span>
+            <input
+              type="number"
+              min="0"
+              value={cooldownMinutes}
+              onChange={(e) => setCooldownMinutes(e.target.value)}
+              className="w-20 border border-gray-300 rounded-md px-2 py-2"
+            />
+            <span className="text-gray-500">min</span>
+          </div>
+
+          <button
+            type="submit"
+            className="bg-blue-600 text-white px-3 py-2 rounded-md hover:bg-blue-700 flex items-center justify-center"
+          >
+            <PlusIcon className="w-4 h-4 mr-1" />
+            Add rule
+          </button>
+        </form>
+
+        <ul className="divide-y divide-gray-200">
+          {rules.map(rule => (
+            <li key={rule.id} className="py-3 flex items-center justify-between space-x-3">
+              <div className={`min-w-0 ${rule.enabled ? '' : 'opacity-50'}`}>
+                <p className="text-sm font-medium text-gray-900 truncate">
+                  {ruleTarget(rule)}: {describeRule(rule)}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {rule.active_from && rule.active_to
+                    ? `Between ${rule.active_from.slice(0, 5)} and ${rule.active_to.slice(0, 5)}`
+                    : 'Any time'}
+                  {' • '}repeats after {rule.cooldown_minutes} min
+                </p>
+              </div>
+              <div className="flex items-center space-x-2 flex-shrink-0">
+                <label className="flex items-center text-xs text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    onChange={() => toggleRule(rule)}
+                    className="mr-1"
+                  />
+                  On
+                </label>
+                <button
+                  onClick={() => deleteRule(rule)}
+                  className="p-1 hover:bg-red-100 rounded"
+                  title="Delete rule"
+                >
+                  <TrashIcon className="w-4 h-4 text-red-500" />
+                </button>
+              </div>
+            </li>
+          ))}
+
+          {rules.length === 0 && (
+            <li className="py-3 text-sm text-gray-500">
+              No rules yet. For example: offline for more than 15 minutes, no movement for 6 hours between 08:00 and 20:00, or two devices closer than 200 m.
+            </li>
+          )}
+        </ul>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,29 @@
+// src/components/Avatar.js
+
+const SIZES = {
+  sm: 'w-8 h-8 text-xs',
+  md: 'w-10 h-10 sm:w-12 sm:h-12 text-sm sm:text-base',
+  lg: 'w-20 h-20 text-2xl'
+}
+
+// Profile picture, or the first letter of the username on a colored circle
+export default function Avatar({ url, name, size = 'md' }) {
+  if (url) {
+    return (
+      // eslint-disable-next-line @next/next/no-img-element
+      <img
+        src={url}
+        alt={name || 'Avatar'}
+        className={`${SIZES[size]} rounded-full object-cover flex-shrink-0 bg-gray-200`}
+      />
+    )
+  }
+
+  return (
+    <div className={`${SIZES[size]} bg-blue-500 rounded-full flex items-center justify-center flex-shrink-0`}>
+      <span className="text-white font-medium">
+        {name?.charAt(0)?.toUpperCase() || '?'}
+      </span>
+    </div>
+  )
+}
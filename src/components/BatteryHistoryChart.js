@@ -0,0 +1,87 @@
+// src/components/BatteryHistoryChart.js
+import { useState, useEffect } from 'react'
+import { format } from 'date-fns'
+import { supabase } from '../lib/supabase'
+
+const WIDTH = 240
+const HEIGHT = 60
+
+// Battery level of a device over the last `hours`, drawn as an SVG line.
+// Stretches while charging are drawn in green.
+export default function BatteryHistoryChart({ deviceId, hours = 24 }) {
+  const [readings, setReadings] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+
+  useEffect(() => {
+    fetchBatteryHistory()
+  }, [deviceId, hours])
+
+  const fetchBatteryHistory = async () => {
+    setIsLoading(true)
+
+    const { data, error } = await supabase
+      .from('battery_history')
+      .select('level, is_charging, timestamp')
+      .eq('device_id', deviceId)
+      .gte('timestamp', new Date(Date.now() - hours * 60 * 60 * 1000).toISOString())
+      .order('timestamp', { ascending: true })
+      .limit(2000)
+
+    if (error) {
+      console.error('Error fetching battery history:', error)
+    }
+
+    setReadings(data || [])
+    setIsLoading(false)
+  }
+
+  if (isLoading) {
+    return <div className="text-xs text-gray-500">Loading battery history...</div>
+  }
+
+  if (readings.length === 0) {
+    return <div className="text-xs text-gray-500">No battery readings in the last {hours} hours</div>
+  }
+
+  const end = Date.now()
+  const start = end - hours * 60 * 60 * 1000
+  const toX = (timestamp) => ((new Date(timestamp).getTime() - start) / (end - start)) * WIDTH
+  const toY = (level) => HEIGHT - (level / 100) * HEIGHT
+
+  // Each reading holds until the next one (or now), so draw steps
+  const steps = readings.map((reading, i) => {
+    const x1 = toX(reading.timestamp)
+    const x2 = i < readings.length - 1 ? toX(readings[i + 1].timestamp) : WIDTH
+    const y = toY(reading.level)
+    const nextY = i < readings.length - 1 ? toY(readings[i + 1].level) : y
+    return { key: reading.timestamp, path: `M${x1},${y} H${x2} V${nextY}`, charging: reading.is_charging }
+  })
+
+  const latest = readings[readings.length - 1]
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-16 bg-white border rounded">
+        {[20, 50, 80].map(level => (
+          <line key={level} x1={0} x2={WIDTH} y1={toY(level)} y2={toY(level)} stroke="#f3f4f6" strokeWidth={1} />
+        ))}
+        {steps.map(step => (
+          <path
+            key={step.key}
+            d={step.path}
+            fill="none"
+            stroke={step.charging ? '#16a34a' : '#2563eb'}
+            strokeWidth={2}
+          />
+        ))}
+      </svg>
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>{format(new Date(start), 'HH:mm')}</span>
+        <span>
+          {latest.level}%{latest.is_charging ? ' ⚡ charging' : ''}
+        </span>
+        <span>now</span>
+      </div>
+    </div>
+  )
+}
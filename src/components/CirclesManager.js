@@ -0,0 +1,379 @@
+// src/components/CirclesManager.js
+import { useState, useEffect } from 'react'
+import toast from 'react-hot-toast'
+import { supabase } from '../lib/supabase'
+import {
+  UserGroupIcon,
+  UserPlusIcon,
+  PlusIcon,
+  TrashIcon,
+  ArrowRightOnRectangleIcon
+} from '@heroicons/react/24/outline'
+
+export default function CirclesManager({ user, onMembershipChange = null }) {
+  const [circles, setCircles] = useState([])
+  const [invitations, setInvitations] = useState([])
+  const [profiles, setProfiles] = useState({})
+  const [newCircleName, setNewCircleName] = useState('')
+  const [inviteUsernames, setInviteUsernames] = useState({})
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    if (user) {
+      fetchCircles()
+    }
+  }, [user])
+
+  const fetchCircles = async () => {
+    try {
+      const { data: memberships, error } = await supabase
+        .from('circle_members')
+        .select('circle_id, role, status, circles(id, name, owner_id, created_at)')
+        .eq('user_id', user.id)
+
+      if (error) {
+        console.error('Error fetching circles:', error)
+        toast.error('Error loading circles: ' + error.message)
+        return
+      }
+
+      const accepted = (memberships || []).filter(m => m.status === 'accepted' && m.circles)
+      const pending = (memberships || []).filter(m => m.status === 'pending' && m.circles)
+
+      // Load everyone in my circles plus their profiles
+      const circleIds = accepted.map(m => m.circle_id)
+      let members = []
+      if (circleIds.length > 0) {
+        const { data, error: membersError } = await supabase
+          .from('circle_members')
+          .select('circle_id, user_id, role, status')
+          .in('circle_id', circleIds)
+
+        if (membersError) {
+          console.error('Error fetching circle members:', membersError)
+        } else {
+          members = data || []
+        }
+      }
+
+      const userIds = [...new Set([
+        ...members.map(m => m.user_id),
+        ...pending.map(m => m.circles.owner_id)
+      ])]
+
+      if (userIds.length > 0) {
+        const { data: profileRows } = await supabase
+          .from('user_profiles')
+          .select('id, username, full_name')
+          .in('id', userIds)
+
+        const byId = {}
+        for (const profile of profileRows || []) {
+          byId[profile.id] = profile
+        }
+        setProfiles(byId)
+      }
+
+      setCircles(accepted.map(m => ({
+        ...m.circles,
+        role: m.role,
+        members: members.filter(member => member.circle_id === m.circle_id)
+      })))
+      setInvitations(pending.map(m => m.circles))
+    } catch (error) {
+      console.error('Error fetching circles:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const refresh = async () => {
+    await fetchCircles()
+    if (onMembershipChange) onMembershipChange()
+  }
+
+  const createCircle = async (e) => {
+    e.preventDefault()
+
+    if (!newCircleName.trim()) {
+      toast.error('Please enter a circle name')
+      return
+    }
+
+    try {
+      const { data: circle, error } = await supabase
+        .from('circles')
+        .insert({ name: newCircleName.trim(), owner_id: user.id })
+        .select()
+        .single()
+
+      if (error) throw error
+
+      const { error: memberError } = await supabase
+        .from('circle_members')
+        .insert({
+          circle_id: circle.id,
+          user_id: user.id,
+          role: 'owner',
+          status: 'accepted',
+          invited_by: user.id
+        })
+
+      if (memberError) throw memberError
+
+      setNewCircleName('')
+      toast.success(`Circle "${circle.name}" created`)
+      fetchCircles()
+    } catch (error) {
+      console.error('Error creating circle:', error)
+      toast.error('Error creating circle: ' + error.message)
+    }
+  }
+
+  const inviteMember = async (circle) => {
+    const username = (inviteUsernames[circle.id] || '').trim()
+    if (!username) {
+      toast.error('Please enter a username')
+      return
+    }
+
+    try {
+      const { data: profile, error } = await supabase
+        .from('user_profiles')
+        .select('id, username')
+        .eq('username', username)
+        .maybeSingle()
+
+      if (error) throw error
+
+      if (!profile) {
+        toast.error(`No user named "${username}"`)
+        return
+      }
+
+      if (circle.members.some(m => m.user_id === profile.id)) {
+        toast.error(`${profile.username} is already in this circle`)
+        return
+      }
+
+      const { error: inviteError } = await supabase
+        .from('circle_members')
+        .insert({
+          circle_id: circle.id,
+          user_id: profile.id,
+          role: 'member',
+          status: 'pending',
+          invited_by: user.id
+        })
+
+      if (inviteError) throw inviteError
+
+      setInviteUsernames(prev => ({ ...prev, [circle.id]: '' }))
+      toast.success(`Invited ${profile.username} to ${circle.name}`)
+      fetchCircles()
+    } catch (error) {
+      console.error('Error inviting member:', error)
+      toast.error('Error inviting member: ' + error.message)
+    }
+  }
+
+  const acceptInvitation = async (circle) => {
+    const { error } = await supabase
+      .from('circle_members')
+      .update({ status: 'accepted' })
+      .eq('circle_id', circle.id)
+      .eq('user_id', user.id)
+
+    if (error) {
+      console.error('Error accepting invitation:', error)
+      toast.error('Error accepting invitation: ' + error.message)
+      return
+    }
+
+    toast.success(`Joined ${circle.name}`)
+    refresh()
+  }
+
+  // Declining an invitation, leaving a circle and removing a member are all
+  // the same delete of a membership row
+  const removeMembership = async (circle, memberId, message) => {
+    const { error } = await supabase
+      .from('circle_members')
+      .delete()
+      .eq('circle_id', circle.id)
+      .eq('user_id', memberId)
+
+    if (error) {
+      console.error('Error removing membership:', error)
+      toast.error('Error updating circle: ' + error.message)
+      return
+    }
+
+    toast.success(message)
+    refresh()
+  }
+
+  const deleteCircle = async (circle) => {
+    if (!window.confirm(`Delete circle "${circle.name}"? Members will stop seeing each other.`)) return
+
+    const { error } = await supabase
+      .from('circles')
+      .delete()
+      .eq('id', circle.id)
+
+    if (error) {
+      console.error('Error deleting circle:', error)
+      toast.error('Error deleting circle: ' + error.message)
+      return
+    }
+
+    toast.success(`Circle "${circle.name}" deleted`)
+    refresh()
+  }
+
+  const displayName = (userId) => {
+    const profile = profiles[userId]
+    if (userId === user.id) return 'You'
+    return profile ? profile.username : 'Unknown user'
+  }
+
+  if (loading) {
+    return (
+      <div className="text-center py-8 text-gray-500 text-sm">Loading circles...</div>
+    )
+  }
+
+  return (
+    <div className="space-y-4 sm:space-y-6">
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center space-y-3 sm:space-y-0">
+        <h2 className="text-lg sm:text-xl font-semibold">Circles</h2>
+        <form onSubmit={createCircle} className="flex space-x-2">
+          <input
+            type="text"
+            placeholder="New circle, e.g. Family"
+            value={newCircleName}
+            onChange={(e) => setNewCircleName(e.target.value)}
+            className="px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 w-full sm:w-auto text-sm"
+          />
+          <button
+            type="submit"
+            className="bg-blue-600 text-white px-3 py-2 rounded-md text-sm hover:bg-blue-700 flex items-center flex-shrink-0"
+          >
+            <PlusIcon className="w-4 h-4 mr-1" />
+            Create
+          </button>
+        </form>
+      </div>
+
+      <p className="text-sm text-gray-500">
+        Only people who share a circle with you can see your devices, and you only see theirs.
+      </p>
+
+      {/* Pending invitations */}
+      {invitations.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg divide-y divide-yellow-200">
+          {invitations.map(circle => (
+            <div key={circle.id} className="p-4 flex flex-col sm:flex-row sm:items-center justify-between space-y-2 sm:space-y-0">
+              <p className="text-sm text-yellow-900">
+                <strong>{displayName(circle.owner_id)}</strong> invited you to <strong>{circle.name}</strong>
+              </p>
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => acceptInvitation(circle)}
+                  className="bg-green-600 text-white px-3 py-1 rounded-md text-sm hover:bg-green-700"
+                >
+                  Accept
+                </button>
+                <button
+                  onClick={() => removeMembership(circle, user.id, `Declined invitation to ${circle.name}`)}
+                  className="bg-gray-100 text-gray-700 px-3 py-1 rounded-md text-sm hover:bg-gray-200"
+                >
+                  Decline
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* My circles */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6">
+        {circles.map(circle => {
+          const isOwner = circle.owner_id === user.id
+
+          return (
+            <div key={circle.id} className="bg-white p-4 sm:p-6 rounded-lg shadow-md border space-y-3">
+              <div className="flex items-center justify-between">
+                <h3 className="text-base sm:text-lg font-medium truncate">{circle.name}</h3>
+                {isOwner ? (
+                  <button
+                    onClick={() => deleteCircle(circle)}
+                    className="p-1 hover:bg-red-100 rounded flex-shrink-0"
+                    title="Delete circle"
+                  >
+                    <TrashIcon className="w-4 h-4 text-red-500" />
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => removeMembership(circle, user.id, `Left ${circle.name}`)}
+                    className="p-1 hover:bg-gray-100 rounded flex-shrink-0"
+                    title="Leave circle"
+                  >
+                    <ArrowRightOnRectangleIcon className="w-4 h-4 text-gray-500" />
+                  </button>
+                )}
+              </div>
+
+              <ul className="space-y-1 text-sm">
+                {circle.members.map(member => (
+                  <li key={member.user_id} className="flex items-center justify-between">
+                    <span className="truncate">
+                      {displayName(member.user_id)}
+                      {member.role === 'owner' && <span className="ml-1 text-xs text-gray-400">(owner)</span>}
+                      {member.status === 'pending' && <span className="ml-1 text-xs text-yellow-600">(invited)</span>}
+                    </span>
+                    {isOwner && member.user_id !== user.id && (
+                      <button
+                        onClick={() => removeMembership(circle, member.user_id, `Removed ${displayName(member.user_id)} from ${circle.name}`)}
+                        className="text-xs text-red-500 hover:text-red-700"
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+
+              {isOwner && (
+                <div className="flex space-x-2 pt-2 border-t">
+                  <input
+                    type="text"
+                    placeholder="Invite by username"
+                    value={inviteUsernames[circle.id] || ''}
+                    onChange={(e) => setInviteUsernames(prev => ({ ...prev, [circle.id]: e.target.value }))}
+                    className="flex-1 min-w-0 px-2 py-1 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                  />
+                  <button
+                    onClick={() => inviteMember(circle)}
+                    className="p-2 bg-blue-100 text-blue-600 rounded-md hover:bg-blue-200 flex-shrink-0"
+                    title="Invite"
+                  >
+                    <UserPlusIcon className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+            </div>
+          )
+        })}
+      </div>
+
+      {circles.length === 0 && (
+        <div className="text-center py-8 sm:py-12">
+          <UserGroupIcon className="mx-auto h-10 w-10 sm:h-12 sm:w-12 text-gray-400" />
+          <h3 className="mt-2 text-sm font-medium text-gray-900">No circles yet</h3>
+          <p className="mt-1 text-sm text-gray-500">Create a circle and invite people to start sharing locations.</p>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,191 @@
+// src/components/DeviceTimeline.js
+import { useState, useEffect } from 'react'
+import toast from 'react-hot-toast'
+import { format, addDays } from 'date-fns'
+import { supabase } from '../lib/supabase'
+import {
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  MapPinIcon,
+  ArrowsRightLeftIcon
+} from '@heroicons/react/24/outline'
+
+const formatDuration = (seconds) => {
+  const minutes = Math.round(seconds / 60)
+  if (minutes < 60) return `${minutes} min`
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`
+}
+
+const formatDistance = (meters) => meters >= 1000
+  ? `${(meters / 1000).toFixed(1)} km`
+  : `${Math.round(meters)} m`
+
+// Speeds from the timeline API are m/s
+const formatSpeed = (speed) => `${Math.round(speed * 3.6)} km/h`
+
+// Day-by-day list of a device's stops and trips
+export default function DeviceTimeline({ devices = [], selectedSegment = null, onSegmentSelect }) {
+  const [deviceId, setDeviceId] = useState('')
+  const [day, setDay] = useState(() => format(new Date(), 'yyyy-MM-dd'))
+  const [segments, setSegments] = useState([])
+  const [isLoading, setIsLoading] = useState(false)
+
+  useEffect(() => {
+    onSegmentSelect(null)
+    if (deviceId && day) {
+      fetchTimeline()
+    } else {
+      setSegments([])
+    }
+  }, [deviceId, day])
+
+  const fetchTimeline = async () => {
+    // Day boundaries follow the browser's timezone
+    const from = new Date(`${day}T00:00`)
+    const to = addDays(from, 1)
+
+    setIsLoading(true)
+
+    try {
+      const { data: { session } } = await supabase.auth.getSession()
+      const params = new URLSearchParams({ from: from.toISOString(), to: to.toISOString() })
+
+      const response = await fetch(`/api/devices/${deviceId}/timeline?${params}`, {
+        headers: { Authorization: `Bearer ${session?.access_token}` }
+      })
+      const body = await response.json()
+
+      if (!response.ok) {
+        throw new Error(body.error || `Request failed (${response.status})`)
+      }
+
+      setSegments(body.segments)
+    } catch (error) {
+      console.error('Error fetching timeline:', error)
+      toast.error('Error loading timeline: ' + error.message)
+      setSegments([])
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const shiftDay = (days) => {
+    setDay(format(addDays(new Date(`${day}T00:00`), days), 'yyyy-MM-dd'))
+  }
+
+  const trips = segments.filter(segment => segment.type === 'trip')
+  const totalDistance = trips.reduce((sum, trip) => sum + trip.distance, 0)
+  const totalMoving = trips.reduce((sum, trip) => sum + trip.duration, 0)
+  const isToday = day === format(new Date(), 'yyyy-MM-dd')
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Device</label>
+        <select
+          value={deviceId}
+          onChange={(e) => setDeviceId(e.target.value)}
+          className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">Select device...</option>
+          {devices.map(device => (
+            <option key={device.device_id} value={device.device_id}>
+              {device.device_name} ({device.username})
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex items-center space-x-2">
+        <button
+          onClick={() => shiftDay(-1)}
+          className="p-2 rounded-md bg-gray-100 text-gray-600 hover:bg-gray-200"
+          title="Previous day"
+        >
+          <ChevronLeftIcon className="w-4 h-4" />
+        </button>
+        <input
+          type="date"
+          value={day}
+          max={format(new Date(), 'yyyy-MM-dd')}
+          onChange={(e) => setDay(e.target.value)}
+          className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          onClick={() => shiftDay(1)}
+          disabled={isToday}
+          className="p-2 rounded-md bg-gray-100 text-gray-600 hover:bg-gray-200 disabled:opacity-50"
+          title="Next day"
+        >
+          <ChevronRightIcon className="w-4 h-4" />
+        </button>
+      </div>
+
+      {isLoading && (
+        <div className="text-center text-sm text-gray-500 py-4">Loading timeline...</div>
+      )}
+
+      {!isLoading && deviceId && segments.length === 0 && (
+        <div className="text-center text-sm text-gray-500 py-4">No recorded movement on this day</div>
+      )}
+
+      {!isLoading && segments.length > 0 && (
+        <>
+          <div className="grid grid-cols-3 gap-2 text-center">
+            <div className="p-2 bg-emerald-50 rounded-md">
+              <div className="text-sm font-semibold text-emerald-900">{trips.length}</div>
+              <div className="text-xs text-emerald-700">trips</div>
+            </div>
+            <div className="p-2 bg-emerald-50 rounded-md">
+              <div className="text-sm font-semibold text-emerald-900">{formatDistance(totalDistance)}</div>
+              <div className="text-xs text-emerald-700">travelled</div>
+            </div>
+            <div className="p-2 bg-emerald-50 rounded-md">
+              <div className="text-sm font-semibold text-emerald-900">{formatDuration(totalMoving)}</div>
+              <div className="text-xs text-emerald-700">moving</div>
+            </div>
+          </div>
+
+          <ol className="space-y-2">
+            {segments.map(segment => {
+              const isSelected = selectedSegment && selectedSegment.start === segment.start && selectedSegment.type === segment.type
+
+              return (
+                <li key={`${segment.type}-${segment.start}`}>
+                  <button
+                    onClick={() => onSegmentSelect(isSelected ? null : segment)}
+                    className={`w-full text-left p-3 rounded-lg border ${
+                      isSelected ? 'border-emerald-500 bg-emerald-50' : 'border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    <div className="flex items-center justify-between">
+                      <div className="flex items-center text-sm font-medium text-gray-900">
+                        {segment.type === 'stop'
+                          ? <MapPinIcon className="w-4 h-4 mr-2 text-orange-500" />
+                          : <ArrowsRightLeftIcon className="w-4 h-4 mr-2 text-emerald-600" />}
+                        {segment.type === 'stop' ? 'Stop' : 'Trip'}
+                      </div>
+                      <span className="text-xs text-gray-500">{formatDuration(segment.duration)}</span>
+                    </div>
+                    <div className="mt-1 text-xs text-gray-600">
+                      {format(new Date(segment.start), 'HH:mm')} – {format(new Date(segment.end), 'HH:mm')}
+                    </div>
+                    {segment.type === 'trip' ? (
+                      <div className="mt-1 text-xs text-gray-600">
+                        {formatDistance(segment.distance)} · avg {formatSpeed(segment.averageSpeed)} · max {formatSpeed(segment.maxSpeed)}
+                      </div>
+                    ) : (
+                      <div className="mt-1 text-xs text-gray-500 truncate">
+                        📍 {segment.latitude.toFixed(5)}, {segment.longitude.toFixed(5)}
+                      </div>
+                    )}
+                  </button>
+                </li>
+              )
+            })}
+          </ol>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,363 @@
+// src/components/DevicesManager.js
+import { useState, useEffect } from 'react'
+import toast from 'react-hot-toast'
+import { formatDistanceToNow } from 'date-fns'
+import { supabase } from '../lib/supabase'
+import {
+  DevicePhoneMobileIcon,
+  PencilSquareIcon,
+  TrashIcon,
+  PauseIcon,
+  PlayIcon,
+  CheckIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline'
+
+export const DEVICE_TYPES = {
+  mobile: 'Phone',
+  tablet: 'Tablet',
+  laptop: 'Laptop',
+  desktop: 'Desktop',
+  tracker: 'GPS tracker',
+  vehicle: 'Vehicle'
+}
+
+// Choices for the device's low-battery alert rule, in percent
+const LOW_BATTERY_LEVELS = [5, 10, 15, 20, 25, 30, 50]
+const LOW_BATTERY_COOLDOWN_MINUTES = 60
+
+// Every device on the signed-in user's account. `currentDeviceId` is the
+// device this browser reports as; deleting it or switching to another one is
+// handled by the page through `onDeleted` / `onUseHere`.
+export default function DevicesManager({
+  user,
+  currentDeviceId = null,
+  onChanged = null,
+  onDeleted = null,
+  onUseHere = null
+}) {
+  const [devices, setDevices] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [editingDeviceId, setEditingDeviceId] = useState(null)
+  const [editingName, setEditingName] = useState('')
+  // Battery alert rule of each device, edited by "Low battery below"
+  const [batteryRules, setBatteryRules] = useState({})
+
+  useEffect(() => {
+    if (user) {
+      fetchDevices()
+      fetchBatteryRules()
+    }
+  }, [user])
+
+  const fetchDevices = async () => {
+    const { data, error } = await supabase
+      .from('devices')
+      .select('id, device_name, device_type, device_token, is_online, last_seen, sharing_paused, created_at')
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: true })
+
+    if (error) {
+      console.error('Error fetching devices:', error)
+      toast.error('Error loading devices: ' + error.message)
+    } else {
+      setDevices(data || [])
+    }
+
+    setLoading(false)
+  }
+
+  // The first battery rule for each device; rules for all devices are left
+  // to the Alerts tab
+  const fetchBatteryRules = async () => {
+    const { data, error } = await supabase
+      .from('alert_rules')
+      .select('id, device_id, threshold, enabled')
+      .eq('user_id', user.id)
+      .eq('rule_type', 'battery')
+      .not('device_id', 'is', null)
+      .order('created_at', { ascending: true })
+
+    if (error) {
+      console.error('Error fetching battery rules:', error)
+      return
+    }
+
+    const byDevice = {}
+    for (const rule of data || []) {
+      if (!byDevice[rule.device_id]) byDevice[rule.device_id] = rule
+    }
+    setBatteryRules(byDevice)
+  }
+
+  const updateDevice = async (device, changes) => {
+    const { data, error } = await supabase
+      .from('devices')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', device.id)
+      .eq('user_id', user.id)
+      .select('id, device_name, device_type, device_token, is_online, last_seen, sharing_paused, created_at')
+      .single()
+
+    if (error) {
+      console.error('Error updating device:', error)
+      toast.error('Error updating device: ' + error.message)
+      return null
+    }
+
+    setDevices(prev => prev.map(d => d.id === data.id ? data : d))
+    if (onChanged) onChanged(data)
+    return data
+  }
+
+  const startRename = (device) => {
+    setEditingDeviceId(device.id)
+    setEditingName(device.device_name)
+  }
+
+  const saveRename = async (device) => {
+    if (!editingName.trim()) {
+      toast.error('Please enter a device name')
+      return
+    }
+
+    if (editingName.trim() !== device.device_name) {
+      const updated = await updateDevice(device, { device_name: editingName.trim() })
+      if (!updated) return
+      toast.success('Device renamed')
+    }
+
+    setEditingDeviceId(null)
+  }
+
+  const toggleSharing = async (device) => {
+    const updated = await updateDevice(device, { sharing_paused: !device.sharing_paused })
+    if (updated) {
+      toast.success(updated.sharing_paused
+        ? `Sharing paused: only you can see ${updated.device_name}`
+        : `Sharing resumed for ${updated.device_name}`)
+    }
+  }
+
+  // Creates, changes or disables the device's battery alert rule
+  const updateLowBatteryLevel = async (device, value) => {
+    const rule = batteryRules[device.id]
+    const enabled = value !== 'off'
+    const threshold = enabled ? Number(value) : rule?.threshold
+    if (!rule && !enabled) return
+
+    const changes = {
+      name: `${device.device_name}: battery below ${threshold} %`,
+      threshold,
+      enabled
+    }
+
+    const { data, error } = rule
+      ? await supabase
+        .from('alert_rules')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', rule.id)
+        .select('id, device_id, threshold, enabled')
+        .single()
+      : await supabase
+        .from('alert_rules')
+        .insert({
+          ...changes,
+          user_id: user.id,
+          device_id: device.id,
+          rule_type: 'battery',
+          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          cooldown_minutes: LOW_BATTERY_COOLDOWN_MINUTES
+        })
+        .select('id, device_id, threshold, enabled')
+        .single()
+
+    if (error) {
+      console.error('Error saving battery rule:', error)
+      toast.error('Error saving low battery alert: ' + error.message)
+      return
+    }
+
+    setBatteryRules(prev => ({ ...prev, [device.id]: data }))
+    toast.success(enabled
+      ? `You will be notified when ${device.device_name} drops below ${threshold}%`
+      : `Low battery alerts off for ${device.device_name}`)
+  }
+
+  const deleteDevice = async (device) => {
+    const isCurrent = device.id === currentDeviceId
+    const message = `Delete "${device.device_name}" and all of its location history? This cannot be undone.` +
+      (isCurrent ? '\n\nThis is the device you are using now; this browser will stop sharing its location until you set it up again.' : '')
+
+    if (!confirm(message)) return
+
+    // History, geofence events, battery readings and alerts are removed by ON DELETE CASCADE
+    const { error } = await supabase
+      .from('devices')
+      .delete()
+      .eq('id', device.id)
+      .eq('user_id', user.id)
+
+    if (error) {
+      console.error('Error deleting device:', error)
+      toast.error('Error deleting device: ' + error.message)
+      return
+    }
+
+    toast.success(`Deleted ${device.device_name}`)
+    setDevices(prev => prev.filter(d => d.id !== device.id))
+    if (onDeleted) onDeleted(device)
+  }
+
+  const adoptDevice = (device) => {
+    if (!confirm(`Report this browser's location as "${device.device_name}"? Another browser using it will keep reporting as the same device.`)) return
+    if (onUseHere) onUseHere(device)
+  }
+
+  if (loading) {
+    return (
+      <div className="text-center py-8 text-gray-500 text-sm">Loading devices...</div>
+    )
+  }
+
+  return (
+    <div className="space-y-4 sm:space-y-6">
+      <div>
+        <h2 className="text-lg sm:text-xl font-semibold">My devices</h2>
+        <p className="text-sm text-gray-500">
+          Paused devices keep recording, but only you can see them.
+        </p>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md border divide-y divide-gray-200">
+        {devices.map(device => {
+          const isCurrent = device.id === currentDeviceId
+          const batteryRule = batteryRules[device.id]
+          const lowBatteryLevel = batteryRule?.enabled ? Number(batteryRule.threshold) : null
+
+          return (
+            <div key={device.id} className="p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+              <div className="flex items-start space-x-3 min-w-0">
+                <div className={`w-3 h-3 mt-1.5 rounded-full flex-shrink-0 ${device.is_online ? 'bg-green-500' : 'bg-gray-400'}`}></div>
+                <div className="min-w-0 flex-1">
+                  {editingDeviceId === device.id ? (
+                    <div className="flex items-center space-x-2">
+                      <input
+                        type="text"
+                        value={editingName}
+                        onChange={(e) => setEditingName(e.target.value)}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') saveRename(device)
+                          if (e.key === 'Escape') setEditingDeviceId(null)
+                        }}
+                        className="border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        autoFocus
+                      />
+                      <button
+                        onClick={() => saveRename(device)}
+                        className="p-1 hover:bg-gray-200 rounded"
+                        title="Save name"
+                      >
+                        <CheckIcon className="w-4 h-4 text-green-600" />
+                      </button>
+                      <button
+                        onClick={() => setEditingDeviceId(null)}
+                        className="p-1 hover:bg-gray-200 rounded"
+                        title="Cancel"
+                      >
+                        <XMarkIcon className="w-4 h-4 text-gray-500" />
+                      </button>
+                    </div>
+                  ) : (
+                    <p className="text-sm font-medium text-gray-900 truncate">
+                      {device.device_name}
+                      {isCurrent && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full bg-blue-100 text-blue-700 text-xs">This browser</span>
+                      )}
+                      {device.sharing_paused && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800 text-xs">Sharing paused</span>
+                      )}
+                    </p>
+                  )}
+                  <p className="text-xs text-gray-500">
+                    {device.last_seen
+                      ? `Last seen ${formatDistanceToNow(new Date(device.last_seen), { addSuffix: true })}`
+                      : 'Never reported'}
+                  </p>
+                </div>
+              </div>
+
+              <div className="flex items-center flex-wrap gap-2 text-sm">
+                <select
+                  value={device.device_type || 'mobile'}
+                  onChange={(e) => updateDevice(device, { device_type: e.target.value })}
+                  className="border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {Object.entries(DEVICE_TYPES).map(([type, label]) => (
+                    <option key={type} value={type}>{label}</option>
+                  ))}
+                </select>
+                <label
+                  className="flex items-center text-xs text-gray-600"
+                  title="Notify me when the battery drops below this level while not charging (a battery rule in the Alerts tab)"
+                >
+                  Low battery below
+                  <select
+                    value={lowBatteryLevel ?? 'off'}
+                    onChange={(e) => updateLowBatteryLevel(device, e.target.value)}
+                    className="ml-1 border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="off">Off</option>
+                    {[...new Set([...LOW_BATTERY_LEVELS, lowBatteryLevel ?? LOW_BATTERY_LEVELS[0]])].sort((a, b) => a - b).map(level => (
+                      <option key={level} value={level}>{level}%</option>
+                    ))}
+                  </select>
+                </label>
+                {!isCurrent && device.device_token && onUseHere && (
+                  <button
+                    onClick={() => adoptDevice(device)}
+                    className="px-2 py-1 rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200 text-xs"
+                    title="Report this browser's location as this device"
+                  >
+                    Use here
+                  </button>
+                )}
+                <button
+                  onClick={() => startRename(device)}
+                  className="p-1 hover:bg-gray-200 rounded"
+                  title="Rename device"
+                >
+                  <PencilSquareIcon className="w-4 h-4 text-gray-600" />
+                </button>
+                <button
+                  onClick={() => toggleSharing(device)}
+                  className="p-1 hover:bg-gray-200 rounded"
+                  title={device.sharing_paused ? 'Resume sharing' : 'Pause sharing'}
+                >
+                  {device.sharing_paused
+                    ? <PlayIcon className="w-4 h-4 text-green-600" />
+                    : <PauseIcon className="w-4 h-4 text-yellow-600" />}
+                </button>
+                <button
+                  onClick={() => deleteDevice(device)}
+                  className="p-1 hover:bg-red-100 rounded"
+                  title="Delete device and its history"
+                >
+                  <TrashIcon className="w-4 h-4 text-red-500" />
+                </button>
+              </div>
+            </div>
+          )
+        })}
+
+        {devices.length === 0 && (
+          <div className="text-center py-8 sm:py-12">
+            <DevicePhoneMobileIcon className="mx-auto h-10 w-10 sm:h-12 sm:w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No devices yet</h3>
+            <p className="mt-1 text-sm text-gray-500">This browser is registered once you name it.</p>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,129 @@
+// src/components/HeatmapControls.js
+import { useState, useEffect } from 'react'
+import toast from 'react-hot-toast'
+import { supabase } from '../lib/supabase'
+
+const TIME_WINDOWS = {
+  '24h': { label: 'Last 24 hours', hours: 24 },
+  '7d': { label: 'Last 7 days', hours: 7 * 24 },
+  '30d': { label: 'Last 30 days', hours: 30 * 24 },
+  '90d': { label: 'Last 90 days', hours: 90 * 24 }
+}
+
+const CELL_SIZES = [100, 250, 1000, 5000]
+
+const formatCellSize = (meters) => meters >= 1000 ? `${meters / 1000} km` : `${meters} m`
+
+// Picks devices and a time window for the map heatmap and loads the grid
+// cells from /api/heatmap. No device ticked means every visible device.
+export default function HeatmapControls({ devices = [], onLoaded }) {
+  const [deviceIds, setDeviceIds] = useState([])
+  const [timeWindow, setTimeWindow] = useState('7d')
+  const [cellSize, setCellSize] = useState(250)
+  const [summary, setSummary] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+
+  useEffect(() => {
+    fetchHeatmap()
+  }, [deviceIds, timeWindow, cellSize])
+
+  const fetchHeatmap = async () => {
+    const to = new Date()
+    const from = new Date(to.getTime() - TIME_WINDOWS[timeWindow].hours * 60 * 60 * 1000)
+
+    setIsLoading(true)
+
+    try {
+      const { data: { session } } = await supabase.auth.getSession()
+      const params = new URLSearchParams({
+        from: from.toISOString(),
+        to: to.toISOString(),
+        cellSize: String(cellSize)
+      })
+      if (deviceIds.length > 0) {
+        params.set('deviceIds', deviceIds.join(','))
+      }
+
+      const response = await fetch(`/api/heatmap?${params}`, {
+        headers: { Authorization: `Bearer ${session?.access_token}` }
+      })
+      const body = await response.json()
+
+      if (!response.ok) {
+        throw new Error(body.error || `Request failed (${response.status})`)
+      }
+
+      setSummary({
+        cellCount: body.cells.length,
+        pointCount: body.cells.reduce((sum, cell) => sum + cell.count, 0)
+      })
+      onLoaded(body)
+    } catch (error) {
+      console.error('Error fetching heatmap:', error)
+      toast.error('Error loading heatmap: ' + error.message)
+      onLoaded(null)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const toggleDevice = (deviceId) => {
+    setDeviceIds(prev => prev.includes(deviceId)
+      ? prev.filter(id => id !== deviceId)
+      : [...prev, deviceId])
+  }
+
+  return (
+    <div className="bg-white p-3 sm:p-4 rounded-lg shadow-md border space-y-3 text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <h3 className="font-medium text-gray-900">Heatmap</h3>
+        <select
+          value={timeWindow}
+          onChange={(e) => setTimeWindow(e.target.value)}
+          className="border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {Object.entries(TIME_WINDOWS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <select
+          value={cellSize}
+          onChange={(e) => setCellSize(Number(e.target.value))}
+          className="border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          title="Grid cell size"
+        >
+          {CELL_SIZES.map(size => (
+            <option key={size} value={size}>{formatCellSize(size)} cells</option>
+          ))}
+        </select>
+        <span className="text-xs text-gray-500">
+          {isLoading
+            ? 'Loading...'
+            : summary && `${summary.pointCount.toLocaleString()} fixes in ${summary.cellCount.toLocaleString()} cells`}
+        </span>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => setDeviceIds([])}
+          className={`px-2 py-1 rounded-full text-xs ${
+            deviceIds.length === 0 ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+          }`}
+        >
+          All devices
+        </button>
+        {devices.map(device => (
+          <button
+            key={device.device_id}
+            onClick={() => toggleDevice(device.device_id)}
+            className={`px-2 py-1 rounded-full text-xs ${
+              deviceIds.includes(device.device_id) ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {device.device_name} ({device.username})
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
@@ -1,26 +1,125 @@
 // src/components/MapComponent.js
-import { useEffect, useRef, forwardRef, useImperativeHandle } from 'react'
+import { useState, useEffect, useRef, forwardRef, useImperativeHandle } from 'react'
 import L from 'leaflet'
 import 'leaflet/dist/leaflet.css'
+import toast from 'react-hot-toast'
+import markerIcon from 'leaflet/dist/images/marker-icon.png'
+import markerIcon2x from 'leaflet/dist/images/marker-icon-2x.png'
+import markerShadow from 'leaflet/dist/images/marker-shadow.png'
+import { clusterPoints } from '../lib/clustering'
+import { calculateDistance, calculateBearing, compassDirection, formatDistance } from '../lib/geo'
+import { getConfiguredBaseLayers, DEFAULT_BASE_LAYER_ID, mbtilesBaseLayer } from '../lib/baseLayers'
+import { registerTileCache, tileUrlsForBounds, precacheTiles, MAX_PRECACHE_TILES } from '../lib/tileCache'
+import { escapeHtml } from '../lib/html'
 
-// Fix for default markers in Leaflet
+// Fix for default markers in Leaflet: serve the bundled images, not a CDN
 delete L.Icon.Default.prototype._getIconUrl
 L.Icon.Default.mergeOptions({
-  iconRetinaUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon-2x.png',
-  iconUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon.png',
-  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
+  iconRetinaUrl: markerIcon2x.src,
+  iconUrl: markerIcon.src,
+  shadowUrl: markerShadow.src,
 })
 
+// Devices closer than this on screen are grouped into one bubble
+const CLUSTER_RADIUS_PX = 60
+// From this zoom on every device gets its own marker
+const CLUSTER_MAX_ZOOM = 17
+// Marker colors from best to worst status
+const STATUS_COLORS = ['#22c55e', '#eab308', '#ef4444']
+// Markers slide to new positions over this time...
+const MOVE_ANIMATION_MS = 1000
+// ...unless the device jumped further than this (e.g. after being offline)
+const MAX_ANIMATED_DISTANCE_M = 5000
+const METERS_PER_DEGREE_LATITUDE = 111320
+// "Save area offline" stores the visible area down to this many levels deeper
+const PRECACHE_EXTRA_ZOOM_LEVELS = 3
+const BASE_LAYER_STORAGE_KEY = 'baseLayer'
+const MEASURE_COLOR = '#0ea5e9'
+// While drawing geofences, clicks this close to the last vertex are the
+// clicks of a double-click (or a slip), not a new vertex
+const DRAW_VERTEX_TOLERANCE_PX = 6
+
+const MEASURE_INSTRUCTIONS = {
+  path: 'Click the map or devices to add points',
+  device: 'Click a device, then any spot on the map',
+  lines: 'Click devices to link or unlink them'
+}
+
+const createTileLayer = (layer) => L.tileLayer(layer.url, {
+  attribution: layer.attribution || '',
+  subdomains: layer.subdomains || 'abc',
+  maxZoom: layer.maxZoom || 19,
+  maxNativeZoom: layer.maxNativeZoom,
+  baseLayer: layer
+})
+
+// Heatmap cell color from 0 (fewest fixes) to 1 (most): blue through yellow to red
+const heatColor = (intensity) => `hsl(${Math.round(220 * (1 - intensity))}, 90%, 50%)`
+
 const MapComponent = forwardRef(({ 
   devices = [], 
   height = '400px', 
   showAllDevices = false, 
   selectedDevice = null,
-  onDeviceSelect = null 
+  onDeviceSelect = null,
+  historyPath = null,
+  playbackIndex = null,
+  highlightedSegment = null,
+  filteredFixes = [],
+  geofences = [],
+  drawMode = null,
+  onGeofenceDrawn = null,
+  heatmap = null,
+  heatmapEnabled = false,
+  onHeatmapToggle = null,
+  distanceLineDeviceIds = [],
+  sosDeviceIds = []
 }, ref) => {
   const mapRef = useRef(null)
   const mapInstanceRef = useRef(null)
   const markersRef = useRef({})
+  const historyLayerRef = useRef(null)
+  const playbackMarkerRef = useRef(null)
+  const highlightLayerRef = useRef(null)
+  const filteredLayerRef = useRef(null)
+  const geofenceLayerRef = useRef(null)
+  const heatmapLayerRef = useRef(null)
+  const clusterLayerRef = useRef(null)
+  const measureLayerRef = useRef(null)
+  // Config of the base map being shown, for "Save area offline"
+  const activeBaseLayerRef = useRef(null)
+  const openPopupDeviceIdRef = useRef(null)
+  // Devices are fitted into view once; after that only on request
+  const hasFittedDevicesRef = useRef(false)
+
+  // Persistent markers call back through refs so they always see the latest props
+  const devicesRef = useRef(devices)
+  devicesRef.current = devices
+  const onDeviceSelectRef = useRef(onDeviceSelect)
+  onDeviceSelectRef.current = onDeviceSelect
+
+  // Read by the clustering, which also runs from map zoom events
+  const selectedDeviceIdRef = useRef(null)
+  selectedDeviceIdRef.current = selectedDevice ? selectedDevice.device_id : null
+  const sosDeviceIdsRef = useRef(sosDeviceIds)
+  sosDeviceIdsRef.current = sosDeviceIds
+
+  // Measuring tool: what clicks do ('path' | 'device' | 'lines' | null) and
+  // what has been measured so far, which stays on the map until cleared
+  const [measureMode, setMeasureMode] = useState(null)
+  const [measurePoints, setMeasurePoints] = useState([])
+  const [measureDeviceId, setMeasureDeviceId] = useState(null)
+  const [measureTarget, setMeasureTarget] = useState(null)
+  const [linkedDeviceIds, setLinkedDeviceIds] = useState([])
+
+  // Marker clicks feed the measuring tool instead of selecting the device
+  const measureModeRef = useRef(measureMode)
+  measureModeRef.current = measureMode
+  const measureDeviceClickRef = useRef(null)
+
+  // Keep the latest callback without restarting an in-progress drawing
+  const onGeofenceDrawnRef = useRef(onGeofenceDrawn)
+  onGeofenceDrawnRef.current = onGeofenceDrawn
 
   // Expose map control methods to parent
   useImperativeHandle(ref, () => ({
@@ -32,13 +131,16 @@ const MapComponent = forwardRef(({
         const lng = parseFloat(device.longitude)
         mapInstanceRef.current.setView([lat, lng], 16)
         
-        // Open popup for the device
+        // Open popup for the device, taking it out of its cluster first
         const marker = markersRef.current[deviceId]
         if (marker) {
+          openPopupDeviceIdRef.current = deviceId
+          updateClusters()
           marker.openPopup()
         }
       }
     },
+    fitAllDevices: () => fitToDevices(devices),
     showBothDevices: (deviceIds) => {
       console.log('showBothDevices called with:', deviceIds)
       if (!mapInstanceRef.current || !deviceIds.length) {
@@ -125,6 +227,223 @@ const MapComponent = forwardRef(({
     }
   }))
 
+  // Put device markers on the map, or group nearby ones into counted bubbles
+  // colored by the worst status inside. The selected device, the one with
+  // an open popup and devices with an open SOS are never grouped. Only uses
+  // refs, so it is safe to call from map event handlers.
+  const updateClusters = () => {
+    const map = mapInstanceRef.current
+    if (!map || !clusterLayerRef.current) return
+
+    clusterLayerRef.current.clearLayers()
+
+    const pinnedIds = [selectedDeviceIdRef.current, openPopupDeviceIdRef.current, ...sosDeviceIdsRef.current]
+    const clusterable = []
+
+    Object.entries(markersRef.current).forEach(([deviceId, marker]) => {
+      if (map.getZoom() >= CLUSTER_MAX_ZOOM || pinnedIds.includes(deviceId)) {
+        marker.addTo(map)
+      } else {
+        const { x, y } = map.latLngToLayerPoint(marker.options.targetLatLng)
+        clusterable.push({ x, y, marker })
+      }
+    })
+
+    clusterPoints(clusterable, CLUSTER_RADIUS_PX).forEach(cluster => {
+      const markers = cluster.points.map(point => point.marker)
+
+      if (markers.length === 1) {
+        markers[0].addTo(map)
+        return
+      }
+
+      markers.forEach(marker => marker.remove())
+
+      const worstColor = STATUS_COLORS[Math.max(...markers.map(marker =>
+        STATUS_COLORS.indexOf(marker.options.statusColor)
+      ))]
+      const size = markers.length < 10 ? 32 : markers.length < 100 ? 38 : 44
+      const bounds = L.latLngBounds(markers.map(marker => marker.options.targetLatLng))
+      const names = markers.slice(0, 10).map(marker => marker.options.deviceName)
+
+      L.marker(bounds.getCenter(), {
+        icon: L.divIcon({
+          html: `
+            <div style="
+              width: ${size}px;
+              height: ${size}px;
+              border-radius: 50%;
+              background-color: ${worstColor};
+              border: 4px solid rgba(255,255,255,0.8);
+              box-shadow: 0 2px 6px rgba(0,0,0,0.3);
+              color: white;
+              font-weight: 600;
+              font-size: 13px;
+              display: flex;
+              align-items: center;
+              justify-content: center;
+            ">${markers.length}</div>
+          `,
+          className: 'device-cluster-marker',
+          iconSize: [size, size],
+          iconAnchor: [size / 2, size / 2]
+        })
+      })
+        .bindTooltip(names.map(escapeHtml).join('<br>') + (markers.length > names.length ? `<br>+${markers.length - names.length} more` : ''), {
+          direction: 'top',
+          offset: [0, -size / 2]
+        })
+        .on('click', () => {
+          map.fitBounds(bounds, { padding: [40, 40], maxZoom: CLUSTER_MAX_ZOOM })
+        })
+        .addTo(clusterLayerRef.current)
+    })
+  }
+
+  // Slide a marker to its new position. Markers hidden in a cluster and big
+  // jumps move straight away.
+  const moveMarker = (marker, to) => {
+    cancelAnimationFrame(marker.options.moveFrame)
+    marker.options.targetLatLng = to
+
+    const from = marker.getLatLng()
+    if (!mapInstanceRef.current.hasLayer(marker) || from.distanceTo(to) > MAX_ANIMATED_DISTANCE_M) {
+      marker.setLatLng(to)
+      return
+    }
+
+    const start = performance.now()
+    const step = (now) => {
+      const progress = Math.min((now - start) / MOVE_ANIMATION_MS, 1)
+      const eased = progress * (2 - progress)
+      marker.setLatLng([
+        from.lat + (to.lat - from.lat) * eased,
+        from.lng + (to.lng - from.lng) * eased
+      ])
+      if (progress < 1) marker.options.moveFrame = requestAnimationFrame(step)
+    }
+    marker.options.moveFrame = requestAnimationFrame(step)
+  }
+
+  // Fit the viewport to the given devices
+  const fitToDevices = (targetDevices) => {
+    const located = targetDevices.filter(device => device.latitude && device.longitude)
+    if (!mapInstanceRef.current || located.length === 0) return
+
+    if (located.length === 1) {
+      // Single device - center on it with good zoom level
+      mapInstanceRef.current.setView([parseFloat(located[0].latitude), parseFloat(located[0].longitude)], 16)
+    } else {
+      // Multiple devices - fit bounds with padding
+      const bounds = L.latLngBounds(located.map(device => [parseFloat(device.latitude), parseFloat(device.longitude)]))
+      mapInstanceRef.current.fitBounds(bounds, {
+        padding: [20, 20],
+        maxZoom: 16
+      })
+    }
+  }
+
+  // Base maps from the environment (or the defaults) plus any MBTiles files on
+  // the server, a switcher between them and the offline download button
+  const setUpBaseLayers = (map) => {
+    const layersControl = L.control.layers(null, null, { position: 'bottomright' }).addTo(map)
+    const preferredLayerId = localStorage.getItem(BASE_LAYER_STORAGE_KEY) || DEFAULT_BASE_LAYER_ID
+
+    const addBaseLayer = (layer) => {
+      const tileLayer = createTileLayer(layer)
+      layersControl.addBaseLayer(tileLayer, layer.name)
+      return tileLayer
+    }
+
+    const showBaseLayer = (tileLayer) => {
+      map.eachLayer(existing => {
+        if (existing.options.baseLayer) map.removeLayer(existing)
+      })
+      tileLayer.addTo(map)
+      activeBaseLayerRef.current = tileLayer.options.baseLayer
+    }
+
+    const configuredLayers = getConfiguredBaseLayers().map(layer => [layer, addBaseLayer(layer)])
+    const initial = configuredLayers.find(([layer]) => layer.id === preferredLayerId) ||
+      configuredLayers.find(([layer]) => layer.id === DEFAULT_BASE_LAYER_ID) ||
+      configuredLayers[0]
+    showBaseLayer(initial[1])
+
+    map.on('baselayerchange', (e) => {
+      activeBaseLayerRef.current = e.layer.options.baseLayer
+      localStorage.setItem(BASE_LAYER_STORAGE_KEY, e.layer.options.baseLayer.id)
+    })
+
+    fetch('/api/tiles')
+      .then(response => response.ok ? response.json() : { tilesets: [] })
+      .then(({ tilesets }) => {
+        if (mapInstanceRef.current !== map) return
+
+        tilesets.forEach(tileset => {
+          const layer = mbtilesBaseLayer(tileset)
+          const tileLayer = addBaseLayer(layer)
+          if (layer.id === preferredLayerId) showBaseLayer(tileLayer)
+        })
+      })
+      .catch(error => console.error('Error loading offline tilesets:', error))
+
+    registerTileCache()
+
+    const offlineControl = L.control({ position: 'bottomright' })
+    offlineControl.onAdd = () => {
+      const button = L.DomUtil.create('button', 'leaflet-bar bg-white px-2 py-1 text-xs text-gray-700 hover:bg-gray-100')
+      button.type = 'button'
+      button.textContent = 'Save area offline'
+      button.title = `Download the visible area of the current base map, ${PRECACHE_EXTRA_ZOOM_LEVELS} zoom levels deep`
+      L.DomEvent.disableClickPropagation(button)
+      L.DomEvent.on(button, 'click', () => saveAreaOffline(button))
+      return button
+    }
+    offlineControl.addTo(map)
+  }
+
+  const saveAreaOffline = async (button) => {
+    const map = mapInstanceRef.current
+    const layer = activeBaseLayerRef.current
+    if (!map || !layer || button.disabled) return
+
+    const bounds = map.getBounds()
+    const minZoom = map.getZoom()
+    const maxZoom = Math.min(minZoom + PRECACHE_EXTRA_ZOOM_LEVELS, layer.maxZoom || 19)
+    const urls = tileUrlsForBounds(layer, {
+      north: bounds.getNorth(),
+      south: bounds.getSouth(),
+      east: bounds.getEast(),
+      west: bounds.getWest()
+    }, minZoom, maxZoom)
+
+    if (urls.length > MAX_PRECACHE_TILES) {
+      toast.error(`This area needs ${urls.length} tiles (at most ${MAX_PRECACHE_TILES}). Zoom in and try again.`)
+      return
+    }
+    if (!confirm(`Save ${urls.length} tiles of "${layer.name}" (zoom ${minZoom}-${maxZoom}) for offline use?`)) return
+
+    button.disabled = true
+
+    try {
+      const { cached, failed } = await precacheTiles(urls, (done, total) => {
+        button.textContent = `Saving ${done}/${total}...`
+      })
+
+      if (failed > 0) {
+        toast.error(`Saved ${cached} tiles, ${failed} could not be downloaded`)
+      } else {
+        toast.success(`Saved ${cached} tiles for offline use`)
+      }
+    } catch (error) {
+      console.error('Error saving tiles:', error)
+      toast.error('Error saving tiles: ' + error.message)
+    } finally {
+      button.disabled = false
+      button.textContent = 'Save area offline'
+    }
+  }
+
   useEffect(() => {
     if (!mapRef.current) return
 
@@ -132,21 +451,475 @@ const MapComponent = forwardRef(({
     if (!mapInstanceRef.current) {
       mapInstanceRef.current = L.map(mapRef.current).setView([-6.2088, 106.8456], 13) // Jakarta center
 
-      // Add OpenStreetMap tiles
-      L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-        attribution: '© OpenStreetMap contributors',
-        maxZoom: 19
-      }).addTo(mapInstanceRef.current)
+      setUpBaseLayers(mapInstanceRef.current)
+
+      heatmapLayerRef.current = L.layerGroup().addTo(mapInstanceRef.current)
+      measureLayerRef.current = L.layerGroup().addTo(mapInstanceRef.current)
+      geofenceLayerRef.current = L.layerGroup().addTo(mapInstanceRef.current)
+      filteredLayerRef.current = L.layerGroup().addTo(mapInstanceRef.current)
+      clusterLayerRef.current = L.layerGroup().addTo(mapInstanceRef.current)
+
+      mapInstanceRef.current.on('zoomend', () => updateClusters())
     }
 
     return () => {
       if (mapInstanceRef.current) {
         mapInstanceRef.current.remove()
         mapInstanceRef.current = null
+        historyLayerRef.current = null
+        playbackMarkerRef.current = null
+        highlightLayerRef.current = null
+        filteredLayerRef.current = null
+        geofenceLayerRef.current = null
+        heatmapLayerRef.current = null
+        measureLayerRef.current = null
+        clusterLayerRef.current = null
+        activeBaseLayerRef.current = null
+
+        Object.values(markersRef.current).forEach(marker => cancelAnimationFrame(marker.options.moveFrame))
+        markersRef.current = {}
+        openPopupDeviceIdRef.current = null
+        hasFittedDevicesRef.current = false
       }
     }
   }, [])
 
+  // Render saved geofences
+  useEffect(() => {
+    if (!geofenceLayerRef.current) return
+
+    geofenceLayerRef.current.clearLayers()
+
+    geofences.forEach(geofence => {
+      const style = {
+        color: geofence.id ? '#f97316' : '#8b5cf6',
+        weight: 2,
+        fillOpacity: 0.1,
+        dashArray: geofence.id ? null : '6 4'
+      }
+
+      let layer = null
+      if (geofence.shape_type === 'circle') {
+        layer = L.circle(
+          [parseFloat(geofence.center_latitude), parseFloat(geofence.center_longitude)],
+          { ...style, radius: parseFloat(geofence.radius) }
+        )
+      } else if (geofence.shape_type === 'polygon' && geofence.coordinates?.length >= 3) {
+        layer = L.polygon(geofence.coordinates, style)
+      }
+
+      if (layer) {
+        layer.bindTooltip(escapeHtml(geofence.name || 'New geofence')).addTo(geofenceLayerRef.current)
+      }
+    })
+  }, [geofences])
+
+  const devicePosition = (deviceId) => {
+    const device = devicesRef.current.find(d => (d.device_id || d.id) === deviceId)
+    if (!device || !device.latitude || !device.longitude) return null
+    return { device, lat: parseFloat(device.latitude), lng: parseFloat(device.longitude) }
+  }
+
+  measureDeviceClickRef.current = (deviceId) => {
+    const position = devicePosition(deviceId)
+
+    if (measureModeRef.current === 'path' && position) {
+      setMeasurePoints(prev => [...prev, [position.lat, position.lng]])
+    } else if (measureModeRef.current === 'device') {
+      setMeasureDeviceId(deviceId)
+    } else if (measureModeRef.current === 'lines') {
+      setLinkedDeviceIds(prev => prev.includes(deviceId)
+        ? prev.filter(id => id !== deviceId)
+        : [...prev, deviceId])
+    }
+  }
+
+  const toggleMeasureMode = (mode) => {
+    setMeasureMode(prev => prev === mode ? null : mode)
+  }
+
+  const clearMeasurements = () => {
+    setMeasurePoints([])
+    setMeasureDeviceId(null)
+    setMeasureTarget(null)
+    setLinkedDeviceIds([])
+  }
+
+  // Geofence drawing uses map clicks too
+  useEffect(() => {
+    if (drawMode) setMeasureMode(null)
+  }, [drawMode])
+
+  // Map clicks add path points or set the spot to measure a device against
+  useEffect(() => {
+    const map = mapInstanceRef.current
+    if (!map || (measureMode !== 'path' && measureMode !== 'device')) return
+
+    const handleClick = (e) => {
+      if (measureMode === 'path') {
+        setMeasurePoints(prev => [...prev, [e.latlng.lat, e.latlng.lng]])
+      } else {
+        setMeasureTarget([e.latlng.lat, e.latlng.lng])
+      }
+    }
+
+    map.on('click', handleClick)
+    map.getContainer().style.cursor = 'crosshair'
+
+    return () => {
+      map.off('click', handleClick)
+      map.getContainer().style.cursor = ''
+    }
+  }, [measureMode])
+
+  // Pairs of devices to join with a distance line: those linked with the
+  // measuring tool plus any pair chosen by the parent (the distance sidebar)
+  const distanceLinePairs = []
+  const linePairKeys = new Set()
+  const addLinePairs = (deviceIds) => {
+    deviceIds.forEach((fromId, i) => {
+      deviceIds.slice(i + 1).forEach(toId => {
+        const key = [fromId, toId].sort().join('|')
+        if (fromId === toId || linePairKeys.has(key)) return
+        linePairKeys.add(key)
+        distanceLinePairs.push([fromId, toId])
+      })
+    })
+  }
+  addLinePairs(linkedDeviceIds)
+  addLinePairs(distanceLineDeviceIds)
+
+  // Measurements derived from the latest device positions, so lines follow
+  // devices as they move
+  const pathSegments = measurePoints.slice(1).map((point, i) =>
+    calculateDistance(measurePoints[i][0], measurePoints[i][1], point[0], point[1]))
+  const pathLength = pathSegments.reduce((sum, segment) => sum + segment, 0)
+
+  const measureDevice = measureDeviceId ? devicePosition(measureDeviceId) : null
+  const deviceToTarget = measureDevice && measureTarget ? {
+    distance: calculateDistance(measureDevice.lat, measureDevice.lng, measureTarget[0], measureTarget[1]),
+    bearing: calculateBearing(measureDevice.lat, measureDevice.lng, measureTarget[0], measureTarget[1])
+  } : null
+
+  const distanceLines = distanceLinePairs
+    .map(([fromId, toId]) => {
+      const from = devicePosition(fromId)
+      const to = devicePosition(toId)
+      if (!from || !to) return null
+      return { from, to, distance: calculateDistance(from.lat, from.lng, to.lat, to.lng) }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.distance - b.distance)
+
+  // Draw the measurements; labels sit at line midpoints
+  useEffect(() => {
+    const layer = measureLayerRef.current
+    if (!layer) return
+
+    layer.clearLayers()
+
+    const lineStyle = { color: MEASURE_COLOR, weight: 3, dashArray: '8 6' }
+    const label = (latLngs, text) => {
+      const bounds = L.latLngBounds(latLngs)
+      L.tooltip({ permanent: true, direction: 'center', className: 'text-xs font-medium' })
+        .setLatLng(latLngs.length === 2 ? bounds.getCenter() : latLngs[latLngs.length - 1])
+        .setContent(text)
+        .addTo(layer)
+    }
+
+    if (measurePoints.length > 0) {
+      L.polyline(measurePoints, lineStyle).addTo(layer)
+      measurePoints.forEach(point => {
+        L.circleMarker(point, { radius: 4, color: MEASURE_COLOR, fillColor: '#fff', fillOpacity: 1, weight: 2 }).addTo(layer)
+      })
+      if (measurePoints.length > 1) label(measurePoints, formatDistance(pathLength))
+    }
+
+    if (measureDevice) {
+      L.circleMarker([measureDevice.lat, measureDevice.lng], { radius: 18, color: MEASURE_COLOR, fill: false, weight: 2 }).addTo(layer)
+    }
+
+    if (deviceToTarget) {
+      const latLngs = [[measureDevice.lat, measureDevice.lng], measureTarget]
+      L.polyline(latLngs, lineStyle).addTo(layer)
+      L.circleMarker(measureTarget, { radius: 5, color: MEASURE_COLOR, fillOpacity: 1 }).addTo(layer)
+      label(latLngs, `${formatDistance(deviceToTarget.distance)} · ${Math.round(deviceToTarget.bearing)}° ${compassDirection(deviceToTarget.bearing)}`)
+    }
+
+    distanceLines.forEach(({ from, to, distance }) => {
+      const latLngs = [[from.lat, from.lng], [to.lat, to.lng]]
+      L.polyline(latLngs, { ...lineStyle, color: '#10b981' }).addTo(layer)
+      label(latLngs, formatDistance(distance))
+    })
+  }, [devices, measurePoints, measureDeviceId, measureTarget, linkedDeviceIds, distanceLineDeviceIds])
+
+  // Shade the grid cells aggregated by /api/heatmap. Counts are log-scaled so
+  // a few very busy cells (home, office) do not wash out everything else.
+  useEffect(() => {
+    if (!heatmapLayerRef.current) return
+
+    heatmapLayerRef.current.clearLayers()
+    if (!heatmap || heatmap.cells.length === 0) return
+
+    // Thousands of cells draw much faster on a canvas than as SVG
+    const renderer = L.canvas({ padding: 0.5 })
+    const halfLat = heatmap.cellSize / METERS_PER_DEGREE_LATITUDE / 2
+    const logMax = Math.log(1 + heatmap.maxCount)
+
+    heatmap.cells.forEach(cell => {
+      const halfLng = halfLat / Math.cos(cell.latitude * Math.PI / 180)
+      const intensity = logMax > 0 ? Math.log(1 + cell.count) / logMax : 1
+
+      L.rectangle([
+        [cell.latitude - halfLat, cell.longitude - halfLng],
+        [cell.latitude + halfLat, cell.longitude + halfLng]
+      ], {
+        renderer,
+        stroke: false,
+        fillColor: heatColor(intensity),
+        fillOpacity: 0.2 + 0.5 * intensity,
+        interactive: false
+      }).addTo(heatmapLayerRef.current)
+    })
+  }, [heatmap])
+
+  // Let the user draw a circle (center + radius) or polygon (vertices, double-click to finish)
+  useEffect(() => {
+    const map = mapInstanceRef.current
+    if (!map || !drawMode) return
+
+    const points = []
+    const draftLayer = L.layerGroup().addTo(map)
+    const draftStyle = { color: '#8b5cf6', weight: 2, dashArray: '6 4', fillOpacity: 0.1 }
+    let preview = null
+
+    map.doubleClickZoom.disable()
+    map.getContainer().style.cursor = 'crosshair'
+
+    const resetDraft = () => {
+      points.length = 0
+      preview = null
+      draftLayer.clearLayers()
+    }
+
+    // A double click also fires two clicks, which may land a pixel or two apart
+    const isNearLastPoint = (latlng) => {
+      const lastPoint = points[points.length - 1]
+      return Boolean(lastPoint) &&
+        map.latLngToContainerPoint(lastPoint).distanceTo(map.latLngToContainerPoint(latlng)) <= DRAW_VERTEX_TOLERANCE_PX
+    }
+
+    const handleClick = (e) => {
+      if (isNearLastPoint(e.latlng)) return
+
+      if (drawMode === 'circle' && points.length === 1) {
+        const radius = Math.round(points[0].distanceTo(e.latlng))
+        if (radius > 0 && onGeofenceDrawnRef.current) {
+          onGeofenceDrawnRef.current({
+            shape_type: 'circle',
+            center_latitude: points[0].lat,
+            center_longitude: points[0].lng,
+            radius
+          })
+        }
+        resetDraft()
+        return
+      }
+
+      points.push(e.latlng)
+      L.circleMarker(e.latlng, { radius: 4, color: '#8b5cf6', fillOpacity: 1 }).addTo(draftLayer)
+    }
+
+    const handleMouseMove = (e) => {
+      if (points.length === 0) return
+
+      if (preview) draftLayer.removeLayer(preview)
+
+      preview = drawMode === 'circle'
+        ? L.circle(points[0], { ...draftStyle, radius: points[0].distanceTo(e.latlng) })
+        : L.polygon([...points, e.latlng], draftStyle)
+
+      preview.addTo(draftLayer)
+    }
+
+    const handleDoubleClick = () => {
+      if (drawMode !== 'polygon' || points.length < 3) return
+
+      if (onGeofenceDrawnRef.current) {
+        onGeofenceDrawnRef.current({
+          shape_type: 'polygon',
+          coordinates: points.map(point => [point.lat, point.lng])
+        })
+      }
+      resetDraft()
+    }
+
+    map.on('click', handleClick)
+    map.on('mousemove', handleMouseMove)
+    map.on('dblclick', handleDoubleClick)
+
+    return () => {
+      map.off('click', handleClick)
+      map.off('mousemove', handleMouseMove)
+      map.off('dblclick', handleDoubleClick)
+      map.removeLayer(draftLayer)
+      map.doubleClickZoom.enable()
+      map.getContainer().style.cursor = ''
+    }
+  }, [drawMode])
+
+  // Draw the recorded path when history playback is active
+  useEffect(() => {
+    if (!mapInstanceRef.current) return
+
+    if (historyLayerRef.current) {
+      mapInstanceRef.current.removeLayer(historyLayerRef.current)
+      historyLayerRef.current = null
+    }
+
+    if (!historyPath || historyPath.length === 0) return
+
+    const latLngs = historyPath.map(point => [parseFloat(point.latitude), parseFloat(point.longitude)])
+
+    historyLayerRef.current = L.polyline(latLngs, {
+      color: '#6366f1',
+      weight: 4,
+      opacity: 0.8
+    }).addTo(mapInstanceRef.current)
+
+    mapInstanceRef.current.fitBounds(historyLayerRef.current.getBounds(), {
+      padding: [20, 20],
+      maxZoom: 17
+    })
+  }, [historyPath])
+
+  // Move the playback marker along the recorded path
+  useEffect(() => {
+    if (!mapInstanceRef.current) return
+
+    const point = historyPath && playbackIndex !== null ? historyPath[playbackIndex] : null
+
+    if (!point) {
+      if (playbackMarkerRef.current) {
+        mapInstanceRef.current.removeLayer(playbackMarkerRef.current)
+        playbackMarkerRef.current = null
+      }
+      return
+    }
+
+    const latLng = [parseFloat(point.latitude), parseFloat(point.longitude)]
+    const speed = point.speed !== null && point.speed !== undefined
+      ? `${Math.round(point.speed * 3.6 * 10) / 10} km/h`
+      : 'n/a'
+    const heading = point.heading !== null && point.heading !== undefined
+      ? `${Math.round(point.heading)}°`
+      : 'n/a'
+
+    const tooltipContent = `
+      <div style="font-size: 12px; line-height: 1.4;">
+        <strong>${new Date(point.timestamp).toLocaleString()}</strong><br>
+        Speed: ${speed}<br>
+        Heading: ${heading}
+      </div>
+    `
+
+    if (!playbackMarkerRef.current) {
+      playbackMarkerRef.current = L.circleMarker(latLng, {
+        radius: 8,
+        color: 'white',
+        weight: 3,
+        fillColor: '#6366f1',
+        fillOpacity: 1
+      })
+        .bindTooltip('', { permanent: true, direction: 'top', offset: [0, -10] })
+        .addTo(mapInstanceRef.current)
+    }
+
+    playbackMarkerRef.current.setLatLng(latLng)
+    playbackMarkerRef.current.setTooltipContent(tooltipContent)
+
+    // Keep the playback marker in view while it moves
+    if (!mapInstanceRef.current.getBounds().contains(latLng)) {
+      mapInstanceRef.current.panTo(latLng)
+    }
+  }, [historyPath, playbackIndex])
+
+  // Show fixes rejected by the server-side plausibility checks
+  useEffect(() => {
+    if (!filteredLayerRef.current) return
+
+    filteredLayerRef.current.clearLayers()
+
+    const reasonLabels = {
+      future_timestamp: 'Timestamp in the future',
+      poor_accuracy: 'Poor accuracy',
+      impossible_speed: 'Impossible speed'
+    }
+
+    filteredFixes.forEach(fix => {
+      const details = fix.reason === 'impossible_speed' && fix.details
+        ? `<br>${fix.details.distance} m in ${fix.details.elapsedSeconds}s (${fix.details.impliedSpeedKmh} km/h)`
+        : fix.accuracy ? `<br>Accuracy: ±${Math.round(fix.accuracy)}m` : ''
+
+      L.circleMarker([parseFloat(fix.latitude), parseFloat(fix.longitude)], {
+        radius: 5,
+        color: '#dc2626',
+        weight: 2,
+        fillColor: '#fecaca',
+        fillOpacity: 0.9
+      })
+        .bindTooltip(`
+          <div style="font-size: 12px; line-height: 1.4;">
+            <strong>${reasonLabels[fix.reason] || escapeHtml(fix.reason)}</strong><br>
+            ${new Date(fix.timestamp).toLocaleString()}${details}
+          </div>
+        `)
+        .addTo(filteredLayerRef.current)
+    })
+  }, [filteredFixes])
+
+  // Highlight a trip path or stop picked from the daily timeline
+  useEffect(() => {
+    if (!mapInstanceRef.current) return
+
+    if (highlightLayerRef.current) {
+      mapInstanceRef.current.removeLayer(highlightLayerRef.current)
+      highlightLayerRef.current = null
+    }
+
+    if (!highlightedSegment) return
+
+    if (highlightedSegment.type === 'trip') {
+      highlightLayerRef.current = L.polyline(highlightedSegment.path, {
+        color: '#10b981',
+        weight: 6,
+        opacity: 0.9
+      }).addTo(mapInstanceRef.current)
+
+      mapInstanceRef.current.fitBounds(highlightLayerRef.current.getBounds(), {
+        padding: [20, 20],
+        maxZoom: 17
+      })
+    } else {
+      const latLng = [highlightedSegment.latitude, highlightedSegment.longitude]
+
+      highlightLayerRef.current = L.circleMarker(latLng, {
+        radius: 10,
+        color: 'white',
+        weight: 3,
+        fillColor: '#10b981',
+        fillOpacity: 1
+      })
+        .bindTooltip(
+          `${new Date(highlightedSegment.start).toLocaleTimeString()} – ${new Date(highlightedSegment.end).toLocaleTimeString()}`,
+          { permanent: true, direction: 'top', offset: [0, -10] }
+        )
+        .addTo(mapInstanceRef.current)
+
+      mapInstanceRef.current.setView(latLng, 17)
+    }
+  }, [highlightedSegment])
+
   // Handle selectedDevice changes
   useEffect(() => {
     if (selectedDevice && mapInstanceRef.current) {
@@ -156,9 +929,10 @@ const MapComponent = forwardRef(({
       // Zoom to selected device
       mapInstanceRef.current.setView([lat, lng], 16)
       
-      // Open popup for selected device
+      // Open popup for selected device (which is never clustered)
       const marker = markersRef.current[selectedDevice.device_id]
       if (marker) {
+        updateClusters()
         marker.openPopup()
       }
     }
@@ -167,22 +941,13 @@ const MapComponent = forwardRef(({
   useEffect(() => {
     if (!mapInstanceRef.current) return
 
-    // Clear existing markers
-    Object.values(markersRef.current).forEach(marker => {
-      mapInstanceRef.current.removeLayer(marker)
-    })
-    markersRef.current = {}
-
-    if (!devices.length) return
-
-    // Add markers for each device
-    const bounds = L.latLngBounds()
-    let hasValidCoordinates = false
+    // Markers are kept per device_id and only updated where something changed,
+    // so open popups stay open and moves can be animated
+    const seenDeviceIds = new Set()
 
     devices.forEach(device => {
       if (!device.latitude || !device.longitude) return
 
-      hasValidCoordinates = true
       const lat = parseFloat(device.latitude)
       const lng = parseFloat(device.longitude)
 
@@ -202,20 +967,36 @@ const MapComponent = forwardRef(({
 
       // Check if this is the selected device
       const isSelected = selectedDevice && selectedDevice.device_id === device.device_id
+      const isSos = sosDeviceIds.includes(device.device_id)
+      const markerAnimation = isSos ? 'animation: sos-flash 1s infinite;' : isSelected ? 'animation: pulse 2s infinite;' : ''
 
-      // Create custom marker with device name label
+      // Create custom marker with device name label; owners with an avatar
+      // get their picture, ringed in the status color
+      const avatarSize = isSelected ? 32 : 28
       const customIcon = L.divIcon({
         html: `
           <div style="display: flex; flex-direction: column; align-items: center;">
+            ${device.avatar_url ? `
+            <img src="${device.avatar_url.replace(/"/g, '%22')}" alt="" style="
+              width: ${avatarSize}px;
+              height: ${avatarSize}px;
+              border-radius: 50%;
+              object-fit: cover;
+              border: 3px solid ${isSos ? '#dc2626' : isSelected ? '#3b82f6' : markerColor};
+              box-shadow: 0 2px 6px rgba(0,0,0,0.3);
+              background: white;
+              ${markerAnimation}
+            " />
+            ` : `
             <div style="
               background-color: ${markerColor};
               width: ${isSelected ? '20px' : '16px'};
               height: ${isSelected ? '20px' : '16px'};
               border-radius: 50%;
-              border: 3px solid ${isSelected ? '#3b82f6' : 'white'};
+              border: 3px solid ${isSos ? '#dc2626' : isSelected ? '#3b82f6' : 'white'};
               box-shadow: 0 2px 6px rgba(0,0,0,0.3);
               position: relative;
-              ${isSelected ? 'animation: pulse 2s infinite;' : ''}
+              ${markerAnimation}
             ">
               ${device.speed && device.speed > 10 ? `
                 <div style="
@@ -230,8 +1011,9 @@ const MapComponent = forwardRef(({
                 "></div>
               ` : ''}
             </div>
+            `}
             <div style="
-              background: ${isSelected ? '#3b82f6' : 'rgba(0,0,0,0.8)'};
+              background: ${isSos ? '#dc2626' : isSelected ? '#3b82f6' : 'rgba(0,0,0,0.8)'};
               color: white;
               padding: 2px 6px;
               border-radius: 4px;
@@ -241,7 +1023,7 @@ const MapComponent = forwardRef(({
               margin-top: 4px;
               box-shadow: 0 1px 3px rgba(0,0,0,0.3);
             ">
-              ${device.device_name || 'Unknown Device'}
+              ${isSos ? '🆘 ' : ''}${escapeHtml(device.device_name || 'Unknown Device')}
             </div>
           </div>
           <style>
@@ -250,6 +1032,10 @@ const MapComponent = forwardRef(({
               50% { transform: scale(1.1); }
               100% { transform: scale(1); }
             }
+            @keyframes sos-flash {
+              0%, 100% { box-shadow: 0 0 0 0 rgba(220,38,38,0.9); }
+              50% { box-shadow: 0 0 0 12px rgba(220,38,38,0); }
+            }
           </style>
         `,
         className: 'custom-device-marker',
@@ -257,16 +1043,8 @@ const MapComponent = forwardRef(({
         iconAnchor: [60, 30]
       })
 
-      // Create marker
-      const marker = L.marker([lat, lng], { icon: customIcon })
-        .addTo(mapInstanceRef.current)
-
-      // Add click handler to marker
-      marker.on('click', () => {
-        if (onDeviceSelect) {
-          onDeviceSelect(device)
-        }
-      })
+      const deviceId = device.device_id || device.id
+      seenDeviceIds.add(deviceId)
 
       // Create detailed popup content
       const timeSinceUpdate = timeDiff < 1 ? 'Just now' : 
@@ -285,20 +1063,21 @@ const MapComponent = forwardRef(({
               margin-right: 8px;
             "></div>
             <h3 style="margin: 0; font-weight: bold; font-size: 16px;">
-              ${device.device_name || 'Unknown Device'}
+              ${escapeHtml(device.device_name || 'Unknown Device')}
             </h3>
             ${isSelected ? '<span style="margin-left: 8px; color: #3b82f6; font-size: 12px;">● SELECTED</span>' : ''}
           </div>
           
           ${device.username ? `
-            <p style="margin: 4px 0; color: #666; font-size: 14px;">
-              <strong>Owner:</strong> ${device.username}
-              ${device.full_name ? ` (${device.full_name})` : ''}
+            <p style="margin: 4px 0; color: #666; font-size: 14px; display: flex; align-items: center;">
+              ${device.avatar_url ? `<img src="${device.avatar_url.replace(/"/g, '%22')}" alt="" style="width: 20px; height: 20px; border-radius: 50%; object-fit: cover; margin-right: 6px;" />` : ''}
+              <strong>Owner:</strong>&nbsp;${escapeHtml(device.username)}
+              ${device.full_name ? ` (${escapeHtml(device.full_name)})` : ''}
             </p>
           ` : ''}
           
           <p style="margin: 4px 0; color: #666; font-size: 14px;">
-            <strong>Type:</strong> ${(device.device_type || 'mobile').charAt(0).toUpperCase() + (device.device_type || 'mobile').slice(1)}
+            <strong>Type:</strong> ${escapeHtml((device.device_type || 'mobile').charAt(0).toUpperCase() + (device.device_type || 'mobile').slice(1))}
           </p>
           
           <p style="margin: 4px 0; font-size: 14px;">
@@ -325,10 +1104,10 @@ const MapComponent = forwardRef(({
             </p>
           ` : ''}
           
-          ${device.battery_level ? `
+          ${device.battery_level !== null && device.battery_level !== undefined ? `
             <p style="margin: 4px 0; color: #666; font-size: 14px;">
               <strong>Battery:</strong> ${device.battery_level}%
-              ${device.battery_level < 20 ? ' 🔋' : device.battery_level < 50 ? ' 🔋' : ' 🔋'}
+              ${device.is_charging ? ' ⚡' : device.battery_level < 20 ? ' 🪫' : ' 🔋'}
             </p>
           ` : ''}
           
@@ -358,15 +1137,81 @@ const MapComponent = forwardRef(({
         </div>
       `
 
+      const existingMarker = markersRef.current[deviceId]
+
+      if (existingMarker) {
+        if (existingMarker.options.icon.options.html !== customIcon.options.html) {
+          existingMarker.setIcon(customIcon)
+        }
+        if (existingMarker.getPopup().getContent() !== popupContent) {
+          existingMarker.setPopupContent(popupContent)
+        }
+        existingMarker.options.statusColor = markerColor
+        existingMarker.setZIndexOffset(isSos ? 1000 : 0)
+        existingMarker.options.deviceName = device.device_name || 'Unknown Device'
+
+        const target = existingMarker.options.targetLatLng
+        if (target.lat !== lat || target.lng !== lng) {
+          moveMarker(existingMarker, L.latLng(lat, lng))
+        }
+        return
+      }
+
+      // Create marker; updateClusters() decides whether it is shown on its own
+      const marker = L.marker([lat, lng], {
+        icon: customIcon,
+        statusColor: markerColor,
+        deviceName: device.device_name || 'Unknown Device',
+        targetLatLng: L.latLng(lat, lng),
+        zIndexOffset: isSos ? 1000 : 0
+      })
+
+      marker.on('popupopen', () => {
+        if (measureModeRef.current) {
+          marker.closePopup()
+          return
+        }
+        openPopupDeviceIdRef.current = deviceId
+      })
+      marker.on('popupclose', () => {
+        if (openPopupDeviceIdRef.current !== deviceId) return
+        openPopupDeviceIdRef.current = null
+        // Let a popup that is opening instead claim its marker first
+        setTimeout(updateClusters, 0)
+      })
+
+      // Add click handler to marker
+      marker.on('click', () => {
+        if (measureModeRef.current) {
+          measureDeviceClickRef.current(deviceId)
+          return
+        }
+
+        const current = devicesRef.current.find(d => (d.device_id || d.id) === deviceId)
+        if (current && onDeviceSelectRef.current) {
+          onDeviceSelectRef.current(current)
+        }
+      })
+
       marker.bindPopup(popupContent)
       
       // Store marker reference
-      markersRef.current[device.device_id || device.id] = marker
+      markersRef.current[deviceId] = marker
+    })
 
-      // Add to bounds
-      bounds.extend([lat, lng])
+    // Drop markers of devices that are gone
+    Object.entries(markersRef.current).forEach(([deviceId, marker]) => {
+      if (seenDeviceIds.has(deviceId)) return
+
+      cancelAnimationFrame(marker.options.moveFrame)
+      marker.off()
+      marker.remove()
+      delete markersRef.current[deviceId]
+      if (openPopupDeviceIdRef.current === deviceId) openPopupDeviceIdRef.current = null
     })
 
+    updateClusters()
+
     // Set up global function for popup button clicks
     if (onDeviceSelect) {
       window.selectDevice = (deviceId) => {
@@ -377,22 +1222,16 @@ const MapComponent = forwardRef(({
       }
     }
 
-    // Fit map to show all markers (only if no specific device is selected)
-    if (hasValidCoordinates && devices.length > 0 && !selectedDevice) {
-      if (devices.length === 1) {
-        // Single device - center on it with good zoom level
-        const device = devices[0]
-        mapInstanceRef.current.setView([parseFloat(device.latitude), parseFloat(device.longitude)], 16)
-      } else {
-        // Multiple devices - fit bounds with padding
-        mapInstanceRef.current.fitBounds(bounds, { 
-          padding: [20, 20],
-          maxZoom: 16
-        })
-      }
+    // Fit map to show all markers the first time there are any (unless a
+    // device is selected or a history path or timeline segment is shown).
+    // Later updates leave the viewport alone; use fitAllDevices() instead.
+    const isShowingHistory = (historyPath && historyPath.length > 0) || highlightedSegment
+    if (!hasFittedDevicesRef.current && seenDeviceIds.size > 0 && !selectedDevice && !isShowingHistory) {
+      fitToDevices(devices)
+      hasFittedDevicesRef.current = true
     }
 
-  }, [devices, selectedDevice, onDeviceSelect])
+  }, [devices, selectedDevice, onDeviceSelect, historyPath, highlightedSegment, sosDeviceIds])
 
   return (
     <div className="rounded-lg overflow-hidden shadow-md border relative">
@@ -403,32 +1242,86 @@ const MapComponent = forwardRef(({
       />
       
       {/* Legend */}
-      <div className="absolute bottom-4 left-4 bg-white bg-opacity-95 p-3 rounded-lg shadow-md z-10">
-        <h4 className="text-sm font-medium text-gray-900 mb-2">Device Status</h4>
-        <div className="space-y-1 text-xs">
-          <div className="flex items-center">
-            <div className="w-3 h-3 rounded-full bg-green-500 mr-2"></div>
-            <span>Online (recent)</span>
-          </div>
-          <div className="flex items-center">
-            <div className="w-3 h-3 rounded-full bg-yellow-500 mr-2"></div>
-            <span>Online (stale)</span>
-          </div>
-          <div className="flex items-center">
-            <div className="w-3 h-3 rounded-full bg-red-500 mr-2"></div>
-            <span>Offline</span>
-          </div>
-          <div className="flex items-center">
-            <div className="w-3 h-3 rounded-full bg-blue-500 mr-2"></div>
-            <span className="text-xs">Moving fast</span>
-          </div>
-          {selectedDevice && (
-            <div className="flex items-center border-t pt-1 mt-1">
-              <div className="w-3 h-3 rounded-full bg-blue-600 border border-white mr-2"></div>
-              <span className="text-xs font-medium">Selected</span>
+      <div className="absolute bottom-4 left-4 flex items-end space-x-2 z-10">
+        <div className="bg-white bg-opacity-95 p-3 rounded-lg shadow-md">
+          <h4 className="text-sm font-medium text-gray-900 mb-2">Device Status</h4>
+          <div className="space-y-1 text-xs">
+            <div className="flex items-center">
+              <div className="w-3 h-3 rounded-full bg-green-500 mr-2"></div>
+              <span>Online (recent)</span>
             </div>
-          )}
+            <div className="flex items-center">
+              <div className="w-3 h-3 rounded-full bg-yellow-500 mr-2"></div>
+              <span>Online (stale)</span>
+            </div>
+            <div className="flex items-center">
+              <div className="w-3 h-3 rounded-full bg-red-500 mr-2"></div>
+              <span>Offline</span>
+            </div>
+            <div className="flex items-center">
+              <div className="w-3 h-3 rounded-full bg-blue-500 mr-2"></div>
+              <span className="text-xs">Moving fast</span>
+            </div>
+            <div className="flex items-center">
+              <div className="w-4 h-4 rounded-full bg-red-500 border-2 border-white shadow text-white flex items-center justify-center mr-2" style={{ fontSize: '8px' }}>3</div>
+              <span className="text-xs">Group (worst status)</span>
+            </div>
+            {geofences.length > 0 && (
+              <div className="flex items-center border-t pt-1 mt-1">
+                <div className="w-3 h-3 rounded-sm border-2 border-orange-500 bg-orange-100 mr-2"></div>
+                <span className="text-xs">Geofence</span>
+              </div>
+            )}
+            {historyPath && historyPath.length > 0 && (
+              <div className="flex items-center border-t pt-1 mt-1">
+                <div className="w-3 h-1 bg-indigo-500 mr-2"></div>
+                <span className="text-xs">History path</span>
+              </div>
+            )}
+            {filteredFixes.length > 0 && (
+              <div className="flex items-center border-t pt-1 mt-1">
+                <div className="w-3 h-3 rounded-full border-2 border-red-600 bg-red-200 mr-2"></div>
+                <span className="text-xs">Filtered fix</span>
+              </div>
+            )}
+            {highlightedSegment && (
+              <div className="flex items-center border-t pt-1 mt-1">
+                <div className="w-3 h-1 bg-emerald-500 mr-2"></div>
+                <span className="text-xs">{highlightedSegment.type === 'trip' ? 'Selected trip' : 'Selected stop'}</span>
+              </div>
+            )}
+            {selectedDevice && (
+              <div className="flex items-center border-t pt-1 mt-1">
+                <div className="w-3 h-3 rounded-full bg-blue-600 border border-white mr-2"></div>
+                <span className="text-xs font-medium">Selected</span>
+              </div>
+            )}
+            {heatmap && heatmap.cells.length > 0 && (
+              <div className="border-t pt-1 mt-1">
+                <div
+                  className="h-2 w-24 rounded-sm"
+                  style={{ background: `linear-gradient(to right, ${heatColor(0)}, ${heatColor(0.5)}, ${heatColor(1)})` }}
+                ></div>
+                <div className="flex justify-between text-xs text-gray-500 w-24">
+                  <span>1</span>
+                  <span>{heatmap.maxCount.toLocaleString()} fixes</span>
+                </div>
+              </div>
+            )}
+          </div>
         </div>
+
+        {onHeatmapToggle && (
+          <button
+            onClick={() => onHeatmapToggle(!heatmapEnabled)}
+            className={`px-3 py-2 rounded-lg shadow-md text-xs font-medium ${
+              heatmapEnabled ? 'bg-orange-500 text-white hover:bg-orange-600' : 'bg-white bg-opacity-95 text-gray-700 hover:bg-gray-100'
+            }`}
+            title={heatmapEnabled ? 'Hide heatmap' : 'Show where devices spent their time'}
+          >
+            🔥 Heatmap
+          </button>
+        )}
       </div>
 
       {/* Device count indicator */}
@@ -436,6 +1329,13 @@ const MapComponent = forwardRef(({
         <div className="absolute top-4 right-4 bg-white bg-opacity-95 px-3 py-2 rounded-lg shadow-md z-10">
           <div className="text-sm font-medium text-gray-900">
             {devices.length} device{devices.length !== 1 ? 's' : ''} visible
+            <button
+              onClick={() => fitToDevices(devices)}
+              className="ml-2 text-xs text-blue-600 hover:text-blue-800"
+              title="Fit all devices into view"
+            >
+              Fit all
+            </button>
             {selectedDevice && (
               <div className="text-xs text-blue-600 mt-1">
                 Selected: {selectedDevice.device_name}
@@ -445,6 +1345,74 @@ const MapComponent = forwardRef(({
         </div>
       )}
 
+      {/* Measuring tool */}
+      <div className="absolute top-24 left-3 z-10 flex flex-col bg-white bg-opacity-95 rounded-lg shadow-md overflow-hidden text-xs">
+        {[
+          ['path', '📏', 'Measure a path'],
+          ['device', '🧭', 'Distance and bearing from a device to a spot'],
+          ['lines', '↔️', 'Live distance lines between devices']
+        ].map(([mode, icon, title]) => (
+          <button
+            key={mode}
+            onClick={() => toggleMeasureMode(mode)}
+            className={`w-8 h-8 flex items-center justify-center border-b last:border-b-0 ${
+              measureMode === mode ? 'bg-sky-100' : 'hover:bg-gray-100'
+            }`}
+            title={title}
+          >
+            {icon}
+          </button>
+        ))}
+      </div>
+
+      {(measureMode || measurePoints.length > 0 || measureDevice || distanceLines.length > 0) && (
+        <div className="absolute top-16 left-1/2 transform -translate-x-1/2 bg-white bg-opacity-95 px-3 py-2 rounded-lg shadow-md z-10 text-xs space-y-1 max-w-xs">
+          {measureMode && (
+            <div className="text-sky-700 font-medium">{MEASURE_INSTRUCTIONS[measureMode]}</div>
+          )}
+          {measurePoints.length > 1 && (
+            <div>
+              <strong>Path:</strong> {formatDistance(pathLength)} over {pathSegments.length} segment{pathSegments.length !== 1 ? 's' : ''}
+              {' '}(last {formatDistance(pathSegments[pathSegments.length - 1])})
+            </div>
+          )}
+          {measureDevice && (
+            <div>
+              <strong>{measureDevice.device.device_name}</strong>
+              {deviceToTarget
+                ? ` → spot: ${formatDistance(deviceToTarget.distance)}, bearing ${Math.round(deviceToTarget.bearing)}° ${compassDirection(deviceToTarget.bearing)}`
+                : ' → click a spot on the map'}
+            </div>
+          )}
+          {distanceLines.map(({ from, to, distance }) => (
+            <div key={`${from.device.device_id}|${to.device.device_id}`}>
+              {from.device.device_name} ↔ {to.device.device_name}: <strong>{formatDistance(distance)}</strong>
+            </div>
+          ))}
+          <div className="flex space-x-3 pt-1">
+            {(measurePoints.length > 0 || measureDevice || linkedDeviceIds.length > 0) && (
+              <button onClick={clearMeasurements} className="text-red-600 hover:text-red-800">
+                Clear
+              </button>
+            )}
+            {measureMode && (
+              <button onClick={() => setMeasureMode(null)} className="text-gray-600 hover:text-gray-800">
+                Done
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Drawing instructions */}
+      {drawMode && (
+        <div className="absolute top-16 left-1/2 transform -translate-x-1/2 bg-purple-600 text-white px-3 py-2 rounded-lg shadow-md z-10 text-xs">
+          {drawMode === 'circle'
+            ? 'Click to set the center, then click again to set the radius'
+            : 'Click to add points, double-click to finish'}
+        </div>
+      )}
+
       {/* Clear selection button */}
       {selectedDevice && onDeviceSelect && (
         <div className="absolute top-4 left-4 bg-white bg-opacity-95 px-3 py-2 rounded-lg shadow-md z-10">
@@ -0,0 +1,307 @@
+// src/components/ProfileEditor.js
+import { useState, useEffect } from 'react'
+import toast from 'react-hot-toast'
+import { supabase } from '../lib/supabase'
+import { safeWebsiteUrl } from '../lib/urls'
+import Avatar from './Avatar'
+import { PhotoIcon } from '@heroicons/react/24/outline'
+
+const USERNAME_PATTERN = /^[a-z0-9_]{3,30}$/
+const MAX_AVATAR_BYTES = 2 * 1024 * 1024
+
+const PROFILE_FIELDS = [
+  { key: 'full_name', label: 'Full name', placeholder: 'Jane Doe' },
+  { key: 'company_name', label: 'Company', placeholder: 'Acme Inc.' },
+  { key: 'location', label: 'Location', placeholder: 'Jakarta, Indonesia' },
+  { key: 'website', label: 'Website', placeholder: 'https://example.com' }
+]
+
+// The signed-in user's own profile. Other people see the username (used for
+// circle invitations), the avatar and these fields in the Users tab and on the map.
+export default function ProfileEditor({ user, onSaved = null }) {
+  const [profile, setProfile] = useState(null)
+  const [form, setForm] = useState({ username: '', full_name: '', bio: '', company_name: '', location: '', website: '' })
+  const [loading, setLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+  const [isUploading, setIsUploading] = useState(false)
+
+  useEffect(() => {
+    if (user) {
+      fetchProfile()
+    }
+  }, [user])
+
+  const fetchProfile = async () => {
+    const { data, error } = await supabase
+      .from('user_profiles')
+      .select('*')
+      .eq('id', user.id)
+      .maybeSingle()
+
+    if (error) {
+      console.error('Error fetching profile:', error)
+      toast.error('Error loading profile: ' + error.message)
+    } else if (data) {
+      setProfile(data)
+      setForm({
+        username: data.username || '',
+        full_name: data.full_name || '',
+        bio: data.bio || '',
+        company_name: data.company_name || '',
+        location: data.location || '',
+        website: data.website || ''
+      })
+    }
+
+    setLoading(false)
+  }
+
+  const updateField = (key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }))
+  }
+
+  const saveProfile = async (e) => {
+    e.preventDefault()
+
+    const username = form.username.trim().toLowerCase()
+    if (!USERNAME_PATTERN.test(username)) {
+      toast.error('Usernames are 3-30 characters: lowercase letters, digits and _')
+      return
+    }
+
+    if (form.website.trim() && !safeWebsiteUrl(form.website.trim())) {
+      toast.error('The website must start with http:// or https://')
+      return
+    }
+
+    setIsSaving(true)
+
+    try {
+      if (username !== profile?.username) {
+        const { data: taken, error: takenError } = await supabase
+          .from('user_profiles')
+          .select('id')
+          .eq('username', username)
+          .neq('id', user.id)
+          .maybeSingle()
+
+        if (takenError) throw takenError
+
+        if (taken) {
+          toast.error(`The username "${username}" is already taken`)
+          return
+        }
+      }
+
+      const changes = {
+        id: user.id,
+        username,
+        updated_at: new Date().toISOString()
+      }
+      for (const key of ['full_name', 'bio', 'company_name', 'location', 'website']) {
+        changes[key] = form[key].trim() || null
+      }
+
+      const { data, error } = await supabase
+        .from('user_profiles')
+        .upsert(changes)
+        .select()
+        .single()
+
+      // Someone claimed the name between the check and the save
+      if (error?.code === '23505') {
+        toast.error(`The username "${username}" is already taken`)
+        return
+      }
+      if (error) throw error
+
+      setProfile(data)
+      setForm(prev => ({ ...prev, username: data.username }))
+      toast.success('Profile saved')
+      if (onSaved) onSaved(data)
+    } catch (error) {
+      console.error('Error saving profile:', error)
+      toast.error('Error saving profile: ' + error.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const uploadAvatar = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    if (!file.type.startsWith('image/')) {
+      toast.error('Please choose an image file')
+      return
+    }
+    if (file.size > MAX_AVATAR_BYTES) {
+      toast.error('Avatars can be at most 2 MB')
+      return
+    }
+    if (!profile) {
+      toast.error('Save your profile before adding an avatar')
+      return
+    }
+
+    setIsUploading(true)
+
+    try {
+      // A new name per upload so browsers and the CDN do not serve the old picture
+      const extension = file.name.split('.').pop().toLowerCase()
+      const path = `${user.id}/avatar-${Date.now()}.${extension}`
+
+      const { error: uploadError } = await supabase.storage
+        .from('avatars')
+        .upload(path, file, { contentType: file.type })
+
+      if (uploadError) throw uploadError
+
+      const { data: { publicUrl } } = supabase.storage.from('avatars').getPublicUrl(path)
+
+      const { data, error } = await supabase
+        .from('user_profiles')
+        .update({ avatar_url: publicUrl, updated_at: new Date().toISOString() })
+        .eq('id', user.id)
+        .select()
+        .single()
+
+      if (error) throw error
+
+      removeStoredAvatar(profile.avatar_url)
+      setProfile(data)
+      toast.success('Avatar updated')
+      if (onSaved) onSaved(data)
+    } catch (error) {
+      console.error('Error uploading avatar:', error)
+      toast.error('Error uploading avatar: ' + error.message)
+    } finally {
+      setIsUploading(false)
+    }
+  }
+
+  const removeAvatar = async () => {
+    const { data, error } = await supabase
+      .from('user_profiles')
+      .update({ avatar_url: null, updated_at: new Date().toISOString() })
+      .eq('id', user.id)
+      .select()
+      .single()
+
+    if (error) {
+      console.error('Error removing avatar:', error)
+      toast.error('Error removing avatar: ' + error.message)
+      return
+    }
+
+    removeStoredAvatar(profile.avatar_url)
+    setProfile(data)
+    if (onSaved) onSaved(data)
+  }
+
+  // Best effort: the old file is no longer referenced once the profile is updated
+  const removeStoredAvatar = (url) => {
+    const marker = '/avatars/'
+    if (!url || !url.includes(marker)) return
+
+    supabase.storage
+      .from('avatars')
+      .remove([url.slice(url.indexOf(marker) + marker.length)])
+      .then(({ error }) => {
+        if (error) console.error('Error removing old avatar:', error)
+      })
+  }
+
+  if (loading) {
+    return (
+      <div className="text-center py-8 text-gray-500 text-sm">Loading profile...</div>
+    )
+  }
+
+  return (
+    <div className="space-y-4 sm:space-y-6 max-w-2xl">
+      <h2 className="text-lg sm:text-xl font-semibold">Profile</h2>
+
+      <div className="bg-white p-4 sm:p-6 rounded-lg shadow-md border flex items-center space-x-4">
+        <Avatar url={profile?.avatar_url} name={form.username} size="lg" />
+        <div className="space-y-2">
+          <label className={`inline-flex items-center px-3 py-2 rounded-md text-sm cursor-pointer ${
+            isUploading ? 'bg-gray-200 text-gray-500' : 'bg-blue-600 text-white hover:bg-blue-700'
+          }`}>
+            <PhotoIcon className="w-4 h-4 mr-1" />
+            {isUploading ? 'Uploading...' : 'Upload avatar'}
+            <input
+              type="file"
+              accept="image/*"
+              onChange={uploadAvatar}
+              disabled={isUploading}
+              className="hidden"
+            />
+          </label>
+          {profile?.avatar_url && (
+            <button
+              onClick={removeAvatar}
+              className="block text-xs text-red-600 hover:text-red-800"
+            >
+              Remove avatar
+            </button>
+          )}
+          <p className="text-xs text-gray-500">PNG, JPG or GIF, up to 2 MB</p>
+        </div>
+      </div>
+
+      <form onSubmit={saveProfile} className="bg-white p-4 sm:p-6 rounded-lg shadow-md border space-y-4 text-sm">
+        <div>
+          <label className="block font-medium text-gray-700 mb-1">Username</label>
+          <div className="flex items-center">
+            <span className="text-gray-500 mr-1">@</span>
+            <input
+              type="text"
+              value={form.username}
+              onChange={(e) => updateField('username', e.target.value.toLowerCase())}
+              className="flex-1 border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <p className="mt-1 text-xs text-gray-500">
+            Others invite you to circles with this name. 3-30 lowercase letters, digits or _.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {PROFILE_FIELDS.map(field => (
+            <div key={field.key}>
+              <label className="block font-medium text-gray-700 mb-1">{field.label}</label>
+              <input
+                type={field.key === 'website' ? 'url' : 'text'}
+                value={form[field.key]}
+                onChange={(e) => updateField(field.key, e.target.value)}
+                placeholder={field.placeholder}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          ))}
+        </div>
+
+        <div>
+          <label className="block font-medium text-gray-700 mb-1">Bio</label>
+          <textarea
+            value={form.bio}
+            onChange={(e) => updateField('bio', e.target.value)}
+            rows={3}
+            maxLength={500}
+            className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isSaving ? 'Saving...' : 'Save profile'}
+        </button>
+      </form>
+    </div>
+  )
+}
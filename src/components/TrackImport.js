@@ -0,0 +1,147 @@
+// src/components/TrackImport.js
+import { useState, useEffect } from 'react'
+import toast from 'react-hot-toast'
+import { supabase } from '../lib/supabase'
+import { parseTrackFile } from '../lib/trackFormats'
+import { ArrowUpTrayIcon } from '@heroicons/react/24/outline'
+
+// Upload a GPX/GeoJSON track as history of one of the user's own devices
+export default function TrackImport({ user, onImported = null }) {
+  const [devices, setDevices] = useState([])
+  const [deviceId, setDeviceId] = useState('')
+  const [file, setFile] = useState(null)
+  const [fixes, setFixes] = useState([])
+  const [untimedCount, setUntimedCount] = useState(0)
+  const [isImporting, setIsImporting] = useState(false)
+  const [fileInputKey, setFileInputKey] = useState(0) // bump to clear the file input
+
+  useEffect(() => {
+    if (user) {
+      fetchOwnDevices()
+    }
+  }, [user])
+
+  const fetchOwnDevices = async () => {
+    const { data, error } = await supabase
+      .from('devices')
+      .select('id, device_name')
+      .eq('user_id', user.id)
+      .order('device_name', { ascending: true })
+
+    if (error) {
+      console.error('Error fetching devices:', error)
+      return
+    }
+
+    setDevices(data || [])
+  }
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files[0]
+    setFile(selected || null)
+    setFixes([])
+    setUntimedCount(0)
+
+    if (!selected) return
+
+    try {
+      const points = parseTrackFile(selected.name, await selected.text())
+      const timed = points.filter(point => point.timestamp)
+
+      setFixes(timed)
+      setUntimedCount(points.length - timed.length)
+
+      if (timed.length === 0) {
+        toast.error('No timestamped points found in this file')
+      }
+    } catch (error) {
+      console.error('Error parsing track file:', error)
+      toast.error(error.message)
+    }
+  }
+
+  const importTrack = async () => {
+    if (!deviceId) {
+      toast.error('Please select a device')
+      return
+    }
+
+    setIsImporting(true)
+
+    try {
+      const { data: { session } } = await supabase.auth.getSession()
+
+      const response = await fetch(`/api/devices/${deviceId}/import`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${session?.access_token}`
+        },
+        body: JSON.stringify({ fixes })
+      })
+      const body = await response.json()
+
+      if (!response.ok) {
+        throw new Error(body.error || `Import failed (${response.status})`)
+      }
+
+      toast.success(
+        `Imported ${body.imported} points` +
+        (body.duplicates ? `, skipped ${body.duplicates} duplicates` : '') +
+        (body.invalid ? `, ${body.invalid} invalid` : '')
+      )
+
+      setFile(null)
+      setFixes([])
+      setUntimedCount(0)
+      setFileInputKey(prev => prev + 1)
+      if (onImported) onImported(deviceId)
+    } catch (error) {
+      console.error('Error importing track:', error)
+      toast.error('Error importing track: ' + error.message)
+    } finally {
+      setIsImporting(false)
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <h4 className="text-sm font-medium text-gray-900">Import a GPX or GeoJSON track</h4>
+
+      <select
+        value={deviceId}
+        onChange={(e) => setDeviceId(e.target.value)}
+        className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        <option value="">Attach to device...</option>
+        {devices.map(device => (
+          <option key={device.id} value={device.id}>{device.device_name}</option>
+        ))}
+      </select>
+
+      <input
+        key={fileInputKey}
+        type="file"
+        accept=".gpx,.geojson,.json"
+        onChange={handleFileChange}
+        className="w-full text-xs text-gray-600 file:mr-2 file:py-1 file:px-2 file:rounded-md file:border-0 file:bg-gray-100 file:text-gray-700"
+      />
+
+      {file && fixes.length > 0 && (
+        <div className="text-xs text-gray-600">
+          {fixes.length} timestamped points
+          {untimedCount > 0 && ` (${untimedCount} without time will be skipped)`}
+        </div>
+      )}
+
+      <button
+        onClick={importTrack}
+        disabled={isImporting || fixes.length === 0}
+        className="w-full bg-gray-800 text-white py-2 px-4 rounded-md text-sm hover:bg-gray-900 disabled:opacity-50 flex items-center justify-center"
+      >
+        <ArrowUpTrayIcon className="w-4 h-4 mr-2" />
+        {isImporting ? 'Importing...' : 'Import'}
+      </button>
+    </div>
+  )
+}
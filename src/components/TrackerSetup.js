@@ -0,0 +1,124 @@
+// src/components/TrackerSetup.js
+import { useState } from 'react'
+import toast from 'react-hot-toast'
+import { supabase } from '../lib/supabase'
+import { ClipboardDocumentIcon } from '@heroicons/react/24/outline'
+
+// Request a new HTTP ingestion secret for one of the user's devices
+export const issueDeviceSecret = async (deviceId) => {
+  const { data: { session } } = await supabase.auth.getSession()
+
+  const response = await fetch(`/api/devices/${deviceId}/secret`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${session?.access_token}` }
+  })
+  const body = await response.json()
+
+  if (!response.ok) {
+    throw new Error(body.error || 'Could not create device secret')
+  }
+
+  return body.secret
+}
+
+// Register a device that reports over HTTP (car tracker, Raspberry Pi, script)
+export default function TrackerSetup({ user, onCreated = null }) {
+  const [trackerName, setTrackerName] = useState('')
+  const [isCreating, setIsCreating] = useState(false)
+  const [createdSecret, setCreatedSecret] = useState(null)
+
+  const createTracker = async (e) => {
+    e.preventDefault()
+
+    if (!trackerName.trim()) {
+      toast.error('Please enter a tracker name')
+      return
+    }
+
+    setIsCreating(true)
+
+    try {
+      const { data: device, error } = await supabase
+        .from('devices')
+        .insert({
+          user_id: user.id,
+          device_name: trackerName.trim(),
+          device_type: 'tracker',
+          device_token: 'tracker_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+          is_online: false
+        })
+        .select()
+        .single()
+
+      if (error) throw error
+
+      const secret = await issueDeviceSecret(device.id)
+
+      setCreatedSecret(secret)
+      setTrackerName('')
+      toast.success(`Tracker "${device.device_name}" created`)
+      if (onCreated) onCreated(device)
+    } catch (error) {
+      console.error('Error creating tracker:', error)
+      toast.error('Error creating tracker: ' + error.message)
+    } finally {
+      setIsCreating(false)
+    }
+  }
+
+  const copySecret = async () => {
+    try {
+      await navigator.clipboard.writeText(createdSecret)
+      toast.success('Secret copied')
+    } catch (error) {
+      toast.error('Could not copy secret')
+    }
+  }
+
+  return (
+    <div className="p-4 space-y-3">
+      <h4 className="text-sm font-medium text-gray-900">Add a GPS tracker or script</h4>
+      <form onSubmit={createTracker} className="flex space-x-2">
+        <input
+          type="text"
+          placeholder="e.g., Car tracker"
+          value={trackerName}
+          onChange={(e) => setTrackerName(e.target.value)}
+          className="flex-1 min-w-0 border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={isCreating}
+          className="bg-blue-600 text-white px-3 py-2 rounded-md text-sm hover:bg-blue-700 disabled:opacity-50 flex-shrink-0"
+        >
+          {isCreating ? 'Adding...' : 'Add'}
+        </button>
+      </form>
+
+      {createdSecret && (
+        <div className="p-3 bg-yellow-50 rounded-lg border border-yellow-200 space-y-2 text-xs">
+          <p className="font-medium text-yellow-900">
+            Copy this secret now, it will not be shown again:
+          </p>
+          <div className="flex items-center space-x-2">
+            <code className="flex-1 min-w-0 truncate bg-white px-2 py-1 rounded border">{createdSecret}</code>
+            <button onClick={copySecret} className="p-1 hover:bg-yellow-100 rounded" title="Copy secret">
+              <ClipboardDocumentIcon className="w-4 h-4 text-yellow-800" />
+            </button>
+          </div>
+          <p className="text-yellow-800">Send fixes with:</p>
+          <pre className="bg-white px-2 py-1 rounded border overflow-x-auto whitespace-pre">{`curl -X POST ${window.location.origin}/api/locations \\
+  -H "Authorization: Bearer <secret>" \\
+  -H "Content-Type: application/json" \\
+  -d '{"latitude":-6.2088,"longitude":106.8456}'`}</pre>
+          <button
+            onClick={() => setCreatedSecret(null)}
+            className="text-yellow-700 hover:text-yellow-900"
+          >
+            Done
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,163 @@
+// src/components/UserDetail.js
+import { useState, useEffect } from 'react'
+import dynamic from 'next/dynamic'
+import toast from 'react-hot-toast'
+import { format, formatDistanceToNow } from 'date-fns'
+import { supabase } from '../lib/supabase'
+import { safeWebsiteUrl } from '../lib/urls'
+import Avatar from './Avatar'
+import { ArrowLeftIcon, MapPinIcon } from '@heroicons/react/24/outline'
+
+const MapComponent = dynamic(() => import('./MapComponent'), {
+  ssr: false,
+  loading: () => <div className="w-full h-64 bg-gray-200 animate-pulse rounded-lg flex items-center justify-center">Loading Map...</div>
+})
+
+// Profile and devices of one person from the Users tab. `locations` are the
+// live positions from the main map (allDeviceLocations); devices without a
+// shared position are still listed, just not drawn on the mini map.
+export default function UserDetail({ profile, viewerId, locations = [], onBack, onShowOnMap }) {
+  const [devices, setDevices] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    fetchDevices()
+  }, [profile.id])
+
+  const fetchDevices = async () => {
+    setLoading(true)
+
+    const { data, error } = await supabase
+      .from('devices')
+      .select('id, device_name, device_type, is_online, last_seen, battery_level, is_charging, sharing_paused')
+      .eq('user_id', profile.id)
+      .order('device_name', { ascending: true })
+
+    if (error) {
+      console.error('Error fetching user devices:', error)
+      toast.error('Error loading devices: ' + error.message)
+    } else {
+      // Devices with paused sharing are only shown to their owner
+      setDevices((data || []).filter(device => !device.sharing_paused || profile.id === viewerId))
+    }
+
+    setLoading(false)
+  }
+
+  const userLocations = locations.filter(location => location.user_id === profile.id)
+  const websiteUrl = safeWebsiteUrl(profile.website)
+
+  // Live values from the socket take precedence over the row fetched on open
+  const deviceRows = devices.map(device => {
+    const live = userLocations.find(location => location.device_id === device.id)
+    return {
+      ...device,
+      is_online: live?.is_online ?? device.is_online,
+      last_seen: live?.timestamp || device.last_seen,
+      battery_level: live?.battery_level ?? device.battery_level,
+      is_charging: live?.is_charging ?? device.is_charging,
+      hasLocation: Boolean(live)
+    }
+  })
+
+  return (
+    <div className="space-y-4 sm:space-y-6">
+      <button
+        onClick={onBack}
+        className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+      >
+        <ArrowLeftIcon className="w-4 h-4 mr-1" />
+        All people
+      </button>
+
+      <div className="bg-white p-4 sm:p-6 rounded-lg shadow-md border">
+        <div className="flex items-center space-x-4">
+          <Avatar url={profile.avatar_url} name={profile.username} size="lg" />
+          <div className="min-w-0">
+            <h2 className="text-lg sm:text-xl font-semibold truncate">{profile.username}</h2>
+            {profile.full_name && <p className="text-sm text-gray-600 truncate">{profile.full_name}</p>}
+            <p className="text-xs text-gray-500">Joined {format(new Date(profile.created_at), 'MMM yyyy')}</p>
+          </div>
+        </div>
+
+        {profile.bio && <p className="mt-4 text-sm text-gray-700">{profile.bio}</p>}
+
+        {(profile.company_name || profile.location || websiteUrl) && (
+          <div className="mt-3 flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-600">
+            {profile.company_name && <span>🏢 {profile.company_name}</span>}
+            {profile.location && <span>📍 {profile.location}</span>}
+            {websiteUrl && (
+              <a
+                href={websiteUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-blue-600 hover:text-blue-800"
+              >
+                {profile.website.replace(/^https?:\/\//, '')}
+              </a>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6">
+        <div className="bg-white rounded-lg shadow-md border">
+          <div className="p-4 border-b flex items-center justify-between">
+            <h3 className="text-base font-medium">Devices</h3>
+            <button
+              onClick={() => onShowOnMap(userLocations.map(location => location.device_id))}
+              disabled={userLocations.length === 0}
+              className="flex items-center bg-blue-600 text-white px-3 py-1.5 rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+            >
+              <MapPinIcon className="w-4 h-4 mr-1" />
+              Show on main map
+            </button>
+          </div>
+
+          {loading ? (
+            <div className="p-4 text-sm text-gray-500">Loading devices...</div>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {deviceRows.map(device => (
+                <li key={device.id} className="p-4 flex items-start justify-between space-x-3">
+                  <div className="flex items-start space-x-3 min-w-0">
+                    <div className={`w-3 h-3 mt-1.5 rounded-full flex-shrink-0 ${device.is_online ? 'bg-green-500' : 'bg-red-500'}`}></div>
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900 truncate">{device.device_name}</p>
+                      <p className="text-xs text-gray-500">
+                        {device.device_type || 'mobile'} • {device.is_online ? 'Online' : 'Offline'}
+                        {device.last_seen && ` • ${formatDistanceToNow(new Date(device.last_seen), { addSuffix: true })}`}
+                      </p>
+                      {!device.hasLocation && (
+                        <p className="text-xs text-gray-400">No shared position</p>
+                      )}
+                    </div>
+                  </div>
+                  {device.battery_level !== null && device.battery_level !== undefined && (
+                    <span className={`text-xs flex-shrink-0 ${device.battery_level <= 15 && !device.is_charging ? 'text-red-600' : 'text-gray-600'}`}>
+                      {device.battery_level}%{device.is_charging ? ' ⚡' : ''}
+                    </span>
+                  )}
+                </li>
+              ))}
+
+              {deviceRows.length === 0 && (
+                <li className="p-4 text-sm text-gray-500">{profile.username} has no shared devices.</li>
+              )}
+            </ul>
+          )}
+        </div>
+
+        <div>
+          {userLocations.length > 0 ? (
+            <MapComponent devices={userLocations} height="320px" />
+          ) : (
+            <div className="h-80 bg-gray-100 rounded-lg border flex items-center justify-center text-sm text-gray-500">
+              No positions to show
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
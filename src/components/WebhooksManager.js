@@ -0,0 +1,335 @@
+// src/components/WebhooksManager.js
+import { useState, useEffect } from 'react'
+import toast from 'react-hot-toast'
+import { format } from 'date-fns'
+import { supabase } from '../lib/supabase'
+import { WEBHOOK_EVENT_LABELS } from '../lib/webhookEvents'
+import {
+  LinkIcon,
+  PlusIcon,
+  TrashIcon,
+  PaperAirplaneIcon,
+  ClipboardDocumentIcon
+} from '@heroicons/react/24/outline'
+
+const DELIVERY_STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  succeeded: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+}
+
+const callWebhooksApi = async (path, { method = 'POST', body = null } = {}) => {
+  const { data: { session } } = await supabase.auth.getSession()
+
+  const response = await fetch(`/api/webhooks${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${session?.access_token}`
+    },
+    body: body ? JSON.stringify(body) : undefined
+  })
+  const result = response.status === 204 ? {} : await response.json()
+
+  if (!response.ok) {
+    throw new Error(result.error || `Request failed (${response.status})`)
+  }
+
+  return result
+}
+
+// Webhook subscriptions of the signed-in user with their recent deliveries.
+// Secrets are never listed: a webhook's secret is shown once, right after it
+// is created.
+export default function WebhooksManager({ user }) {
+  const [webhooks, setWebhooks] = useState([])
+  const [deliveries, setDeliveries] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [expandedWebhookId, setExpandedWebhookId] = useState(null)
+  // Only set from the create response
+  const [newSecret, setNewSecret] = useState(null) // { webhookId, secret }
+
+  // New webhook form
+  const [url, setUrl] = useState('')
+  const [events, setEvents] = useState(['alert.triggered'])
+  const [isCreating, setIsCreating] = useState(false)
+
+  useEffect(() => {
+    if (user) {
+      fetchWebhooks()
+    }
+  }, [user])
+
+  useEffect(() => {
+    if (expandedWebhookId) {
+      fetchDeliveries(expandedWebhookId)
+    }
+  }, [expandedWebhookId])
+
+  const fetchWebhooks = async () => {
+    try {
+      const { webhooks: data } = await callWebhooksApi('', { method: 'GET' })
+      setWebhooks(data || [])
+    } catch (error) {
+      console.error('Error fetching webhooks:', error)
+      toast.error('Error loading webhooks: ' + error.message)
+    }
+
+    setLoading(false)
+  }
+
+  const fetchDeliveries = async (webhookId) => {
+    try {
+      const { deliveries: data } = await callWebhooksApi(`/${webhookId}/deliveries`, { method: 'GET' })
+      setDeliveries(prev => ({ ...prev, [webhookId]: data || [] }))
+    } catch (error) {
+      console.error('Error fetching webhook deliveries:', error)
+      toast.error('Error loading deliveries: ' + error.message)
+    }
+  }
+
+  const toggleEvent = (event) => {
+    setEvents(prev => prev.includes(event) ? prev.filter(e => e !== event) : [...prev, event])
+  }
+
+  const createWebhook = async (e) => {
+    e.preventDefault()
+
+    if (!url.trim()) {
+      toast.error('Please enter a URL')
+      return
+    }
+    if (events.length === 0) {
+      toast.error('Please select at least one event')
+      return
+    }
+
+    setIsCreating(true)
+
+    try {
+      const { webhook: { secret, ...webhook } } = await callWebhooksApi('', { body: { url: url.trim(), events } })
+      toast.success('Webhook created')
+      setUrl('')
+      setWebhooks(prev => [...prev, webhook])
+      setNewSecret({ webhookId: webhook.id, secret })
+    } catch (error) {
+      console.error('Error creating webhook:', error)
+      toast.error('Error creating webhook: ' + error.message)
+    } finally {
+      setIsCreating(false)
+    }
+  }
+
+  const toggleWebhook = async (webhook) => {
+    try {
+      const { webhook: updated } = await callWebhooksApi(`/${webhook.id}`, {
+        method: 'PATCH',
+        body: { enabled: !webhook.enabled }
+      })
+      setWebhooks(prev => prev.map(w => w.id === webhook.id ? updated : w))
+    } catch (error) {
+      console.error('Error updating webhook:', error)
+      toast.error('Error updating webhook: ' + error.message)
+    }
+  }
+
+  const deleteWebhook = async (webhook) => {
+    if (!confirm(`Delete the webhook for ${webhook.url} and its delivery log?`)) return
+
+    try {
+      await callWebhooksApi(`/${webhook.id}`, { method: 'DELETE' })
+    } catch (error) {
+      console.error('Error deleting webhook:', error)
+      toast.error('Error deleting webhook: ' + error.message)
+      return
+    }
+
+    toast.success('Webhook deleted')
+    setWebhooks(prev => prev.filter(w => w.id !== webhook.id))
+  }
+
+  const sendTest = async (webhook) => {
+    try {
+      const { delivered } = await callWebhooksApi(`/${webhook.id}/test`)
+      if (delivered) {
+        toast.success('Test event delivered')
+      } else {
+        toast.error('Test event failed, see the delivery log')
+      }
+      setExpandedWebhookId(webhook.id)
+      fetchDeliveries(webhook.id)
+    } catch (error) {
+      console.error('Error sending test webhook:', error)
+      toast.error('Error sending test event: ' + error.message)
+    }
+  }
+
+  const copySecret = async (secret) => {
+    try {
+      await navigator.clipboard.writeText(secret)
+      toast.success('Secret copied')
+    } catch (error) {
+      toast.error('Could not copy the secret')
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="text-center py-8 text-gray-500 text-sm">Loading webhooks...</div>
+    )
+  }
+
+  return (
+    <div className="space-y-4 sm:space-y-6">
+      <div>
+        <h2 className="text-lg sm:text-xl font-semibold">Webhooks</h2>
+        <p className="text-sm text-gray-500">
+          Receive tracking events as signed JSON POST requests. Verify the
+          {' '}<code>X-Webhook-Signature</code> header with the webhook&apos;s secret.
+        </p>
+      </div>
+
+      <form onSubmit={createWebhook} className="bg-white p-4 sm:p-6 rounded-lg shadow-md border space-y-3 text-sm">
+        <input
+          type="url"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          placeholder="https://example.com/hooks/gps"
+          className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2">
+          {Object.entries(WEBHOOK_EVENT_LABELS).map(([event, label]) => (
+            <label key={event} className="flex items-center text-gray-700">
+              <input
+                type="checkbox"
+                checked={events.includes(event)}
+                onChange={() => toggleEvent(event)}
+                className="mr-2"
+              />
+              {label}
+              <span className="ml-1 text-xs text-gray-400">{event}</span>
+            </label>
+          ))}
+        </div>
+
+        <button
+          type="submit"
+          disabled={isCreating}
+          className="bg-blue-600 text-white px-3 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center"
+        >
+          <PlusIcon className="w-4 h-4 mr-1" />
+          {isCreating ? 'Creating...' : 'Add webhook'}
+        </button>
+      </form>
+
+      <div className="bg-white rounded-lg shadow-md border divide-y divide-gray-200">
+        {webhooks.map(webhook => (
+          <div key={webhook.id} className="p-4 space-y-3">
+            <div className="flex items-start justify-between space-x-3">
+              <div className={`min-w-0 ${webhook.enabled ? '' : 'opacity-50'}`}>
+                <p className="text-sm font-medium text-gray-900 truncate">{webhook.url}</p>
+                <p className="text-xs text-gray-500">{webhook.events.join(', ')}</p>
+              </div>
+              <div className="flex items-center space-x-2 flex-shrink-0">
+                <label className="flex items-center text-xs text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={webhook.enabled}
+                    onChange={() => toggleWebhook(webhook)}
+                    className="mr-1"
+                  />
+                  On
+                </label>
+                <button
+                  onClick={() => sendTest(webhook)}
+                  className="p-1 hover:bg-gray-200 rounded"
+                  title="Send test event"
+                >
+                  <PaperAirplaneIcon className="w-4 h-4 text-gray-600" />
+                </button>
+                <button
+                  onClick={() => deleteWebhook(webhook)}
+                  className="p-1 hover:bg-red-100 rounded"
+                  title="Delete webhook"
+                >
+                  <TrashIcon className="w-4 h-4 text-red-500" />
+                </button>
+              </div>
+            </div>
+
+            <div className="flex items-center space-x-2 text-xs">
+              <span className="text-gray-500">Secret:</span>
+              <code className="bg-gray-100 px-2 py-1 rounded truncate">
+                {newSecret?.webhookId === webhook.id ? newSecret.secret : 'whsec_••••••••'}
+              </code>
+              {newSecret?.webhookId === webhook.id ? (
+                <>
+                  <button
+                    onClick={() => copySecret(newSecret.secret)}
+                    className="p-1 hover:bg-gray-200 rounded"
+                    title="Copy secret"
+                  >
+                    <ClipboardDocumentIcon className="w-4 h-4 text-gray-600" />
+                  </button>
+                  <span className="text-amber-600">Copy it now, it will not be shown again</span>
+                </>
+              ) : (
+                <span className="text-gray-400">Only shown when the webhook is created</span>
+              )}
+            </div>
+
+            <button
+              onClick={() => setExpandedWebhookId(expandedWebhookId === webhook.id ? null : webhook.id)}
+              className="text-xs text-blue-600 hover:text-blue-800"
+            >
+              {expandedWebhookId === webhook.id ? 'Hide deliveries' : 'Recent deliveries'}
+            </button>
+
+            {expandedWebhookId === webhook.id && (
+              <ul className="text-xs divide-y divide-gray-100 border rounded">
+                {(deliveries[webhook.id] || []).map(delivery => (
+                  <li key={delivery.id} className="px-3 py-2 flex flex-wrap items-center gap-x-3 gap-y-1">
+                    <span className={`px-2 py-0.5 rounded-full ${DELIVERY_STATUS_STYLES[delivery.status]}`}>
+                      {delivery.status}
+                    </span>
+                    <span className="font-medium text-gray-800">{delivery.event}</span>
+                    <span className="text-gray-500">
+                      {format(new Date(delivery.created_at), 'MMM d, HH:mm:ss')}
+                    </span>
+                    <span className="text-gray-500">
+                      {delivery.attempts} attempt{delivery.attempts === 1 ? '' : 's'}
+                    </span>
+                    {delivery.response_status && (
+                      <span className="text-gray-500">HTTP {delivery.response_status}</span>
+                    )}
+                    {delivery.error && delivery.status !== 'succeeded' && (
+                      <span className="text-red-600 truncate">{delivery.error}</span>
+                    )}
+                    {delivery.status === 'pending' && delivery.next_attempt_at && (
+                      <span className="text-gray-500">
+                        next try {format(new Date(delivery.next_attempt_at), 'HH:mm:ss')}
+                      </span>
+                    )}
+                  </li>
+                ))}
+
+                {(deliveries[webhook.id] || []).length === 0 && (
+                  <li className="px-3 py-2 text-gray-500">No deliveries yet</li>
+                )}
+              </ul>
+            )}
+          </div>
+        ))}
+
+        {webhooks.length === 0 && (
+          <div className="text-center py-8 sm:py-12">
+            <LinkIcon className="mx-auto h-10 w-10 sm:h-12 sm:w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No webhooks yet</h3>
+            <p className="mt-1 text-sm text-gray-500">Add a URL above to start receiving events.</p>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,342 @@
+// src/lib/alerts.js
+// User-defined alert rules. Rules apply to one device or, without device_id,
+// to all devices of their owner. Speed rules are checked on incoming fixes,
+// battery rules on status updates and offline/inactivity rules by the periodic
+// checker in the Socket.IO server. Proximity and separation rules watch a pair
+// of devices the owner can see and are checked whenever either one reports.
+// Triggered alerts are stored and pushed to the owner's room as
+// `alert-triggered` and to their webhooks.
+import { supabase } from './supabase'
+import { calculateDistance } from './geo'
+import { canViewDevice } from './circles'
+import { dispatchWebhookEvent } from './webhooks'
+
+// Movement within this radius (meters) does not count as moving
+const INACTIVITY_RADIUS_M = 200
+
+// A pair has to get this much past the threshold in the other direction
+// before a proximity or separation rule can fire again, so devices hovering
+// around the boundary do not produce a stream of alerts
+const PROXIMITY_HYSTERESIS_RATIO = 0.2
+const MIN_PROXIMITY_HYSTERESIS_M = 25
+// The other device's position must be at least this recent to compare against
+const PROXIMITY_MAX_FIX_AGE_MS = 30 * 60 * 1000
+
+// Rules can be limited to a daily window (e.g. daytime) in the owner's timezone.
+// Windows may wrap around midnight.
+export const isWithinActiveWindow = (rule, date = new Date()) => {
+  if (!rule.active_from || !rule.active_to) return true
+
+  let localTime
+  try {
+    localTime = new Intl.DateTimeFormat('en-GB', {
+      timeZone: rule.timezone || 'UTC',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).format(date)
+  } catch (error) {
+    localTime = date.toISOString().slice(11, 16)
+  }
+
+  const from = rule.active_from.slice(0, 5)
+  const to = rule.active_to.slice(0, 5)
+
+  return from <= to
+    ? localTime >= from && localTime < to
+    : localTime >= from || localTime < to
+}
+
+const getActiveRules = async (userId, deviceId, ruleTypes) => {
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('enabled', true)
+    .in('rule_type', ruleTypes)
+
+  if (error) {
+    console.error('Error fetching alert rules:', error)
+    return []
+  }
+
+  return (data || []).filter(rule =>
+    (!rule.device_id || rule.device_id === deviceId) && isWithinActiveWindow(rule)
+  )
+}
+
+// Store and push an alert unless the rule fired for this device within its
+// cooldown, or (with `since`) already fired during the current episode.
+// Resolves to the alert row, or null when suppressed.
+export const triggerAlert = async (io, rule, device, { value, message, since = null }) => {
+  const { data: previous, error: previousError } = await supabase
+    .from('alerts')
+    .select('triggered_at')
+    .eq('rule_id', rule.id)
+    .eq('device_id', device.id)
+    .order('triggered_at', { ascending: false })
+    .limit(1)
+
+  if (previousError) {
+    console.error('Error fetching previous alert:', previousError)
+    return null
+  }
+
+  const lastTriggered = previous?.[0] ? new Date(previous[0].triggered_at).getTime() : null
+  if (lastTriggered !== null) {
+    if (Date.now() - lastTriggered < rule.cooldown_minutes * 60 * 1000) return null
+    if (since && lastTriggered >= new Date(since).getTime()) return null
+  }
+
+  const { data: alert, error } = await supabase
+    .from('alerts')
+    .insert({
+      rule_id: rule.id,
+      user_id: rule.user_id,
+      device_id: device.id,
+      rule_type: rule.rule_type,
+      message,
+      value
+    })
+    .select()
+    .single()
+
+  if (error) {
+    console.error('Error storing alert:', error)
+    return null
+  }
+
+  const payload = {
+    id: alert.id,
+    ruleId: rule.id,
+    ruleName: rule.name,
+    ruleType: rule.rule_type,
+    deviceId: device.id,
+    deviceName: device.device_name,
+    message,
+    value,
+    triggeredAt: alert.triggered_at
+  }
+
+  if (io) {
+    io.to(`user-${rule.user_id}`).emit('alert-triggered', payload)
+  }
+
+  await dispatchWebhookEvent([rule.user_id], 'alert.triggered', payload)
+
+  return alert
+}
+
+// Speed rules for a stored fix; `device` is { id, user_id, device_name }
+export const evaluateLocationRules = async (io, device, fix) => {
+  if (fix.speed === null || fix.speed === undefined) return
+
+  const speedKmh = Number(fix.speed) * 3.6
+  const rules = await getActiveRules(device.user_id, device.id, ['speed'])
+
+  for (const rule of rules) {
+    if (speedKmh > Number(rule.threshold)) {
+      await triggerAlert(io, rule, device, {
+        value: Math.round(speedKmh),
+        message: `${device.device_name} is moving at ${Math.round(speedKmh)} km/h (limit ${rule.threshold} km/h)`
+      })
+    }
+  }
+}
+
+// Side of a proximity/separation rule's threshold the pair is on: 'near',
+// 'far', or null inside the hysteresis band (keep the previous state)
+export const nextProximityState = (rule, distance) => {
+  const threshold = Number(rule.threshold)
+  const margin = Math.max(MIN_PROXIMITY_HYSTERESIS_M, threshold * PROXIMITY_HYSTERESIS_RATIO)
+
+  if (rule.rule_type === 'proximity') {
+    if (distance <= threshold) return 'near'
+    if (distance > threshold + margin) return 'far'
+  } else {
+    if (distance > threshold) return 'far'
+    if (distance < threshold - margin) return 'near'
+  }
+
+  return null
+}
+
+const getLatestFix = async (deviceId) => {
+  const { data, error } = await supabase
+    .from('location_history')
+    .select('latitude, longitude, timestamp')
+    .eq('device_id', deviceId)
+    .order('timestamp', { ascending: false })
+    .limit(1)
+
+  if (error) {
+    console.error('Error fetching latest fix:', error)
+    return null
+  }
+
+  return data?.[0] || null
+}
+
+// Move a rule from the state it was read with to `state`. Resolves to false
+// when a fix of the other device already moved it, so each crossing fires once.
+const updateProximityState = async (rule, state) => {
+  let query = supabase
+    .from('alert_rules')
+    .update({ proximity_state: state })
+    .eq('id', rule.id)
+
+  query = rule.proximity_state
+    ? query.eq('proximity_state', rule.proximity_state)
+    : query.is('proximity_state', null)
+
+  const { data, error } = await query.select('id')
+
+  if (error) {
+    console.error('Error updating proximity state:', error)
+    return false
+  }
+
+  return data.length > 0
+}
+
+// Proximity and separation rules of any user that involve the reporting device
+export const evaluateProximityRules = async (io, device, fix) => {
+  const { data: rules, error } = await supabase
+    .from('alert_rules')
+    .select('*')
+    .eq('enabled', true)
+    .in('rule_type', ['proximity', 'separation'])
+    .or(`device_id.eq.${device.id},other_device_id.eq.${device.id}`)
+
+  if (error) {
+    console.error('Error fetching proximity rules:', error)
+    return
+  }
+
+  for (const rule of (rules || []).filter(rule => isWithinActiveWindow(rule))) {
+    const otherDeviceId = rule.device_id === device.id ? rule.other_device_id : rule.device_id
+
+    // The owner may have lost sight of either device (left circle, paused sharing)
+    const [ownDevice, otherDevice] = await Promise.all([
+      canViewDevice(rule.user_id, device.id),
+      canViewDevice(rule.user_id, otherDeviceId)
+    ])
+    if (!ownDevice || !otherDevice) continue
+
+    const otherFix = await getLatestFix(otherDeviceId)
+    if (!otherFix || Date.now() - new Date(otherFix.timestamp).getTime() > PROXIMITY_MAX_FIX_AGE_MS) continue
+
+    const distance = calculateDistance(
+      Number(fix.latitude), Number(fix.longitude),
+      parseFloat(otherFix.latitude), parseFloat(otherFix.longitude)
+    )
+
+    const state = nextProximityState(rule, distance)
+    if (!state || state === rule.proximity_state) continue
+    if (!(await updateProximityState(rule, state))) continue
+
+    // The first reading only records where the pair is
+    const crossed = rule.proximity_state && (rule.rule_type === 'proximity' ? state === 'near' : state === 'far')
+    if (!crossed) continue
+
+    const pair = `${device.device_name} and ${otherDevice.device_name}`
+    await triggerAlert(io, rule, device, {
+      value: Math.round(distance),
+      message: rule.rule_type === 'proximity'
+        ? `${pair} are within ${rule.threshold} m of each other (${Math.round(distance)} m)`
+        : `${pair} are more than ${rule.threshold} m apart (${Math.round(distance)} m)`
+    })
+  }
+}
+
+// Battery rules for a status update
+export const evaluateStatusRules = async (io, device, { batteryLevel, isCharging }) => {
+  if (batteryLevel === null || batteryLevel === undefined || isCharging) return
+
+  const rules = await getActiveRules(device.user_id, device.id, ['battery'])
+
+  for (const rule of rules) {
+    if (batteryLevel < Number(rule.threshold)) {
+      await triggerAlert(io, rule, device, {
+        value: batteryLevel,
+        message: `${device.device_name} battery is at ${batteryLevel}% (below ${rule.threshold}%)`
+      })
+    }
+  }
+}
+
+// True when every fix of the last `hours` stayed near where the device was
+// when the window started. Devices without fixes in or before the window are
+// not considered inactive (that is what offline rules are for). The distance
+// is computed by the location_max_distance database function.
+const hasNotMoved = async (deviceId, hours) => {
+  const windowStart = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString()
+
+  const { data: maxDistance, error } = await supabase.rpc('location_max_distance', {
+    p_device_id: deviceId,
+    p_since: windowStart
+  })
+
+  if (error) {
+    console.error('Error checking device movement:', error)
+    return false
+  }
+
+  return maxDistance !== null && maxDistance <= INACTIVITY_RADIUS_M
+}
+
+// Offline and inactivity rules of all users, run by the periodic checker
+export const evaluatePeriodicRules = async (io) => {
+  const { data: rules, error } = await supabase
+    .from('alert_rules')
+    .select('*')
+    .eq('enabled', true)
+    .in('rule_type', ['offline', 'inactivity'])
+
+  if (error) {
+    console.error('Error fetching alert rules:', error)
+    return
+  }
+
+  const activeRules = (rules || []).filter(rule => isWithinActiveWindow(rule))
+  const userIds = [...new Set(activeRules.map(rule => rule.user_id))]
+  if (userIds.length === 0) return
+
+  const { data: devices, error: devicesError } = await supabase
+    .from('devices')
+    .select('id, user_id, device_name, last_seen')
+    .in('user_id', userIds)
+
+  if (devicesError) {
+    console.error('Error fetching devices for alert rules:', devicesError)
+    return
+  }
+
+  for (const rule of activeRules) {
+    const ruleDevices = devices.filter(device =>
+      device.user_id === rule.user_id && (!rule.device_id || rule.device_id === device.id)
+    )
+
+    for (const device of ruleDevices) {
+      if (rule.rule_type === 'offline') {
+        if (!device.last_seen) continue
+
+        const offlineMinutes = (Date.now() - new Date(device.last_seen).getTime()) / 60000
+        if (offlineMinutes > Number(rule.threshold)) {
+          // Once per offline period
+          await triggerAlert(io, rule, device, {
+            value: Math.round(offlineMinutes),
+            message: `${device.device_name} has been offline for ${Math.round(offlineMinutes)} minutes`,
+            since: device.last_seen
+          })
+        }
+      } else if (await hasNotMoved(device.id, Number(rule.threshold))) {
+        await triggerAlert(io, rule, device, {
+          value: Number(rule.threshold),
+          message: `${device.device_name} has not moved for ${rule.threshold} hours`,
+          since: new Date(Date.now() - Number(rule.threshold) * 60 * 60 * 1000).toISOString()
+        })
+      }
+    }
+  }
+}
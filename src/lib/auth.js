@@ -0,0 +1,23 @@
+// src/lib/auth.js
+// Server-side helpers for authenticating API routes and sockets
+import crypto from 'crypto'
+import { supabase } from './supabase'
+
+export const getBearerToken = (req) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ')
+  return scheme === 'Bearer' && token ? token : null
+}
+
+// Resolve a Supabase access token to its user, or null if it is missing or invalid
+export const getUserFromToken = async (token) => {
+  if (!token) return null
+
+  const { data: { user }, error } = await supabase.auth.getUser(token)
+  return error ? null : user
+}
+
+// Per-device secrets for the HTTP ingestion API. Only the hash is stored.
+export const generateDeviceSecret = () => `gps_${crypto.randomBytes(24).toString('hex')}`
+
+export const hashDeviceSecret = (secret) =>
+  crypto.createHash('sha256').update(secret).digest('hex')
@@ -0,0 +1,60 @@
+// src/lib/baseLayers.js
+
+// Base maps offered by the map's layer switcher when NEXT_PUBLIC_BASE_LAYERS
+// is not set. Each entry takes a Leaflet tile URL template.
+export const DEFAULT_BASE_LAYERS = [
+  {
+    id: 'osm',
+    name: 'OpenStreetMap',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '© OpenStreetMap contributors',
+    maxZoom: 19
+  },
+  {
+    id: 'satellite',
+    name: 'Satellite',
+    url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+    attribution: 'Tiles © Esri, Maxar, Earthstar Geographics',
+    maxZoom: 19
+  },
+  {
+    id: 'dark',
+    name: 'Dark',
+    url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+    attribution: '© OpenStreetMap contributors © CARTO',
+    subdomains: 'abcd',
+    maxZoom: 20
+  }
+]
+
+// NEXT_PUBLIC_BASE_LAYERS replaces the defaults with a JSON array of
+// { id, name, url, attribution, subdomains, maxZoom, maxNativeZoom }, e.g. a
+// tile server on the local network for machines without internet access.
+export const getConfiguredBaseLayers = () => {
+  const configured = process.env.NEXT_PUBLIC_BASE_LAYERS
+  if (!configured) return DEFAULT_BASE_LAYERS
+
+  try {
+    const layers = JSON.parse(configured)
+    if (!Array.isArray(layers) || layers.length === 0 || layers.some(layer => !layer.id || !layer.url)) {
+      throw new Error('expected a non-empty array of { id, url, ... }')
+    }
+    return layers.map(layer => ({ name: layer.id, ...layer }))
+  } catch (error) {
+    console.error('Invalid NEXT_PUBLIC_BASE_LAYERS, using the default base maps:', error)
+    return DEFAULT_BASE_LAYERS
+  }
+}
+
+// Layer shown until the user picks another one (remembered per browser)
+export const DEFAULT_BASE_LAYER_ID = process.env.NEXT_PUBLIC_DEFAULT_BASE_LAYER || null
+
+// MBTiles files served by /api/tiles, as base layers
+export const mbtilesBaseLayer = (tileset) => ({
+  id: `mbtiles:${tileset.id}`,
+  name: `${tileset.name} (offline)`,
+  url: `/api/tiles/${tileset.id}/{z}/{x}/{y}`,
+  attribution: tileset.attribution || '',
+  maxNativeZoom: tileset.maxZoom,
+  maxZoom: Math.max(tileset.maxZoom, 19)
+})
@@ -0,0 +1,47 @@
+// src/lib/battery.js
+// Battery telemetry reported with device status updates. Low-battery alerts
+// are `battery` alert rules (see evaluateStatusRules in alerts.js).
+import { supabase } from './supabase'
+
+export const isValidBatteryLevel = (level) =>
+  Number.isInteger(level) && level >= 0 && level <= 100
+
+// Store the battery state of a device, adding a history row whenever it
+// changes. Resolves to the device, or null when it could not be updated.
+export const recordBatteryStatus = async (deviceId, { level, charging }) => {
+  const { data: device, error: fetchError } = await supabase
+    .from('devices')
+    .select('id, user_id, device_name, battery_level, is_charging')
+    .eq('id', deviceId)
+    .single()
+
+  if (fetchError) {
+    console.error('Error fetching device battery:', fetchError)
+    return null
+  }
+
+  const isCharging = typeof charging === 'boolean' ? charging : null
+  const changed = device.battery_level !== level || device.is_charging !== isCharging
+
+  if (!changed) return device
+
+  const { error: updateError } = await supabase
+    .from('devices')
+    .update({ battery_level: level, is_charging: isCharging })
+    .eq('id', deviceId)
+
+  if (updateError) {
+    console.error('Error updating device battery:', updateError)
+    return null
+  }
+
+  const { error: historyError } = await supabase
+    .from('battery_history')
+    .insert({ device_id: deviceId, level, is_charging: isCharging })
+
+  if (historyError) {
+    console.error('Error storing battery history:', historyError)
+  }
+
+  return { ...device, battery_level: level, is_charging: isCharging }
+}
@@ -0,0 +1,105 @@
+// src/lib/circles.js
+import { supabase } from './supabase'
+
+// IDs of every user who shares at least one accepted circle with `userId`,
+// including the user themselves. This is the visibility rule for the live map.
+export const getSharedUserIds = async (userId) => {
+  try {
+    const { data: memberships, error } = await supabase
+      .from('circle_members')
+      .select('circle_id')
+      .eq('user_id', userId)
+      .eq('status', 'accepted')
+
+    if (error) {
+      console.error('Error fetching circle memberships:', error)
+      return [userId]
+    }
+
+    if (!memberships || memberships.length === 0) return [userId]
+
+    const { data: members, error: membersError } = await supabase
+      .from('circle_members')
+      .select('user_id')
+      .in('circle_id', memberships.map(m => m.circle_id))
+      .eq('status', 'accepted')
+
+    if (membersError) {
+      console.error('Error fetching circle members:', membersError)
+      return [userId]
+    }
+
+    return [...new Set([userId, ...members.map(m => m.user_id)])]
+  } catch (error) {
+    console.error('Error resolving shared users:', error)
+    return [userId]
+  }
+}
+
+// IDs of the given devices that have an open SOS
+const getDevicesWithActiveSos = async (deviceIds) => {
+  if (deviceIds.length === 0) return new Set()
+
+  const { data, error } = await supabase
+    .from('sos_events')
+    .select('device_id')
+    .in('device_id', deviceIds)
+    .eq('status', 'active')
+
+  if (error) {
+    console.error('Error fetching active SOS events:', error)
+    return new Set()
+  }
+
+  return new Set(data.map(sos => sos.device_id))
+}
+
+// Users who may see a device: its circles, or only its owner while sharing
+// is paused. An open SOS overrides the pause, so the people alerted can also
+// follow the device. `device` needs id, user_id and sharing_paused.
+export const getDeviceViewerIds = async (device) => {
+  if (device.sharing_paused && !(await getDevicesWithActiveSos([device.id])).has(device.id)) {
+    return [device.user_id]
+  }
+  return getSharedUserIds(device.user_id)
+}
+
+// Return the device if `userId` may see it (owner or shared circle), else null
+export const canViewDevice = async (userId, deviceId) => {
+  const { data: device, error } = await supabase
+    .from('devices')
+    .select('id, user_id, device_name, device_type, sharing_paused')
+    .eq('id', deviceId)
+    .maybeSingle()
+
+  if (error || !device) return null
+
+  const viewerIds = await getDeviceViewerIds(device)
+  return viewerIds.includes(userId) ? device : null
+}
+
+// Every device `userId` may see on the live map: their own plus those of
+// people sharing a circle with them, except devices with paused sharing and
+// no open SOS
+export const getVisibleDevices = async (userId) => {
+  const sharedUserIds = await getSharedUserIds(userId)
+
+  const { data, error } = await supabase
+    .from('devices')
+    .select('id, user_id, device_name, device_type, sharing_paused')
+    .in('user_id', sharedUserIds)
+
+  if (error) {
+    console.error('Error fetching visible devices:', error)
+    return []
+  }
+
+  const pausedIds = data
+    .filter(device => device.sharing_paused && device.user_id !== userId)
+    .map(device => device.id)
+  const sosDeviceIds = await getDevicesWithActiveSos(pausedIds)
+
+  return data.filter(device =>
+    !device.sharing_paused || device.user_id === userId || sosDeviceIds.has(device.id)
+  )
+}
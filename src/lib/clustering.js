@@ -0,0 +1,37 @@
+// src/lib/clustering.js
+// Greedy distance clustering of points in screen space (pixels). Each cluster
+// is anchored at its first point, so clusters stay put as the input order
+// stays the same. A grid of `radius`-sized cells keeps it close to O(n).
+
+// `points` are { x, y, ... }; resolves to [{ x, y, points }]
+export const clusterPoints = (points, radius) => {
+  const cells = new Map()
+  const clusters = []
+
+  for (const point of points) {
+    const cellX = Math.floor(point.x / radius)
+    const cellY = Math.floor(point.y / radius)
+    let target = null
+
+    for (let dx = -1; dx <= 1 && !target; dx++) {
+      for (let dy = -1; dy <= 1 && !target; dy++) {
+        const candidates = cells.get(`${cellX + dx}:${cellY + dy}`) || []
+        target = candidates.find(cluster =>
+          Math.hypot(cluster.x - point.x, cluster.y - point.y) <= radius
+        ) || null
+      }
+    }
+
+    if (!target) {
+      target = { x: point.x, y: point.y, points: [] }
+      clusters.push(target)
+
+      const key = `${cellX}:${cellY}`
+      cells.set(key, [...(cells.get(key) || []), target])
+    }
+
+    target.points.push(point)
+  }
+
+  return clusters
+}
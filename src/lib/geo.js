@@ -0,0 +1,78 @@
+// src/lib/geo.js
+
+// Distance in meters between two coordinates using the Haversine formula
+export const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const R = 6371e3
+  const φ1 = lat1 * Math.PI/180
+  const φ2 = lat2 * Math.PI/180
+  const Δφ = (lat2-lat1) * Math.PI/180
+  const Δλ = (lon2-lon1) * Math.PI/180
+
+  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
+            Math.cos(φ1) * Math.cos(φ2) *
+            Math.sin(Δλ/2) * Math.sin(Δλ/2)
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a))
+
+  return R * c
+}
+
+// Initial compass bearing in degrees (0 = north, clockwise) from point 1 to point 2
+export const calculateBearing = (lat1, lon1, lat2, lon2) => {
+  const φ1 = lat1 * Math.PI/180
+  const φ2 = lat2 * Math.PI/180
+  const Δλ = (lon2-lon1) * Math.PI/180
+
+  const y = Math.sin(Δλ) * Math.cos(φ2)
+  const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ)
+
+  return (Math.atan2(y, x) * 180/Math.PI + 360) % 360
+}
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW']
+
+// Nearest of the eight compass points for a bearing in degrees
+export const compassDirection = (bearing) => COMPASS_POINTS[Math.round(bearing / 45) % 8]
+
+export const formatDistance = (distance) => {
+  if (distance < 1000) {
+    return `${Math.round(distance)} m`
+  } else if (distance < 100000) {
+    return `${(distance / 1000).toFixed(1)} km`
+  } else {
+    return `${Math.round(distance / 1000)} km`
+  }
+}
+
+// Ray casting test; polygon is an array of [lat, lng] pairs
+export const isPointInPolygon = (lat, lng, polygon) => {
+  let inside = false
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i]
+    const [latJ, lngJ] = polygon[j]
+
+    const intersects = ((lngI > lng) !== (lngJ > lng)) &&
+      (lat < (latJ - latI) * (lng - lngI) / (lngJ - lngI) + latI)
+
+    if (intersects) inside = !inside
+  }
+
+  return inside
+}
+
+// Check whether a point lies within a stored geofence row
+export const isInsideGeofence = (geofence, lat, lng) => {
+  if (geofence.shape_type === 'circle') {
+    const distance = calculateDistance(
+      parseFloat(geofence.center_latitude), parseFloat(geofence.center_longitude),
+      lat, lng
+    )
+    return distance <= parseFloat(geofence.radius)
+  }
+
+  if (geofence.shape_type === 'polygon') {
+    return isPointInPolygon(lat, lng, geofence.coordinates || [])
+  }
+
+  return false
+}
@@ -0,0 +1,75 @@
+// src/lib/geofences.js
+import { supabase } from './supabase'
+import { isInsideGeofence } from './geo'
+
+// Compare a new fix against the owner's geofences and record every boundary
+// crossing as an enter/exit event. Returns the recorded events.
+export const detectGeofenceTransitions = async (device, { latitude, longitude, timestamp }) => {
+  try {
+    const { data: geofences, error: geofencesError } = await supabase
+      .from('geofences')
+      .select('*')
+      .eq('user_id', device.user_id)
+
+    if (geofencesError) {
+      console.error('Error fetching geofences:', geofencesError)
+      return []
+    }
+
+    if (!geofences || geofences.length === 0) return []
+
+    // Last known state of this device for each fence
+    const { data: states, error: statesError } = await supabase
+      .from('current_geofence_states')
+      .select('geofence_id, event_type')
+      .eq('device_id', device.id)
+
+    if (statesError) {
+      console.error('Error fetching geofence states:', statesError)
+      return []
+    }
+
+    const wasInside = {}
+    for (const state of states || []) {
+      wasInside[state.geofence_id] = state.event_type === 'enter'
+    }
+
+    const lat = parseFloat(latitude)
+    const lng = parseFloat(longitude)
+
+    const events = geofences
+      .map(geofence => {
+        const isInside = isInsideGeofence(geofence, lat, lng)
+        if (isInside === !!wasInside[geofence.id]) return null
+
+        return {
+          geofence_id: geofence.id,
+          device_id: device.id,
+          event_type: isInside ? 'enter' : 'exit',
+          latitude: lat,
+          longitude: lng,
+          timestamp: timestamp || new Date().toISOString()
+        }
+      })
+      .filter(Boolean)
+
+    if (events.length === 0) return []
+
+    const { error: insertError } = await supabase
+      .from('geofence_events')
+      .insert(events)
+
+    if (insertError) {
+      console.error('Error recording geofence events:', insertError)
+      return []
+    }
+
+    return events.map(event => ({
+      ...event,
+      geofence_name: geofences.find(g => g.id === event.geofence_id).name
+    }))
+  } catch (error) {
+    console.error('Error detecting geofence transitions:', error)
+    return []
+  }
+}
@@ -0,0 +1,137 @@
+// src/lib/history.js
+import { supabase } from './supabase'
+
+// PostgREST caps each response, so long ranges are read page by page
+const PAGE_SIZE = 1000
+export const MAX_HISTORY_POINTS = 100000
+
+// All fixes of a device between two ISO timestamps, oldest first
+export const fetchLocationHistory = async (deviceId, from, to) => {
+  const points = []
+
+  while (points.length < MAX_HISTORY_POINTS) {
+    const { data, error } = await supabase
+      .from('location_history')
+      .select('latitude, longitude, accuracy, speed, heading, altitude, timestamp')
+      .eq('device_id', deviceId)
+      .gte('timestamp', from)
+      .lte('timestamp', to)
+      .order('timestamp', { ascending: true })
+      .range(points.length, points.length + PAGE_SIZE - 1)
+
+    if (error) throw error
+
+    points.push(...data)
+    if (data.length < PAGE_SIZE) break
+  }
+
+  return points
+}
+
+export const MAX_FILTERED_FIXES = 10000
+
+// Fixes the plausibility filter rejected between two ISO timestamps, oldest first
+export const fetchFilteredFixes = async (deviceId, from, to) => {
+  const fixes = []
+
+  while (fixes.length < MAX_FILTERED_FIXES) {
+    const { data, error } = await supabase
+      .from('filtered_locations')
+      .select('latitude, longitude, accuracy, timestamp, reason, details')
+      .eq('device_id', deviceId)
+      .gte('timestamp', from)
+      .lte('timestamp', to)
+      .order('timestamp', { ascending: true })
+      .range(fixes.length, fixes.length + PAGE_SIZE - 1)
+
+    if (error) throw error
+
+    fixes.push(...data)
+    if (data.length < PAGE_SIZE) break
+  }
+
+  return fixes
+}
+
+// Latest fix of each device, with its device and owner details
+export const fetchLatestLocations = async (deviceIds) => {
+  if (deviceIds.length === 0) return []
+
+  const { data, error } = await supabase
+    .from('current_device_locations')
+    .select('*')
+    .in('device_id', deviceIds)
+
+  if (!error) return data
+
+  console.error('Error with view, trying direct query:', error)
+
+  const { data: locations, error: locError } = await supabase
+    .from('location_history')
+    .select(`
+      *,
+      devices!inner(
+        id,
+        device_name,
+        device_type,
+        is_online,
+        user_id,
+        sharing_paused
+      )
+    `)
+    .in('device_id', deviceIds)
+    .order('timestamp', { ascending: false })
+    .limit(100)
+
+  if (locError) throw locError
+
+  // Newest first, so the first row of each device is its latest fix
+  const latest = new Map()
+  for (const loc of locations) {
+    if (latest.has(loc.device_id)) continue
+    latest.set(loc.device_id, {
+      device_id: loc.device_id,
+      device_name: loc.devices.device_name,
+      device_type: loc.devices.device_type,
+      is_online: loc.devices.is_online,
+      latitude: loc.latitude,
+      longitude: loc.longitude,
+      accuracy: loc.accuracy,
+      speed: loc.speed,
+      timestamp: loc.timestamp,
+      user_id: loc.devices.user_id,
+      sharing_paused: loc.devices.sharing_paused,
+      username: 'Unknown'
+    })
+  }
+
+  return [...latest.values()]
+}
+
+const METERS_PER_DEGREE_LATITUDE = 111320
+export const MAX_HEATMAP_CELLS = 20000
+
+// Fix counts per grid cell of about `cellMeters` square, aggregated by the
+// location_heatmap database function. Densest cells come first, so hitting
+// MAX_HEATMAP_CELLS only drops the faintest ones.
+export const fetchHeatmapCells = async (deviceIds, from, to, cellMeters) => {
+  const cells = []
+
+  while (cells.length < MAX_HEATMAP_CELLS) {
+    const { data, error } = await supabase
+      .rpc('location_heatmap', {
+        p_device_ids: deviceIds,
+        p_from: from,
+        p_to: to,
+        p_cell_degrees: cellMeters / METERS_PER_DEGREE_LATITUDE
+      })
+      .range(cells.length, cells.length + PAGE_SIZE - 1)
+
+    if (error) throw error
+
+    cells.push(...data)
+    if (data.length < PAGE_SIZE) break
+  }
+
+  return cells
+}
@@ -0,0 +1,7 @@
+// src/lib/html.js
+// Leaflet tooltips, popups and divIcons take HTML strings, so user-entered
+// text (device, user and geofence names) must be escaped before going in.
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }
+
+export const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char])
@@ -0,0 +1,129 @@
+// src/lib/locationFilter.js
+// Plausibility checks for incoming fixes. Browser geolocation occasionally
+// reports positions kilometres away (Wi-Fi/IP positioning) for a single fix;
+// those are stored in filtered_locations instead of location_history so they
+// never reach the map, but can still be reviewed.
+import { supabase } from './supabase'
+import { calculateDistance } from './geo'
+
+const numberFromEnv = (name, fallback) => {
+  const value = Number(process.env[name])
+  return value > 0 ? value : fallback
+}
+
+// Fixes less accurate than this (meters) are rejected
+export const MAX_ACCURACY_M = numberFromEnv('LOCATION_MAX_ACCURACY_M', 1000)
+// Fastest plausible movement between two fixes (km/h)
+export const MAX_SPEED_KMH = numberFromEnv('LOCATION_MAX_SPEED_KMH', 300)
+// Allowed clock skew for fix timestamps ahead of the server
+export const MAX_CLOCK_SKEW_MS = 60 * 1000
+// Only compare against a previous fix this recent, so one bad accepted fix
+// cannot cause every later fix to be rejected
+export const SPEED_CHECK_WINDOW_MS = 10 * 60 * 1000
+
+// Returns { reason, details } when the fix should be rejected, or null.
+// `previousFix` is the last accepted fix of the device before this one.
+export const assessFix = (fix, previousFix = null) => {
+  const timestamp = new Date(fix.timestamp).getTime()
+
+  if (timestamp - Date.now() > MAX_CLOCK_SKEW_MS) {
+    return { reason: 'future_timestamp', details: { serverTime: new Date().toISOString() } }
+  }
+
+  const accuracy = fix.accuracy !== null && fix.accuracy !== undefined ? Number(fix.accuracy) : null
+  if (accuracy !== null && accuracy > MAX_ACCURACY_M) {
+    return { reason: 'poor_accuracy', details: { accuracy, limit: MAX_ACCURACY_M } }
+  }
+
+  if (previousFix) {
+    const elapsedMs = timestamp - new Date(previousFix.timestamp).getTime()
+
+    if (elapsedMs >= 0 && elapsedMs <= SPEED_CHECK_WINDOW_MS) {
+      const distance = calculateDistance(
+        parseFloat(previousFix.latitude), parseFloat(previousFix.longitude),
+        parseFloat(fix.latitude), parseFloat(fix.longitude)
+      )
+
+      // Both positions may be off by their accuracy radius
+      const uncertainty = (Number(previousFix.accuracy) || 0) + (accuracy || 0)
+      const impliedSpeedKmh = (Math.max(0, distance - uncertainty) / Math.max(elapsedMs / 1000, 1)) * 3.6
+
+      if (impliedSpeedKmh > MAX_SPEED_KMH) {
+        return {
+          reason: 'impossible_speed',
+          details: {
+            distance: Math.round(distance),
+            elapsedSeconds: Math.round(elapsedMs / 1000),
+            impliedSpeedKmh: Math.round(impliedSpeedKmh),
+            limit: MAX_SPEED_KMH
+          }
+        }
+      }
+    }
+  }
+
+  return null
+}
+
+// Last stored fix of a device at or before `timestamp`
+export const getPreviousFix = async (deviceId, timestamp) => {
+  const { data, error } = await supabase
+    .from('location_history')
+    .select('latitude, longitude, accuracy, timestamp')
+    .eq('device_id', deviceId)
+    .lte('timestamp', timestamp)
+    .order('timestamp', { ascending: false })
+    .limit(1)
+
+  if (error) {
+    console.error('Error fetching previous fix:', error)
+    return null
+  }
+
+  return data?.[0] || null
+}
+
+export const storeFilteredFixes = async (rejected) => {
+  if (rejected.length === 0) return
+
+  const { error } = await supabase
+    .from('filtered_locations')
+    .insert(rejected.map(({ fix, reason, details }) => ({
+      device_id: fix.deviceId,
+      latitude: fix.latitude,
+      longitude: fix.longitude,
+      accuracy: fix.accuracy,
+      speed: fix.speed,
+      heading: fix.heading,
+      altitude: fix.altitude,
+      timestamp: fix.timestamp,
+      reason,
+      details
+    })))
+
+  if (error) {
+    console.error('Error storing filtered fixes:', error)
+  }
+}
+
+// Split time-ordered fixes of one device into accepted and rejected ones,
+// checking each against the last accepted fix before it
+export const filterFixes = async (deviceId, sortedFixes) => {
+  const accepted = []
+  const rejected = []
+  if (sortedFixes.length === 0) return { accepted, rejected }
+
+  let previousFix = await getPreviousFix(deviceId, sortedFixes[0].timestamp)
+
+  for (const fix of sortedFixes) {
+    const decision = assessFix(fix, previousFix)
+    if (decision) {
+      rejected.push({ fix, ...decision })
+    } else {
+      accepted.push(fix)
+      previousFix = fix
+    }
+  }
+
+  return { accepted, rejected }
+}
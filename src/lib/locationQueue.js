@@ -0,0 +1,62 @@
+// src/lib/locationQueue.js
+// Durable on-device queue (IndexedDB) for fixes recorded while offline
+
+const DB_NAME = 'gps-tracker'
+const STORE_NAME = 'queued-locations'
+
+let dbPromise = null
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1)
+
+      request.onupgradeneeded = () => {
+        // Auto-increment keys keep fixes in the order they were recorded
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        dbPromise = null
+        reject(request.error)
+      }
+    })
+  }
+  return dbPromise
+}
+
+// Run `callback` against the store and resolve with its request result once the transaction commits
+const runTransaction = async (mode, callback) => {
+  const db = await openDatabase()
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode)
+    const request = callback(transaction.objectStore(STORE_NAME))
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+export const enqueueLocation = (locationData) =>
+  runTransaction('readwrite', store => store.add(locationData))
+
+// Oldest fixes first, each with its queue `id`
+export const getQueuedLocations = (limit) =>
+  runTransaction('readonly', store => store.getAll(null, limit))
+
+export const removeQueuedLocations = (ids) =>
+  runTransaction('readwrite', store => {
+    ids.forEach(id => store.delete(id))
+  })
+
+export const countQueuedLocations = () =>
+  runTransaction('readonly', store => store.count())
+
+// Drop every queued fix of a device, e.g. after it was deleted
+export const removeQueuedLocationsForDevice = async (deviceId) => {
+  const queued = await runTransaction('readonly', store => store.getAll())
+  const ids = queued.filter(fix => fix.deviceId === deviceId).map(fix => fix.id)
+  if (ids.length > 0) await removeQueuedLocations(ids)
+}
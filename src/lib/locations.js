@@ -0,0 +1,301 @@
+// src/lib/locations.js
+// Shared write path for incoming fixes, used by the Socket.IO handler and the
+// HTTP ingestion API so the map updates the same way whichever one is used.
+// `io` may be null when the Socket.IO server has not been started yet; fixes
+// are still stored, just not broadcast.
+import { supabase } from './supabase'
+import { detectGeofenceTransitions } from './geofences'
+import { getSharedUserIds, getDeviceViewerIds } from './circles'
+import { filterFixes, storeFilteredFixes } from './locationFilter'
+import { evaluateLocationRules, evaluateProximityRules } from './alerts'
+import { dispatchWebhookEvent, dispatchToDeviceViewers } from './webhooks'
+
+// Fixes older than this are history, not live positions (matches the offline checker)
+export const LIVE_THRESHOLD_MS = 2 * 60 * 1000
+export const MAX_BATCH_SIZE = 500
+
+export const isLiveFix = (fix) =>
+  !fix.timestamp || Date.now() - new Date(fix.timestamp).getTime() < LIVE_THRESHOLD_MS
+
+// Returns an error message for a malformed fix, or null
+export const validateFix = (fix) => {
+  if (!fix || typeof fix !== 'object') return 'Fix must be an object'
+
+  const latitude = Number(fix.latitude)
+  const longitude = Number(fix.longitude)
+
+  if (fix.latitude === null || fix.latitude === undefined || isNaN(latitude) || latitude < -90 || latitude > 90) {
+    return 'latitude must be a number between -90 and 90'
+  }
+  if (fix.longitude === null || fix.longitude === undefined || isNaN(longitude) || longitude < -180 || longitude > 180) {
+    return 'longitude must be a number between -180 and 180'
+  }
+  if (fix.timestamp && isNaN(new Date(fix.timestamp).getTime())) {
+    return 'timestamp must be an ISO 8601 date'
+  }
+
+  return null
+}
+
+// Emit to the rooms of everyone who shares a circle with the device owner
+export const emitToSharedUsers = async (io, ownerId, event, payload) => {
+  if (!io) return
+
+  const userIds = await getSharedUserIds(ownerId)
+  io.to(userIds.map(id => `user-${id}`)).emit(event, payload)
+}
+
+// Emit an event about one device to everyone who can see it. `device` needs
+// user_id and sharing_paused.
+export const emitToDeviceViewers = async (io, device, event, payload) => {
+  if (!io) return
+
+  const userIds = await getDeviceViewerIds(device)
+  io.to(userIds.map(id => `user-${id}`)).emit(event, payload)
+}
+
+// Record geofence crossings for a fix and tell the owner about them
+const notifyGeofenceEvents = async (io, device, fix) => {
+  const geofenceEvents = await detectGeofenceTransitions(device, fix)
+
+  for (const event of geofenceEvents) {
+    const payload = {
+      geofenceId: event.geofence_id,
+      geofenceName: event.geofence_name,
+      deviceId: event.device_id,
+      deviceName: device.device_name,
+      eventType: event.event_type,
+      latitude: event.latitude,
+      longitude: event.longitude,
+      timestamp: event.timestamp
+    }
+
+    if (io) {
+      io.to(`user-${device.user_id}`).emit('geofence-event', payload)
+    }
+    await dispatchWebhookEvent([device.user_id], 'geofence.triggered', payload)
+  }
+}
+
+const toLocationRow = (fix) => ({
+  device_id: fix.deviceId,
+  latitude: fix.latitude,
+  longitude: fix.longitude,
+  accuracy: fix.accuracy,
+  speed: fix.speed,
+  heading: fix.heading,
+  altitude: fix.altitude,
+  timestamp: fix.timestamp || new Date().toISOString()
+})
+
+// Update last seen and online status. Resolves to { device, changed } where
+// `changed` tells whether the online status flipped with this update.
+export const updateDevicePresence = async (deviceId, isOnline) => {
+  const update = { is_online: isOnline, last_seen: new Date().toISOString() }
+
+  // Only matches when the status actually changes
+  const { data: flipped, error: flipError } = await supabase
+    .from('devices')
+    .update(update)
+    .eq('id', deviceId)
+    .eq('is_online', !isOnline)
+    .select('id, user_id, device_name, sharing_paused')
+
+  if (flipError) {
+    console.error('Error updating device:', flipError)
+    return { device: null, changed: false }
+  }
+
+  if (flipped?.length) return { device: flipped[0], changed: true }
+
+  const { data: device, error } = await supabase
+    .from('devices')
+    .update(update)
+    .eq('id', deviceId)
+    .select('id, user_id, device_name, sharing_paused')
+    .single()
+
+  if (error) {
+    console.error('Error updating device:', error)
+    return { device: null, changed: false }
+  }
+
+  return { device, changed: false }
+}
+
+// Tell webhooks that a device came online or went offline
+export const notifyPresenceChange = (device, isOnline) =>
+  dispatchToDeviceViewers(device, isOnline ? 'device.online' : 'device.offline', {
+    deviceId: device.id,
+    deviceName: device.device_name,
+    timestamp: new Date().toISOString()
+  })
+
+// Mark a device that just reported a fix as online, returning its owner
+const markDeviceSeen = async (deviceId) => {
+  const { device, changed } = await updateDevicePresence(deviceId, true)
+  if (device && changed) await notifyPresenceChange(device, true)
+  return device
+}
+
+// Get device info with user details
+const getDeviceInfo = async (deviceId) => {
+  const { data } = await supabase
+    .from('devices_with_users')
+    .select('*')
+    .eq('id', deviceId)
+    .single()
+
+  return data
+}
+
+const broadcastLiveLocation = async (io, device, fix) => {
+  const deviceInfo = await getDeviceInfo(device.id)
+
+  await emitToDeviceViewers(io, device, 'location-updated', {
+    ...fix,
+    deviceInfo
+  })
+
+  if (io) {
+    io.to(`user-${device.user_id}`).emit('device-location-updated', {
+      ...fix,
+      deviceInfo
+    })
+  }
+
+  await dispatchToDeviceViewers(device, 'location.updated', {
+    deviceId: device.id,
+    deviceName: device.device_name,
+    latitude: fix.latitude,
+    longitude: fix.longitude,
+    accuracy: fix.accuracy,
+    speed: fix.speed,
+    heading: fix.heading,
+    altitude: fix.altitude,
+    timestamp: fix.timestamp
+  })
+}
+
+// Store a single live fix and broadcast it. Implausible fixes are kept in
+// filtered_locations and not broadcast. Resolves to { ok, count?, filtered?, error? }.
+export const recordLocation = async (io, incomingFix) => {
+  const fix = { ...incomingFix, timestamp: incomingFix.timestamp || new Date().toISOString() }
+
+  const { rejected } = await filterFixes(fix.deviceId, [fix])
+  if (rejected.length > 0) {
+    await storeFilteredFixes(rejected)
+    // The device is still reporting, only this position is not trusted
+    await markDeviceSeen(fix.deviceId)
+    return { ok: true, count: 0, filtered: 1, reason: rejected[0].reason }
+  }
+
+  const { error: locationError } = await supabase
+    .from('location_history')
+    .insert(toLocationRow(fix))
+
+  if (locationError) {
+    console.error('Error inserting location:', locationError)
+    return { ok: false, error: locationError.message }
+  }
+
+  const device = await markDeviceSeen(fix.deviceId)
+  if (!device) return { ok: true, count: 1 }
+
+  await broadcastLiveLocation(io, device, fix)
+
+  // Notify the owner about geofence boundary crossings
+  await notifyGeofenceEvents(io, device, fix)
+
+  await evaluateLocationRules(io, device, fix)
+  await evaluateProximityRules(io, device, fix)
+
+  return { ok: true, count: 1 }
+}
+
+// Time of the newest stored fix of a device, in ms, or null if it has none
+const getLatestStoredTime = async (deviceId) => {
+  const { data, error } = await supabase
+    .from('location_history')
+    .select('timestamp')
+    .eq('device_id', deviceId)
+    .order('timestamp', { ascending: false })
+    .limit(1)
+    .maybeSingle()
+
+  if (error) throw error
+  return data ? new Date(data.timestamp).getTime() : null
+}
+
+// Store fixes recorded earlier (offline buffer, tracker uploads). They keep their
+// original timestamps and only the newest one per device is broadcast as live,
+// if it is recent and newer than anything already stored (a live fix may have
+// overtaken the queue). Resolves to { ok, count?, filtered?, error? }.
+export const recordLocationBatch = async (io, fixes) => {
+  const sortedFixes = fixes
+    .filter(fix => fix.timestamp)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+
+  if (sortedFixes.length === 0) return { ok: true, count: 0 }
+
+  const deviceIds = [...new Set(sortedFixes.map(fix => fix.deviceId))]
+  const acceptedByDevice = {}
+  const rejected = []
+
+  for (const deviceId of deviceIds) {
+    const result = await filterFixes(deviceId, sortedFixes.filter(fix => fix.deviceId === deviceId))
+    acceptedByDevice[deviceId] = result.accepted
+    rejected.push(...result.rejected)
+  }
+
+  await storeFilteredFixes(rejected)
+
+  const acceptedFixes = Object.values(acceptedByDevice).flat()
+
+  const latestStoredTimes = {}
+  for (const deviceId of deviceIds) {
+    latestStoredTimes[deviceId] = await getLatestStoredTime(deviceId)
+  }
+
+  // Replays after a lost ack are ignored by the (device_id, timestamp) unique index
+  if (acceptedFixes.length > 0) {
+    const { error: locationError } = await supabase
+      .from('location_history')
+      .upsert(acceptedFixes.map(toLocationRow), { onConflict: 'device_id,timestamp', ignoreDuplicates: true })
+
+    if (locationError) {
+      console.error('Error inserting location batch:', locationError)
+      return { ok: false, error: locationError.message }
+    }
+  }
+
+  for (const deviceId of deviceIds) {
+    const deviceFixes = acceptedByDevice[deviceId]
+
+    const device = await markDeviceSeen(deviceId)
+    if (!device || deviceFixes.length === 0) continue
+
+    for (const fix of deviceFixes) {
+      await notifyGeofenceEvents(io, device, fix)
+    }
+
+    const latestFix = deviceFixes[deviceFixes.length - 1]
+    const latestStoredTime = latestStoredTimes[deviceId]
+    const isNewest = latestStoredTime === null || new Date(latestFix.timestamp).getTime() > latestStoredTime
+    if (isLiveFix(latestFix) && isNewest) {
+      await broadcastLiveLocation(io, device, latestFix)
+      await evaluateLocationRules(io, device, latestFix)
+      await evaluateProximityRules(io, device, latestFix)
+    }
+
+    // Let open history views know there is backfilled data
+    await emitToDeviceViewers(io, device, 'location-history-updated', {
+      deviceId,
+      count: deviceFixes.length,
+      from: deviceFixes[0].timestamp,
+      to: latestFix.timestamp
+    })
+  }
+
+  return { ok: true, count: acceptedFixes.length, filtered: rejected.length }
+}
@@ -0,0 +1,81 @@
+// src/lib/mbtiles.js
+import fs from 'fs'
+import path from 'path'
+import Database from 'better-sqlite3'
+
+// Drop <name>.mbtiles files here to serve them at /api/tiles/<name>/{z}/{x}/{y}
+const MBTILES_DIR = process.env.MBTILES_DIR || path.join(process.cwd(), 'tiles')
+
+// Leaflet can only draw raster tiles
+const TILE_CONTENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+}
+
+const TILESET_ID_PATTERN = /^[A-Za-z0-9_-]+$/
+
+// Open read-only once per server process
+const openTilesets = new Map()
+
+const openTileset = (id) => {
+  if (!TILESET_ID_PATTERN.test(id)) return null
+  if (openTilesets.has(id)) return openTilesets.get(id)
+
+  const file = path.join(MBTILES_DIR, `${id}.mbtiles`)
+  if (!fs.existsSync(file)) return null
+
+  const db = new Database(file, { readonly: true, fileMustExist: true })
+  const metadata = Object.fromEntries(
+    db.prepare('SELECT name, value FROM metadata').all().map(row => [row.name, row.value])
+  )
+
+  const tileset = {
+    id,
+    metadata,
+    contentType: TILE_CONTENT_TYPES[metadata.format || 'png'] || null,
+    selectTile: db.prepare('SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?')
+  }
+
+  openTilesets.set(id, tileset)
+  return tileset
+}
+
+// Raster tilesets in MBTILES_DIR with the details the layer switcher needs
+export const listTilesets = () => {
+  if (!fs.existsSync(MBTILES_DIR)) return []
+
+  return fs.readdirSync(MBTILES_DIR)
+    .filter(file => file.endsWith('.mbtiles'))
+    .map(file => {
+      try {
+        return openTileset(path.basename(file, '.mbtiles'))
+      } catch (error) {
+        console.error(`Error opening tileset ${file}:`, error)
+        return null
+      }
+    })
+    .filter(tileset => tileset && tileset.contentType)
+    .map(({ id, metadata }) => ({
+      id,
+      name: metadata.name || id,
+      attribution: metadata.attribution || null,
+      format: metadata.format || 'png',
+      minZoom: metadata.minzoom ? parseInt(metadata.minzoom) : 0,
+      maxZoom: metadata.maxzoom ? parseInt(metadata.maxzoom) : 18,
+      bounds: metadata.bounds ? metadata.bounds.split(',').map(Number) : null
+    }))
+}
+
+// Returns null for an unknown tileset, { data: null } for a tile outside it
+export const getTile = (id, z, x, y) => {
+  const tileset = openTileset(id)
+  if (!tileset || !tileset.contentType) return null
+
+  // MBTiles rows count from the south (TMS), XYZ tiles from the north
+  const row = (2 ** z) - 1 - y
+  const tile = tileset.selectTile.get(z, x, row)
+
+  return { data: tile ? tile.tile_data : null, contentType: tileset.contentType }
+}
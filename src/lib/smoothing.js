@@ -0,0 +1,64 @@
+// src/lib/smoothing.js
+// Kalman smoothing of recorded tracks for display and distance calculations.
+// The raw fixes in location_history are never modified.
+import { calculateDistance } from './geo'
+
+// Used when a fix has no accuracy; typical for browser geolocation
+const DEFAULT_ACCURACY_M = 30
+// Floor for reported accuracy, so one overconfident fix cannot pin the track
+const MIN_ACCURACY_M = 3
+// How far (m/s) the device may move between fixes without a speed reading
+const DEFAULT_PROCESS_NOISE = 3
+
+// Forward Kalman filter with a constant-position model on latitude and
+// longitude. Each fix is weighted by its reported accuracy and the uncertainty
+// of the estimate grows with the time since the previous fix (faster when the
+// fix reports a speed). Returns copies of the points with filtered coordinates.
+export const smoothTrack = (points) => {
+  let latitude = null
+  let longitude = null
+  let variance = -1
+  let previousTime = null
+
+  return points.map(point => {
+    const accuracy = Math.max(Number(point.accuracy) || DEFAULT_ACCURACY_M, MIN_ACCURACY_M)
+    const measurementVariance = accuracy * accuracy
+    const time = new Date(point.timestamp).getTime()
+
+    if (variance < 0) {
+      latitude = parseFloat(point.latitude)
+      longitude = parseFloat(point.longitude)
+      variance = measurementVariance
+    } else {
+      const elapsed = (time - previousTime) / 1000
+      if (elapsed > 0) {
+        const processNoise = Math.max(Number(point.speed) || 0, DEFAULT_PROCESS_NOISE)
+        variance += elapsed * processNoise * processNoise
+      }
+
+      // Variances are in m² while the state is in degrees; only their ratio matters
+      const gain = variance / (variance + measurementVariance)
+      latitude += gain * (parseFloat(point.latitude) - latitude)
+      longitude += gain * (parseFloat(point.longitude) - longitude)
+      variance = (1 - gain) * variance
+    }
+
+    previousTime = time
+
+    return { ...point, latitude, longitude }
+  })
+}
+
+// Total length in meters of a track of { latitude, longitude } points
+export const calculatePathLength = (points) => {
+  let length = 0
+
+  for (let i = 1; i < points.length; i++) {
+    length += calculateDistance(
+      parseFloat(points[i - 1].latitude), parseFloat(points[i - 1].longitude),
+      parseFloat(points[i].latitude), parseFloat(points[i].longitude)
+    )
+  }
+
+  return length
+}
@@ -0,0 +1,210 @@
+// src/lib/sos.js
+// SOS panic events. The owner of a device raises one from the tracking screen;
+// it is pushed as `sos` to everyone sharing a circle with them (even while the
+// device's sharing is paused; getDeviceViewerIds() lets its fixes through for
+// as long as the SOS is open) and to their `sos.triggered` webhooks, and stays
+// open until someone else acknowledges it or the owner cancels it. Open events
+// are broadcast again every SOS_REBROADCAST_MS with a rising escalation level.
+// Each step is recorded in sos_event_log.
+import { supabase } from './supabase'
+import { getSharedUserIds } from './circles'
+import { dispatchWebhookEvent } from './webhooks'
+
+export const SOS_REBROADCAST_MS = 60 * 1000
+
+const logSosAction = async (sosId, userId, action) => {
+  const { error } = await supabase
+    .from('sos_event_log')
+    .insert({ sos_id: sosId, user_id: userId, action })
+
+  if (error) console.error('Error logging SOS action:', error)
+}
+
+const toPayload = (sos, device) => ({
+  id: sos.id,
+  deviceId: device.id,
+  deviceName: device.device_name,
+  userId: sos.user_id,
+  status: sos.status,
+  latitude: sos.latitude,
+  longitude: sos.longitude,
+  escalationLevel: sos.escalation_level,
+  startedAt: sos.started_at,
+  resolvedAt: sos.resolved_at,
+  resolvedBy: sos.resolved_by
+})
+
+// Emergencies ignore paused sharing: everyone in the owner's circles is told
+const broadcastSos = async (io, device, event, payload) => {
+  const userIds = await getSharedUserIds(device.user_id)
+  if (io) {
+    io.to(userIds.map(id => `user-${id}`)).emit(event, payload)
+  }
+  return userIds
+}
+
+const getDevice = async (deviceId) => {
+  const { data, error } = await supabase
+    .from('devices')
+    .select('id, user_id, device_name')
+    .eq('id', deviceId)
+    .maybeSingle()
+
+  if (error) console.error('Error fetching SOS device:', error)
+  return data || null
+}
+
+const getActiveSos = async (deviceId) => {
+  const { data, error } = await supabase
+    .from('sos_events')
+    .select('*')
+    .eq('device_id', deviceId)
+    .eq('status', 'active')
+    .maybeSingle()
+
+  if (error) throw error
+  return data
+}
+
+// Open an SOS for a device (the caller has checked ownership). Pressing the
+// button again while one is open broadcasts that one again.
+export const startSos = async (io, deviceId, { latitude = null, longitude = null } = {}) => {
+  const device = await getDevice(deviceId)
+  if (!device) return { ok: false, error: 'Device not found' }
+
+  let sos = await getActiveSos(deviceId)
+
+  if (!sos) {
+    const { data, error } = await supabase
+      .from('sos_events')
+      .insert({ device_id: deviceId, user_id: device.user_id, latitude, longitude })
+      .select()
+      .single()
+
+    // Another tab of the same device won the race for the one open event
+    if (error?.code === '23505') {
+      sos = await getActiveSos(deviceId)
+    } else if (error) {
+      throw error
+    } else {
+      sos = data
+      await logSosAction(sos.id, device.user_id, 'started')
+
+      const payload = toPayload(sos, device)
+      const userIds = await broadcastSos(io, device, 'sos', payload)
+      await dispatchWebhookEvent(userIds, 'sos.triggered', payload)
+      return { ok: true, sos: payload }
+    }
+  }
+
+  const payload = toPayload(sos, device)
+  await broadcastSos(io, device, 'sos', payload)
+  return { ok: true, sos: payload }
+}
+
+// Close an open SOS. Viewers acknowledge ('acknowledged'), the owner cancels
+// ('cancelled'); whoever is first wins and everyone gets `sos-resolved`.
+export const resolveSos = async (io, sosId, userId, action) => {
+  if (!sosId) return { ok: false, error: 'SOS not found' }
+
+  const { data: sos, error } = await supabase
+    .from('sos_events')
+    .select('*')
+    .eq('id', sosId)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!sos) return { ok: false, error: 'SOS not found' }
+
+  const device = await getDevice(sos.device_id)
+  if (!device) return { ok: false, error: 'SOS not found' }
+
+  if (action === 'cancelled' && userId !== sos.user_id) {
+    return { ok: false, error: 'Only the sender can cancel an SOS' }
+  }
+  if (action === 'acknowledged') {
+    const viewerIds = await getSharedUserIds(device.user_id)
+    if (userId === sos.user_id || !viewerIds.includes(userId)) {
+      return { ok: false, error: 'SOS not found' }
+    }
+  }
+
+  const { data: resolved, error: updateError } = await supabase
+    .from('sos_events')
+    .update({ status: action, resolved_at: new Date().toISOString(), resolved_by: userId })
+    .eq('id', sosId)
+    .eq('status', 'active')
+    .select()
+    .maybeSingle()
+
+  if (updateError) throw updateError
+  if (!resolved) return { ok: false, error: 'This SOS is no longer active' }
+
+  await logSosAction(sosId, userId, action)
+
+  const { data: resolver } = await supabase
+    .from('user_profiles')
+    .select('username')
+    .eq('id', userId)
+    .maybeSingle()
+
+  const payload = { ...toPayload(resolved, device), resolvedByName: resolver?.username || null }
+  const userIds = await broadcastSos(io, device, 'sos-resolved', payload)
+  await dispatchWebhookEvent(userIds, 'sos.resolved', payload)
+
+  return { ok: true, sos: payload }
+}
+
+// Open events `userId` is told about: those of everyone sharing a circle with
+// them, their own included, regardless of paused sharing
+export const listActiveSos = async (userId) => {
+  const sharedUserIds = await getSharedUserIds(userId)
+
+  const { data, error } = await supabase
+    .from('sos_events')
+    .select('*, devices(id, device_name)')
+    .eq('status', 'active')
+    .in('user_id', sharedUserIds)
+
+  if (error) throw error
+
+  return data
+    .filter(sos => sos.devices)
+    .map(({ devices: device, ...sos }) => toPayload(sos, device))
+}
+
+// Broadcast unacknowledged events again, run by the periodic checker
+export const escalateSosEvents = async (io) => {
+  const { data: events, error } = await supabase
+    .from('sos_events')
+    .select('*')
+    .eq('status', 'active')
+    .lt('last_broadcast_at', new Date(Date.now() - SOS_REBROADCAST_MS).toISOString())
+
+  if (error) {
+    console.error('Error fetching open SOS events:', error)
+    return
+  }
+
+  for (const sos of events || []) {
+    const { data: escalated, error: updateError } = await supabase
+      .from('sos_events')
+      .update({ escalation_level: sos.escalation_level + 1, last_broadcast_at: new Date().toISOString() })
+      .eq('id', sos.id)
+      .eq('status', 'active')
+      .select()
+      .maybeSingle()
+
+    if (updateError) {
+      console.error('Error escalating SOS:', updateError)
+      continue
+    }
+    if (!escalated) continue
+
+    const device = await getDevice(sos.device_id)
+    if (!device) continue
+
+    await logSosAction(sos.id, null, 'escalated')
+    await broadcastSos(io, device, 'sos', toPayload(escalated, device))
+  }
+}
@@ -0,0 +1,23 @@
+// src/lib/supabaseAdmin.js
+// Server-only client using the service role key. It bypasses row level
+// security, so it is for tables the browser must never read (webhook secrets
+// and delivery logs). Never import this from components or pages.
+import { createClient } from '@supabase/supabase-js'
+import { supabaseUrl } from './supabase'
+
+let adminClient = null
+
+export const getSupabaseAdmin = () => {
+  if (!adminClient) {
+    const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+    if (!serviceRoleKey) {
+      throw new Error('SUPABASE_SERVICE_ROLE_KEY is not set')
+    }
+
+    adminClient = createClient(supabaseUrl, serviceRoleKey, {
+      auth: { persistSession: false, autoRefreshToken: false }
+    })
+  }
+
+  return adminClient
+}
@@ -0,0 +1,94 @@
+// src/lib/tileCache.js
+
+// Shared with public/tile-sw.js, which answers tile requests from this cache
+export const TILE_CACHE_NAME = 'map-tiles-v1'
+// Keeps one click from hammering a public tile server
+export const MAX_PRECACHE_TILES = 2500
+const PRECACHE_CONCURRENCY = 4
+
+export const registerTileCache = () => {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return
+
+  navigator.serviceWorker.register('/tile-sw.js').catch(error => {
+    console.error('Error registering tile cache:', error)
+  })
+}
+
+const lngToTileX = (lng, zoom) => Math.floor((lng + 180) / 360 * 2 ** zoom)
+
+const latToTileY = (lat, zoom) => {
+  const latRad = lat * Math.PI / 180
+  return Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * 2 ** zoom)
+}
+
+// Fill a Leaflet URL template the way L.TileLayer does, so cached URLs match
+// the ones the map requests ({s} depends on the tile, {r} on the screen)
+const tileUrl = (layer, x, y, z) => {
+  const subdomains = layer.subdomains || 'abc'
+  const values = {
+    s: subdomains[Math.abs(x + y) % subdomains.length],
+    x,
+    y,
+    '-y': 2 ** z - 1 - y,
+    z,
+    r: window.devicePixelRatio > 1 ? '@2x' : ''
+  }
+
+  return layer.url.replace(/\{ *([\w-]+) *\}/g, (match, key) => key in values ? values[key] : match)
+}
+
+// Every tile URL of `layer` covering `bounds` ({ north, south, east, west })
+// from minZoom to maxZoom
+export const tileUrlsForBounds = (layer, bounds, minZoom, maxZoom) => {
+  const urls = []
+  const nativeMaxZoom = Math.min(maxZoom, layer.maxNativeZoom ?? maxZoom)
+
+  for (let z = minZoom; z <= nativeMaxZoom; z++) {
+    const lastTile = 2 ** z - 1
+    const minX = Math.max(0, lngToTileX(bounds.west, z))
+    const maxX = Math.min(lastTile, lngToTileX(bounds.east, z))
+    const minY = Math.max(0, latToTileY(bounds.north, z))
+    const maxY = Math.min(lastTile, latToTileY(bounds.south, z))
+
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        urls.push(tileUrl(layer, x, y, z))
+      }
+    }
+  }
+
+  return urls
+}
+
+// Download tiles into the cache, skipping ones already there. Resolves with
+// how many are now cached and how many failed (e.g. servers without CORS).
+export const precacheTiles = async (urls, onProgress = null) => {
+  const cache = await caches.open(TILE_CACHE_NAME)
+  const queue = [...urls]
+  let done = 0
+  let failed = 0
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const url = queue.shift()
+
+      try {
+        if (!(await cache.match(url))) {
+          const response = await fetch(url, { mode: 'cors' })
+          if (!response.ok) throw new Error(`HTTP ${response.status}`)
+          await cache.put(url, response)
+        }
+      } catch (error) {
+        console.error(`Error caching tile ${url}:`, error)
+        failed++
+      }
+
+      done++
+      if (onProgress) onProgress(done, urls.length)
+    }
+  }
+
+  await Promise.all(Array.from({ length: PRECACHE_CONCURRENCY }, worker))
+
+  return { cached: done - failed, failed }
+}
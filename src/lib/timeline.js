@@ -0,0 +1,109 @@
+// src/lib/timeline.js
+// Split a device's location history into stops and the trips between them
+import { calculateDistance } from './geo'
+
+export const DEFAULT_STOP_RADIUS = 100 // meters
+export const DEFAULT_STOP_MIN_DURATION = 5 * 60 // seconds
+
+const toTime = (point) => new Date(point.timestamp).getTime()
+
+const distanceBetween = (a, b) => calculateDistance(
+  parseFloat(a.latitude), parseFloat(a.longitude),
+  parseFloat(b.latitude), parseFloat(b.longitude)
+)
+
+const buildStop = (points) => ({
+  type: 'stop',
+  start: points[0].timestamp,
+  end: points[points.length - 1].timestamp,
+  duration: (toTime(points[points.length - 1]) - toTime(points[0])) / 1000,
+  latitude: points.reduce((sum, p) => sum + parseFloat(p.latitude), 0) / points.length,
+  longitude: points.reduce((sum, p) => sum + parseFloat(p.longitude), 0) / points.length,
+  pointCount: points.length
+})
+
+const buildTrip = (points) => {
+  let distance = 0
+  let maxSpeed = 0
+
+  for (let i = 1; i < points.length; i++) {
+    const segmentDistance = distanceBetween(points[i - 1], points[i])
+    const segmentTime = (toTime(points[i]) - toTime(points[i - 1])) / 1000
+    distance += segmentDistance
+
+    // Prefer the speed reported by the device, computed speed otherwise
+    const reportedSpeed = points[i].speed !== null && points[i].speed !== undefined
+      ? parseFloat(points[i].speed)
+      : null
+    const speed = reportedSpeed !== null ? reportedSpeed : segmentTime > 0 ? segmentDistance / segmentTime : 0
+    maxSpeed = Math.max(maxSpeed, speed)
+  }
+
+  const duration = (toTime(points[points.length - 1]) - toTime(points[0])) / 1000
+
+  return {
+    type: 'trip',
+    start: points[0].timestamp,
+    end: points[points.length - 1].timestamp,
+    duration,
+    distance,
+    averageSpeed: duration > 0 ? distance / duration : 0,
+    maxSpeed,
+    pointCount: points.length,
+    path: points.map(p => [parseFloat(p.latitude), parseFloat(p.longitude)])
+  }
+}
+
+// A stop is any stretch where the device stayed within `stopRadius` meters of
+// where it arrived for at least `stopMinDuration` seconds. Everything between
+// stops is a trip. Speeds are m/s, distances meters, durations seconds.
+export const segmentTimeline = (points, {
+  stopRadius = DEFAULT_STOP_RADIUS,
+  stopMinDuration = DEFAULT_STOP_MIN_DURATION
+} = {}) => {
+  const segments = []
+  let tripStart = 0
+  let i = 0
+
+  while (i < points.length) {
+    let j = i + 1
+    while (j < points.length && distanceBetween(points[i], points[j]) <= stopRadius) j++
+
+    const stayed = (toTime(points[j - 1]) - toTime(points[i])) / 1000
+
+    if (stayed >= stopMinDuration) {
+      // The trip runs from the end of the previous stop to the start of this one
+      if (i > tripStart) segments.push(buildTrip(points.slice(tripStart, i + 1)))
+      segments.push(buildStop(points.slice(i, j)))
+      tripStart = j - 1
+      i = j
+    } else {
+      i++
+    }
+  }
+
+  if (tripStart < points.length - 1) {
+    segments.push(buildTrip(points.slice(tripStart)))
+  }
+
+  // Drop GPS drift between two stops and merge the stops it separated
+  return segments
+    .filter(segment => segment.type === 'stop' || segment.distance >= stopRadius)
+    .reduce((merged, segment) => {
+      const previous = merged[merged.length - 1]
+      if (previous && previous.type === 'stop' && segment.type === 'stop') {
+        const pointCount = previous.pointCount + segment.pointCount
+        merged[merged.length - 1] = {
+          ...previous,
+          end: segment.end,
+          duration: (new Date(segment.end) - new Date(previous.start)) / 1000,
+          latitude: (previous.latitude * previous.pointCount + segment.latitude * segment.pointCount) / pointCount,
+          longitude: (previous.longitude * previous.pointCount + segment.longitude * segment.pointCount) / pointCount,
+          pointCount
+        }
+      } else {
+        merged.push(segment)
+      }
+      return merged
+    }, [])
+}
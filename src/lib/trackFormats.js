@@ -0,0 +1,272 @@
+// src/lib/trackFormats.js
+// Convert location_history rows to and from common track formats. Speeds are
+// m/s, accuracy and altitude meters and heading degrees, as stored.
+
+export const TRACK_FORMATS = {
+  gpx: { extension: 'gpx', contentType: 'application/gpx+xml' },
+  kml: { extension: 'kml', contentType: 'application/vnd.google-earth.kml+xml' },
+  geojson: { extension: 'geojson', contentType: 'application/geo+json' },
+  csv: { extension: 'csv', contentType: 'text/csv' }
+}
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+
+const hasValue = (value) => value !== null && value !== undefined
+
+const toNumberOrNull = (value) => {
+  if (!hasValue(value) || value === '') return null
+  const number = parseFloat(value)
+  return isNaN(number) ? null : number
+}
+
+const toIsoString = (timestamp) => new Date(timestamp).toISOString()
+
+export const toGPX = (device, points) => {
+  const trackPoints = points.map(point => {
+    const extensions = [
+      hasValue(point.accuracy) && `<gpst:accuracy>${point.accuracy}</gpst:accuracy>`,
+      hasValue(point.speed) && `<gpst:speed>${point.speed}</gpst:speed>`,
+      hasValue(point.heading) && `<gpst:heading>${point.heading}</gpst:heading>`
+    ].filter(Boolean)
+
+    return [
+      `      <trkpt lat="${point.latitude}" lon="${point.longitude}">`,
+      hasValue(point.altitude) && `        <ele>${point.altitude}</ele>`,
+      `        <time>${toIsoString(point.timestamp)}</time>`,
+      extensions.length > 0 && `        <extensions>${extensions.join('')}</extensions>`,
+      '      </trkpt>'
+    ].filter(Boolean).join('\n')
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="GPS Tracker" xmlns="http://www.topografix.com/GPX/1/1" xmlns:gpst="urn:gps-tracker:track:1">',
+    '  <trk>',
+    `    <name>${escapeXml(device.device_name)}</name>`,
+    '    <trkseg>',
+    ...trackPoints,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].join('\n')
+}
+
+// Uses gx:Track so Google Earth can animate the track over time
+export const toKML = (device, points) => {
+  const arrayField = (name, label) =>
+    `      <gx:SimpleArrayField name="${name}" type="float"><displayName>${label}</displayName></gx:SimpleArrayField>`
+
+  const arrayData = (name) => [
+    `            <gx:SimpleArrayData name="${name}">`,
+    ...points.map(point => `              <gx:value>${hasValue(point[name]) ? point[name] : ''}</gx:value>`),
+    '            </gx:SimpleArrayData>'
+  ].join('\n')
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(device.device_name)}</name>`,
+    '    <Schema id="fixData">',
+    arrayField('accuracy', 'Accuracy (m)'),
+    arrayField('speed', 'Speed (m/s)'),
+    arrayField('heading', 'Heading (°)'),
+    '    </Schema>',
+    '    <Placemark>',
+    `      <name>${escapeXml(device.device_name)}</name>`,
+    '      <gx:Track>',
+    ...points.map(point => `        <when>${toIsoString(point.timestamp)}</when>`),
+    ...points.map(point => `        <gx:coord>${point.longitude} ${point.latitude} ${hasValue(point.altitude) ? point.altitude : 0}</gx:coord>`),
+    '        <ExtendedData>',
+    '          <SchemaData schemaUrl="#fixData">',
+    arrayData('accuracy'),
+    arrayData('speed'),
+    arrayData('heading'),
+    '          </SchemaData>',
+    '        </ExtendedData>',
+    '      </gx:Track>',
+    '    </Placemark>',
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n')
+}
+
+// One LineString for the whole track followed by a Point per fix with its attributes
+export const toGeoJSON = (device, points) => {
+  const coordinates = points.map(point => {
+    const coordinate = [parseFloat(point.longitude), parseFloat(point.latitude)]
+    if (hasValue(point.altitude)) coordinate.push(parseFloat(point.altitude))
+    return coordinate
+  })
+
+  const features = [
+    {
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates },
+      properties: {
+        device_id: device.id,
+        device_name: device.device_name,
+        start_time: points.length ? toIsoString(points[0].timestamp) : null,
+        end_time: points.length ? toIsoString(points[points.length - 1].timestamp) : null
+      }
+    },
+    ...points.map((point, index) => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: coordinates[index] },
+      properties: {
+        timestamp: toIsoString(point.timestamp),
+        accuracy: toNumberOrNull(point.accuracy),
+        speed: toNumberOrNull(point.speed),
+        heading: toNumberOrNull(point.heading),
+        altitude: toNumberOrNull(point.altitude)
+      }
+    }))
+  ]
+
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2)
+}
+
+const escapeCsv = (value) => {
+  if (!hasValue(value)) return ''
+  const text = String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export const toCSV = (device, points) => {
+  const header = 'device_name,timestamp,latitude,longitude,accuracy_m,speed_mps,heading_deg,altitude_m'
+
+  const rows = points.map(point => [
+    device.device_name,
+    toIsoString(point.timestamp),
+    point.latitude,
+    point.longitude,
+    point.accuracy,
+    point.speed,
+    point.heading,
+    point.altitude
+  ].map(escapeCsv).join(','))
+
+  return [header, ...rows, ''].join('\n')
+}
+
+export const serializeTrack = (format, device, points) => {
+  switch (format) {
+    case 'gpx':
+      return toGPX(device, points)
+    case 'kml':
+      return toKML(device, points)
+    case 'geojson':
+      return toGeoJSON(device, points)
+    case 'csv':
+      return toCSV(device, points)
+    default:
+      throw new Error(`Unsupported format: ${format}`)
+  }
+}
+
+// Parsing runs in the browser (GPX needs DOMParser). Parsed points use the same
+// shape as location_history rows; points without a usable time are kept with
+// timestamp null so the caller can report them.
+
+const toTimestampOrNull = (value) => {
+  if (!value) return null
+  const date = new Date(value)
+  return isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+export const parseGPX = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('File is not valid GPX')
+  }
+
+  // Extension elements (speed, course, ...) may live in any namespace
+  const childValue = (element, ...names) => {
+    for (const name of names) {
+      const child = element.getElementsByTagNameNS('*', name)[0]
+      if (child) return child.textContent
+    }
+    return null
+  }
+
+  let elements = Array.from(doc.getElementsByTagNameNS('*', 'trkpt'))
+  if (elements.length === 0) {
+    elements = Array.from(doc.getElementsByTagNameNS('*', 'rtept'))
+  }
+
+  return elements.map(element => ({
+    latitude: toNumberOrNull(element.getAttribute('lat')),
+    longitude: toNumberOrNull(element.getAttribute('lon')),
+    altitude: toNumberOrNull(childValue(element, 'ele')),
+    timestamp: toTimestampOrNull(childValue(element, 'time')),
+    accuracy: toNumberOrNull(childValue(element, 'accuracy')),
+    speed: toNumberOrNull(childValue(element, 'speed')),
+    heading: toNumberOrNull(childValue(element, 'heading', 'course'))
+  }))
+}
+
+export const parseGeoJSON = (text) => {
+  let geojson
+  try {
+    geojson = JSON.parse(text)
+  } catch (error) {
+    throw new Error('File is not valid JSON')
+  }
+
+  const features = geojson.type === 'FeatureCollection' ? geojson.features || []
+    : geojson.type === 'Feature' ? [geojson]
+    : [{ type: 'Feature', geometry: geojson, properties: {} }]
+
+  const toPoint = (coordinate, properties, time) => ({
+    latitude: toNumberOrNull(coordinate[1]),
+    longitude: toNumberOrNull(coordinate[0]),
+    altitude: toNumberOrNull(coordinate[2] ?? properties.altitude),
+    timestamp: toTimestampOrNull(time),
+    accuracy: toNumberOrNull(properties.accuracy),
+    speed: toNumberOrNull(properties.speed),
+    heading: toNumberOrNull(properties.heading ?? properties.course)
+  })
+
+  const points = []
+
+  features.forEach(feature => {
+    const geometry = feature?.geometry
+    const properties = feature?.properties || {}
+    if (!geometry) return
+
+    if (geometry.type === 'Point') {
+      points.push(toPoint(geometry.coordinates, properties, properties.timestamp ?? properties.time))
+    } else if (geometry.type === 'LineString') {
+      // Per-vertex times as written by common converters (coordTimes) or `times`
+      const times = properties.coordTimes || properties.times || []
+      geometry.coordinates.forEach((coordinate, i) => {
+        points.push(toPoint(coordinate, {}, times[i]))
+      })
+    } else if (geometry.type === 'MultiLineString') {
+      const times = properties.coordTimes || properties.times || []
+      geometry.coordinates.forEach((line, lineIndex) => {
+        line.forEach((coordinate, i) => {
+          points.push(toPoint(coordinate, {}, times[lineIndex]?.[i]))
+        })
+      })
+    }
+  })
+
+  return points
+}
+
+export const parseTrackFile = (filename, text) => {
+  const extension = filename.split('.').pop().toLowerCase()
+
+  if (extension === 'gpx') return parseGPX(text)
+  if (extension === 'geojson' || extension === 'json') return parseGeoJSON(text)
+
+  throw new Error('Only .gpx and .geojson files are supported')
+}
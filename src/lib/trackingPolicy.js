@@ -0,0 +1,73 @@
+// src/lib/trackingPolicy.js
+// Adaptive tracking: how often a browser device asks for and sends fixes,
+// depending on whether it is moving and on its battery. The knobs live in
+// devices.settings.tracking and fall back to these defaults.
+import { calculateDistance } from './geo'
+
+export const DEFAULT_TRACKING_SETTINGS = {
+  // Above this speed (km/h) the device counts as moving
+  movingSpeedThreshold: 5,
+  // Minimum seconds between sent fixes while moving
+  movingMinInterval: 5,
+  // Meters the device must move before a fix is sent while stationary
+  stationaryDistanceFilter: 25,
+  // Battery percentage at or below which low-power mode starts (when not charging)
+  lowPowerBatteryLevel: 20,
+  // Low-power mode: meters moved and seconds elapsed before a fix is sent
+  lowPowerDistanceFilter: 100,
+  lowPowerMinInterval: 60,
+  // Report at least this often so the device stays online: the next fix is
+  // sent regardless of distance, and without fixes a status ping is sent
+  // (must stay well below the server's two minute offline threshold)
+  heartbeatInterval: 90
+}
+
+// Geolocation options per mode; low-power mode avoids GPS, SOS mode always
+// asks for a fresh high-accuracy fix
+const WATCH_OPTIONS = {
+  sos: { enableHighAccuracy: true, maximumAge: 0, timeout: 10000 },
+  moving: { enableHighAccuracy: true, maximumAge: 5000, timeout: 10000 },
+  stationary: { enableHighAccuracy: true, maximumAge: 30000, timeout: 30000 },
+  low_power: { enableHighAccuracy: false, maximumAge: 60000, timeout: 60000 }
+}
+
+export const getTrackingSettings = (device) => ({
+  ...DEFAULT_TRACKING_SETTINGS,
+  ...(device?.settings?.tracking || {})
+})
+
+export const getWatchOptions = (mode) => WATCH_OPTIONS[mode] || WATCH_OPTIONS.stationary
+
+// `battery` is { level (0-100), charging } or null when unknown. An open SOS
+// overrides everything else, including a low battery.
+export const getTrackingMode = ({ speedKmh, battery, sos = false }, settings) => {
+  if (sos) return 'sos'
+  if (battery && !battery.charging && battery.level !== null && battery.level <= settings.lowPowerBatteryLevel) {
+    return 'low_power'
+  }
+  return speedKmh >= settings.movingSpeedThreshold ? 'moving' : 'stationary'
+}
+
+// Whether `fix` should be sent given the last fix that was sent
+export const shouldSendFix = (mode, lastSentFix, fix, settings) => {
+  if (!lastSentFix) return true
+
+  const elapsed = (new Date(fix.timestamp) - new Date(lastSentFix.timestamp)) / 1000
+  if (elapsed >= settings.heartbeatInterval) return true
+
+  const moved = calculateDistance(
+    lastSentFix.latitude, lastSentFix.longitude,
+    fix.latitude, fix.longitude
+  )
+
+  switch (mode) {
+    case 'sos':
+      return true
+    case 'moving':
+      return elapsed >= settings.movingMinInterval
+    case 'low_power':
+      return elapsed >= settings.lowPowerMinInterval && moved >= settings.lowPowerDistanceFilter
+    default:
+      return moved >= settings.stationaryDistanceFilter
+  }
+}
@@ -0,0 +1,14 @@
+// src/lib/urls.js
+
+// The URL to link a user-supplied website to, or null unless it is http(s).
+// Profiles are editable by their owners, so links are checked when rendered.
+export const safeWebsiteUrl = (website) => {
+  if (!website) return null
+
+  try {
+    const url = new URL(website)
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null
+  } catch (error) {
+    return null
+  }
+}
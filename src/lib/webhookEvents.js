@@ -0,0 +1,14 @@
+// src/lib/webhookEvents.js
+// Events a webhook can subscribe to, with the labels shown in the Webhooks tab.
+// Kept free of server imports so the browser can use it too.
+export const WEBHOOK_EVENT_LABELS = {
+  'location.updated': 'Location updates',
+  'device.online': 'Device comes online',
+  'device.offline': 'Device goes offline',
+  'geofence.triggered': 'Geofence enter / exit',
+  'alert.triggered': 'Alert rule triggered',
+  'sos.triggered': 'SOS raised',
+  'sos.resolved': 'SOS acknowledged / cancelled'
+}
+
+export const WEBHOOK_EVENTS = Object.keys(WEBHOOK_EVENT_LABELS)
@@ -0,0 +1,323 @@
+// src/lib/webhooks.js
+// Outgoing webhooks (server only). Events are POSTed as signed JSON to the
+// subscriptions of the users who would get the matching socket event.
+// Failed deliveries are retried with backoff by retryPendingDeliveries().
+// The webhook tables are only reachable with the service role client.
+import crypto from 'crypto'
+import dns from 'dns'
+import http from 'http'
+import https from 'https'
+import net from 'net'
+import { getSupabaseAdmin } from './supabaseAdmin'
+import { getDeviceViewerIds } from './circles'
+
+export { WEBHOOK_EVENTS } from './webhookEvents'
+
+// Columns safe to send to the browser; the secret is only returned on creation
+export const WEBHOOK_PUBLIC_COLUMNS = 'id, user_id, url, events, enabled, created_at, updated_at'
+
+// Delay before each retry; a delivery fails for good after the last one
+const RETRY_DELAYS_MS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 60 * 60 * 1000, 6 * 60 * 60 * 1000]
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1
+const REQUEST_TIMEOUT_MS = 10 * 1000
+// Keeps the automatic retry sweep from picking up a delivery that is being sent now.
+// Longer than one attempt can take (REQUEST_TIMEOUT_MS plus the DNS check).
+const IN_FLIGHT_GRACE_MS = 60 * 1000
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`
+
+// Receivers verify HMAC-SHA256(secret, `${t}.${body}`) against v1
+export const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+
+const isValidWebhookUrl = (url) => {
+  try {
+    const { protocol } = new URL(url)
+    return protocol === 'https:' || protocol === 'http:'
+  } catch (error) {
+    return false
+  }
+}
+
+// Webhooks must not reach the server's own network
+const BLOCKED_ADDRESSES = new net.BlockList()
+BLOCKED_ADDRESSES.addSubnet('0.0.0.0', 8, 'ipv4')
+BLOCKED_ADDRESSES.addSubnet('10.0.0.0', 8, 'ipv4')
+BLOCKED_ADDRESSES.addSubnet('100.64.0.0', 10, 'ipv4')
+BLOCKED_ADDRESSES.addSubnet('127.0.0.0', 8, 'ipv4')
+BLOCKED_ADDRESSES.addSubnet('169.254.0.0', 16, 'ipv4')
+BLOCKED_ADDRESSES.addSubnet('172.16.0.0', 12, 'ipv4')
+BLOCKED_ADDRESSES.addSubnet('192.168.0.0', 16, 'ipv4')
+BLOCKED_ADDRESSES.addSubnet('224.0.0.0', 3, 'ipv4')
+BLOCKED_ADDRESSES.addAddress('::', 'ipv6')
+BLOCKED_ADDRESSES.addAddress('::1', 'ipv6')
+BLOCKED_ADDRESSES.addSubnet('fc00::', 7, 'ipv6')
+BLOCKED_ADDRESSES.addSubnet('fe80::', 10, 'ipv6')
+BLOCKED_ADDRESSES.addSubnet('ff00::', 8, 'ipv6')
+
+const BLOCKED_ADDRESS_MESSAGE = 'url must not point to a local or private network address'
+
+// The eight 16-bit groups of an IPv6 address, with a trailing dotted IPv4
+// part (::ffff:127.0.0.1) converted to two groups
+const ipv6Groups = (address) => {
+  let text = address
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/)
+  if (dotted) {
+    const [a, b, c, d] = dotted[1].split('.').map(Number)
+    text = text.slice(0, -dotted[1].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`
+  }
+
+  const [head, tail] = text.split('::')
+  const headGroups = head ? head.split(':') : []
+  const tailGroups = tail ? tail.split(':') : []
+  const zeros = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0')
+
+  return [...headGroups, ...zeros, ...tailGroups].map(group => parseInt(group, 16))
+}
+
+const groupsToIPv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.')
+
+// The IPv4 address carried inside an IPv4-mapped (::ffff:a.b.c.d),
+// IPv4-compatible (::a.b.c.d), NAT64 (64:ff9b::a.b.c.d) or 6to4 (2002:aabb:ccdd::)
+// address, or null
+const embeddedIPv4 = (address) => {
+  const groups = ipv6Groups(address)
+
+  if (groups.slice(0, 5).every(group => group === 0) && (groups[5] === 0 || groups[5] === 0xffff)) {
+    return groupsToIPv4(groups[6], groups[7])
+  }
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+    return groupsToIPv4(groups[6], groups[7])
+  }
+  if (groups[0] === 0x2002) {
+    return groupsToIPv4(groups[1], groups[2])
+  }
+  return null
+}
+
+const isBlockedAddress = (address) => {
+  const ip = address.split('%')[0]
+
+  if (net.isIPv4(ip)) return BLOCKED_ADDRESSES.check(ip, 'ipv4')
+  if (!net.isIPv6(ip)) return true
+
+  const ipv4 = embeddedIPv4(ip)
+  return BLOCKED_ADDRESSES.check(ip, 'ipv6') || (ipv4 !== null && BLOCKED_ADDRESSES.check(ipv4, 'ipv4'))
+}
+
+// Resolve the URL's host and check every address it points to. Returns an
+// error message, or null if the URL may be called.
+export const checkWebhookUrl = async (url) => {
+  if (!isValidWebhookUrl(url)) return 'url must be an http(s) URL'
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '')
+
+  let addresses
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host, family: net.isIP(host) }]
+      : await dns.promises.lookup(host, { all: true })
+  } catch (error) {
+    return `Could not resolve ${host}`
+  }
+
+  return addresses.some(({ address }) => isBlockedAddress(address)) ? BLOCKED_ADDRESS_MESSAGE : null
+}
+
+// DNS lookup for delivery requests. The connection uses the addresses checked
+// here, so a host that re-resolves to a private address after
+// checkWebhookUrl() (DNS rebinding) is still refused.
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error)
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(new Error(BLOCKED_ADDRESS_MESSAGE))
+    }
+
+    if (options.all) return callback(null, addresses)
+    return callback(null, addresses[0].address, addresses[0].family)
+  })
+}
+
+// POST the body and resolve with the response status. Redirects are not
+// followed: they could point anywhere, including the addresses blocked above.
+const postWebhook = (url, headers, body) => new Promise((resolve, reject) => {
+  const client = new URL(url).protocol === 'https:' ? https : http
+
+  const request = client.request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: lookupPublicAddress,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  }, (response) => {
+    response.resume()
+    resolve(response.statusCode)
+  })
+
+  request.on('error', reject)
+  request.end(body)
+})
+
+// Send one attempt of a delivery and record the outcome
+const attemptDelivery = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload)
+  const timestamp = Math.floor(Date.now() / 1000)
+  const attempts = delivery.attempts + 1
+
+  let responseStatus = null
+  let error = null
+
+  try {
+    // Checked on every attempt: the host may resolve differently than when
+    // the webhook was created, and IP literal hosts never reach the lookup
+    const urlError = await checkWebhookUrl(webhook.url)
+    if (urlError) throw new Error(urlError)
+
+    responseStatus = await postWebhook(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'gps-tracker-webhooks/1',
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, body)}`
+    }, body)
+
+    if (responseStatus < 200 || responseStatus >= 300) error = `HTTP ${responseStatus}`
+  } catch (requestError) {
+    error = requestError.message
+  }
+
+  const succeeded = !error
+  const exhausted = !succeeded && attempts >= MAX_ATTEMPTS
+
+  const { error: updateError } = await getSupabaseAdmin()
+    .from('webhook_deliveries')
+    .update({
+      status: succeeded ? 'succeeded' : exhausted ? 'failed' : 'pending',
+      attempts,
+      last_attempt_at: new Date().toISOString(),
+      next_attempt_at: succeeded || exhausted
+        ? null
+        : new Date(Date.now() + RETRY_DELAYS_MS[attempts - 1]).toISOString(),
+      response_status: responseStatus,
+      error
+    })
+    .eq('id', delivery.id)
+
+  if (updateError) {
+    console.error('Error updating webhook delivery:', updateError)
+  }
+
+  return succeeded
+}
+
+// Queue and immediately attempt an event for the given users' subscriptions
+export const dispatchWebhookEvent = async (userIds, event, data) => {
+  try {
+    const { data: webhooks, error } = await getSupabaseAdmin()
+      .from('webhooks')
+      .select('*')
+      .in('user_id', userIds)
+      .eq('enabled', true)
+      .contains('events', [event])
+
+    if (error) {
+      console.error('Error fetching webhooks:', error)
+      return
+    }
+
+    for (const webhook of webhooks || []) {
+      const { data: delivery, error: insertError } = await getSupabaseAdmin()
+        .from('webhook_deliveries')
+        .insert({
+          webhook_id: webhook.id,
+          event,
+          payload: { event, createdAt: new Date().toISOString(), data },
+          next_attempt_at: new Date(Date.now() + IN_FLIGHT_GRACE_MS).toISOString()
+        })
+        .select()
+        .single()
+
+      if (insertError) {
+        console.error('Error queueing webhook delivery:', insertError)
+        continue
+      }
+
+      // Do not hold up the location pipeline on slow receivers
+      attemptDelivery(webhook, delivery).catch(error => {
+        console.error('Error delivering webhook:', error)
+      })
+    }
+  } catch (error) {
+    console.error('Error dispatching webhook event:', error)
+  }
+}
+
+// Events about a device go to everyone who can see it on the map
+export const dispatchToDeviceViewers = async (device, event, data) => {
+  const userIds = await getDeviceViewerIds(device)
+  await dispatchWebhookEvent(userIds, event, data)
+}
+
+// Retry deliveries whose backoff has elapsed; run periodically by the socket server
+export const retryPendingDeliveries = async () => {
+  const { data: deliveries, error } = await getSupabaseAdmin()
+    .from('webhook_deliveries')
+    .select('*, webhooks(*)')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(50)
+
+  if (error) {
+    console.error('Error fetching pending webhook deliveries:', error)
+    return
+  }
+
+  for (const { webhooks: webhook, ...delivery } of deliveries || []) {
+    if (!webhook || !webhook.enabled) {
+      await getSupabaseAdmin()
+        .from('webhook_deliveries')
+        .update({ status: 'failed', next_attempt_at: null, error: 'Webhook disabled' })
+        .eq('id', delivery.id)
+      continue
+    }
+
+    // Claim the delivery first so an overlapping sweep (a slow one can run
+    // for minutes) does not send it again
+    const { data: claimed, error: claimError } = await getSupabaseAdmin()
+      .from('webhook_deliveries')
+      .update({ next_attempt_at: new Date(Date.now() + IN_FLIGHT_GRACE_MS).toISOString() })
+      .eq('id', delivery.id)
+      .eq('status', 'pending')
+      .eq('next_attempt_at', delivery.next_attempt_at)
+      .select('id')
+      .maybeSingle()
+
+    if (claimError) {
+      console.error('Error claiming webhook delivery:', claimError)
+      continue
+    }
+    if (!claimed) continue
+
+    await attemptDelivery(webhook, delivery)
+  }
+}
+
+// Send a `ping` straight away so users can check their endpoint
+export const sendTestDelivery = async (webhook) => {
+  const { data: delivery, error } = await getSupabaseAdmin()
+    .from('webhook_deliveries')
+    .insert({
+      webhook_id: webhook.id,
+      event: 'ping',
+      payload: { event: 'ping', createdAt: new Date().toISOString(), data: { webhookId: webhook.id } },
+      next_attempt_at: new Date(Date.now() + IN_FLIGHT_GRACE_MS).toISOString()
+    })
+    .select()
+    .single()
+
+  if (error) throw error
+
+  return attemptDelivery(webhook, delivery)
+}
@@ -0,0 +1,53 @@
+// src/pages/api/devices/[deviceId]/export.js
+// Download a device track as GPX, KML, GeoJSON or CSV:
+//   GET /api/devices/<id>/export?format=gpx&from=<ISO>&to=<ISO>
+import { getBearerToken, getUserFromToken } from '../../../../lib/auth'
+import { canViewDevice } from '../../../../lib/circles'
+import { fetchLocationHistory } from '../../../../lib/history'
+import { TRACK_FORMATS, serializeTrack } from '../../../../lib/trackFormats'
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'device'
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const user = await getUserFromToken(getBearerToken(req))
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    const { deviceId, format = 'gpx' } = req.query
+    const formatInfo = TRACK_FORMATS[format]
+    if (!formatInfo) {
+      return res.status(400).json({ error: `format must be one of ${Object.keys(TRACK_FORMATS).join(', ')}` })
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date()
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000)
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      return res.status(400).json({ error: 'Invalid time range' })
+    }
+
+    const device = await canViewDevice(user.id, deviceId)
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' })
+    }
+
+    const points = await fetchLocationHistory(device.id, from.toISOString(), to.toISOString())
+    const body = serializeTrack(format, device, points)
+
+    const dateRange = `${from.toISOString().slice(0, 10)}_${to.toISOString().slice(0, 10)}`
+    const filename = `${slugify(device.device_name)}_${dateRange}.${formatInfo.extension}`
+
+    res.setHeader('Content-Type', `${formatInfo.contentType}; charset=utf-8`)
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+    return res.status(200).send(body)
+  } catch (error) {
+    console.error('Error exporting track:', error)
+    return res.status(500).json({ error: 'Internal error' })
+  }
+}
@@ -0,0 +1,50 @@
+// src/pages/api/devices/[deviceId]/history.js
+// Recorded fixes of a device for history playback, with the fixes the
+// plausibility filter rejected:
+//   GET /api/devices/<id>/history?from=<ISO>&to=<ISO>
+// `truncated` is set when the range holds more fixes than are returned.
+import { getBearerToken, getUserFromToken } from '../../../../lib/auth'
+import { canViewDevice } from '../../../../lib/circles'
+import {
+  fetchLocationHistory,
+  fetchFilteredFixes,
+  MAX_HISTORY_POINTS,
+  MAX_FILTERED_FIXES
+} from '../../../../lib/history'
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const user = await getUserFromToken(getBearerToken(req))
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    const from = new Date(req.query.from)
+    const to = new Date(req.query.to)
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      return res.status(400).json({ error: 'Invalid time range' })
+    }
+
+    const device = await canViewDevice(user.id, req.query.deviceId)
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' })
+    }
+
+    const points = await fetchLocationHistory(device.id, from.toISOString(), to.toISOString())
+    const filtered = await fetchFilteredFixes(device.id, from.toISOString(), to.toISOString())
+
+    return res.status(200).json({
+      points,
+      filtered,
+      truncated: points.length >= MAX_HISTORY_POINTS || filtered.length >= MAX_FILTERED_FIXES
+    })
+  } catch (error) {
+    console.error('Error fetching location history:', error)
+    return res.status(500).json({ error: 'Internal error' })
+  }
+}
@@ -0,0 +1,134 @@
+// src/pages/api/devices/[deviceId]/import.js
+// Attach previously recorded fixes (parsed from GPX/GeoJSON in the browser) to
+// one of the user's devices as history:
+//   POST /api/devices/<id>/import  { "fixes": [{ latitude, longitude, timestamp, ... }] }
+// Fixes are deduplicated by timestamp and never change the device's online state.
+import { supabase } from '../../../../lib/supabase'
+import { getBearerToken, getUserFromToken } from '../../../../lib/auth'
+import { validateFix, emitToDeviceViewers } from '../../../../lib/locations'
+
+const MAX_IMPORT_FIXES = 50000
+const INSERT_CHUNK_SIZE = 500
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '10mb'
+    }
+  }
+}
+
+const toNumberOrNull = (value) =>
+  value === null || value === undefined || value === '' ? null : Number(value)
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const user = await getUserFromToken(getBearerToken(req))
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    const { deviceId } = req.query
+    const { data: device, error: deviceError } = await supabase
+      .from('devices')
+      .select('id, user_id, sharing_paused')
+      .eq('id', deviceId)
+      .eq('user_id', user.id)
+      .maybeSingle()
+
+    if (deviceError) {
+      console.error('Error looking up device:', deviceError)
+      return res.status(500).json({ error: 'Internal error' })
+    }
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' })
+    }
+
+    const rawFixes = Array.isArray(req.body?.fixes) ? req.body.fixes : []
+    if (rawFixes.length === 0) {
+      return res.status(400).json({ error: 'No fixes provided' })
+    }
+
+    if (rawFixes.length > MAX_IMPORT_FIXES) {
+      return res.status(413).json({ error: `Import exceeds ${MAX_IMPORT_FIXES} fixes` })
+    }
+
+    // Drop invalid fixes and duplicate timestamps within the file
+    let invalid = 0
+    const byTime = new Map()
+    rawFixes.forEach(fix => {
+      if (validateFix(fix) || !fix.timestamp) {
+        invalid++
+        return
+      }
+
+      const timestamp = new Date(fix.timestamp)
+      if (timestamp > new Date()) {
+        invalid++
+        return
+      }
+
+      if (!byTime.has(timestamp.getTime())) {
+        byTime.set(timestamp.getTime(), {
+          device_id: device.id,
+          latitude: Number(fix.latitude),
+          longitude: Number(fix.longitude),
+          accuracy: toNumberOrNull(fix.accuracy),
+          speed: toNumberOrNull(fix.speed),
+          heading: toNumberOrNull(fix.heading),
+          altitude: toNumberOrNull(fix.altitude),
+          timestamp: timestamp.toISOString()
+        })
+      }
+    })
+
+    const rows = [...byTime.values()].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'No valid timestamped fixes in file', invalid })
+    }
+
+    // Timestamps the device already has are skipped by the unique index;
+    // only inserted rows come back
+    const inserted = []
+    for (let i = 0; i < rows.length; i += INSERT_CHUNK_SIZE) {
+      const { data, error } = await supabase
+        .from('location_history')
+        .upsert(rows.slice(i, i + INSERT_CHUNK_SIZE), { onConflict: 'device_id,timestamp', ignoreDuplicates: true })
+        .select('timestamp')
+
+      if (error) {
+        console.error('Error importing locations:', error)
+        return res.status(500).json({ error: error.message, imported: inserted.length })
+      }
+
+      inserted.push(...data)
+    }
+
+    if (inserted.length > 0) {
+      // Let open history views know there is backfilled data
+      const times = inserted.map(row => new Date(row.timestamp).getTime()).sort((a, b) => a - b)
+      await emitToDeviceViewers(res.socket.server.io, device, 'location-history-updated', {
+        deviceId: device.id,
+        count: inserted.length,
+        from: new Date(times[0]).toISOString(),
+        to: new Date(times[times.length - 1]).toISOString()
+      })
+    }
+
+    return res.status(200).json({
+      imported: inserted.length,
+      duplicates: rawFixes.length - invalid - inserted.length,
+      invalid
+    })
+  } catch (error) {
+    console.error('Error importing track:', error)
+    return res.status(500).json({ error: 'Internal error' })
+  }
+}
@@ -0,0 +1,50 @@
+// src/pages/api/devices/[deviceId]/secret.js
+// Issue a new HTTP ingestion secret for a device owned by the signed-in user.
+// The secret is returned once; only its hash is stored, so issuing a new one
+// revokes the previous one.
+import { supabase } from '../../../../lib/supabase'
+import {
+  getBearerToken,
+  getUserFromToken,
+  generateDeviceSecret,
+  hashDeviceSecret
+} from '../../../../lib/auth'
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const user = await getUserFromToken(getBearerToken(req))
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    const { deviceId } = req.query
+    const secret = generateDeviceSecret()
+
+    const { data: device, error } = await supabase
+      .from('devices')
+      .update({ api_secret_hash: hashDeviceSecret(secret) })
+      .eq('id', deviceId)
+      .eq('user_id', user.id)
+      .select('id')
+      .maybeSingle()
+
+    if (error) {
+      console.error('Error saving device secret:', error)
+      return res.status(500).json({ error: 'Internal error' })
+    }
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' })
+    }
+
+    return res.status(200).json({ secret })
+  } catch (error) {
+    console.error('Error issuing device secret:', error)
+    return res.status(500).json({ error: 'Internal error' })
+  }
+}
@@ -0,0 +1,60 @@
+// src/pages/api/devices/[deviceId]/timeline.js
+// Stops and trips of a device within a time window (usually one local day):
+//   GET /api/devices/<id>/timeline?from=<ISO>&to=<ISO>&stopRadius=100&stopMinutes=5
+// Tracks are Kalman-smoothed before segmenting unless smooth=0 is passed.
+import { getBearerToken, getUserFromToken } from '../../../../lib/auth'
+import { canViewDevice } from '../../../../lib/circles'
+import { fetchLocationHistory } from '../../../../lib/history'
+import { smoothTrack } from '../../../../lib/smoothing'
+import {
+  segmentTimeline,
+  DEFAULT_STOP_RADIUS,
+  DEFAULT_STOP_MIN_DURATION
+} from '../../../../lib/timeline'
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const user = await getUserFromToken(getBearerToken(req))
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    const { deviceId } = req.query
+    const from = new Date(req.query.from)
+    const to = new Date(req.query.to)
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      return res.status(400).json({ error: 'Invalid time range' })
+    }
+
+    const stopRadius = req.query.stopRadius ? Number(req.query.stopRadius) : DEFAULT_STOP_RADIUS
+    const stopMinDuration = req.query.stopMinutes ? Number(req.query.stopMinutes) * 60 : DEFAULT_STOP_MIN_DURATION
+    if (!(stopRadius > 0) || !(stopMinDuration > 0)) {
+      return res.status(400).json({ error: 'stopRadius and stopMinutes must be positive numbers' })
+    }
+
+    const device = await canViewDevice(user.id, deviceId)
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' })
+    }
+
+    const points = await fetchLocationHistory(device.id, from.toISOString(), to.toISOString())
+    const smoothed = req.query.smooth !== '0'
+    const segments = segmentTimeline(smoothed ? smoothTrack(points) : points, { stopRadius, stopMinDuration })
+
+    return res.status(200).json({
+      from: from.toISOString(),
+      to: to.toISOString(),
+      pointCount: points.length,
+      smoothed,
+      segments
+    })
+  } catch (error) {
+    console.error('Error building timeline:', error)
+    return res.status(500).json({ error: 'Internal error' })
+  }
+}
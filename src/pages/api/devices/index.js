@@ -0,0 +1,29 @@
+// src/pages/api/devices/index.js
+// Every device the signed-in user may see on the map, and the latest position
+// of those that have one:
+//   GET /api/devices  ->  { devices: [...], locations: [...] }
+import { getBearerToken, getUserFromToken } from '../../../lib/auth'
+import { getVisibleDevices } from '../../../lib/circles'
+import { fetchLatestLocations } from '../../../lib/history'
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const user = await getUserFromToken(getBearerToken(req))
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    const devices = await getVisibleDevices(user.id)
+    const locations = await fetchLatestLocations(devices.map(device => device.id))
+
+    return res.status(200).json({ devices, locations })
+  } catch (error) {
+    console.error('Error fetching device locations:', error)
+    return res.status(500).json({ error: 'Internal error' })
+  }
+}
@@ -0,0 +1,68 @@
+// src/pages/api/heatmap.js
+// Location density for the map heatmap, aggregated into grid cells:
+//   GET /api/heatmap?deviceIds=<id>,<id>&from=<ISO>&to=<ISO>&cellSize=<meters>
+// Without deviceIds every device visible to the caller is included.
+import { getBearerToken, getUserFromToken } from '../../lib/auth'
+import { getVisibleDevices } from '../../lib/circles'
+import { fetchHeatmapCells } from '../../lib/history'
+
+const DEFAULT_CELL_SIZE_METERS = 250
+const MIN_CELL_SIZE_METERS = 25
+const MAX_CELL_SIZE_METERS = 50000
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const user = await getUserFromToken(getBearerToken(req))
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date()
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000)
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      return res.status(400).json({ error: 'Invalid time range' })
+    }
+
+    const cellSize = req.query.cellSize ? Number(req.query.cellSize) : DEFAULT_CELL_SIZE_METERS
+    if (!Number.isFinite(cellSize) || cellSize < MIN_CELL_SIZE_METERS || cellSize > MAX_CELL_SIZE_METERS) {
+      return res.status(400).json({ error: `cellSize must be between ${MIN_CELL_SIZE_METERS} and ${MAX_CELL_SIZE_METERS} meters` })
+    }
+
+    // Same rule as the live map: devices of circle members, minus paused ones
+    const visibleDevices = await getVisibleDevices(user.id)
+    let deviceIds = visibleDevices.map(device => device.id)
+
+    if (req.query.deviceIds) {
+      const requestedIds = req.query.deviceIds.split(',').filter(Boolean)
+      if (requestedIds.some(id => !deviceIds.includes(id))) {
+        return res.status(404).json({ error: 'Device not found' })
+      }
+      deviceIds = requestedIds
+    }
+
+    const cells = deviceIds.length > 0
+      ? await fetchHeatmapCells(deviceIds, from.toISOString(), to.toISOString(), cellSize)
+      : []
+
+    return res.status(200).json({
+      from: from.toISOString(),
+      to: to.toISOString(),
+      cellSize,
+      deviceIds,
+      cells: cells.map(cell => ({
+        latitude: cell.latitude,
+        longitude: cell.longitude,
+        count: Number(cell.point_count)
+      })),
+      maxCount: cells.reduce((max, cell) => Math.max(max, Number(cell.point_count)), 0)
+    })
+  } catch (error) {
+    console.error('Error building heatmap:', error)
+    return res.status(500).json({ error: 'Internal error' })
+  }
+}
@@ -0,0 +1,99 @@
+// src/pages/api/locations.js
+// HTTP ingestion for dedicated trackers and scripts, authenticated with a
+// per-device secret:
+//
+//   POST /api/locations
+//   Authorization: Bearer <device secret>
+//   { "latitude": -6.2, "longitude": 106.8, "timestamp": "2024-01-01T10:00:00Z" }
+//
+// The body may also be an array of fixes or { "fixes": [...] }; batched fixes
+// must carry their own timestamps.
+import { supabase } from '../../lib/supabase'
+import { getBearerToken, hashDeviceSecret } from '../../lib/auth'
+import {
+  recordLocation,
+  recordLocationBatch,
+  validateFix,
+  isLiveFix,
+  MAX_BATCH_SIZE
+} from '../../lib/locations'
+
+const toNumberOrNull = (value) =>
+  value === null || value === undefined || value === '' ? null : Number(value)
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const secret = getBearerToken(req)
+  if (!secret) {
+    return res.status(401).json({ error: 'Missing device secret' })
+  }
+
+  try {
+    const { data: device, error: deviceError } = await supabase
+      .from('devices')
+      .select('id')
+      .eq('api_secret_hash', hashDeviceSecret(secret))
+      .maybeSingle()
+
+    if (deviceError) {
+      console.error('Error looking up device secret:', deviceError)
+      return res.status(500).json({ error: 'Internal error' })
+    }
+
+    if (!device) {
+      return res.status(401).json({ error: 'Invalid device secret' })
+    }
+
+    const body = req.body
+    const rawFixes = Array.isArray(body) ? body : Array.isArray(body?.fixes) ? body.fixes : [body]
+
+    if (rawFixes.length === 0) {
+      return res.status(400).json({ error: 'No fixes provided' })
+    }
+
+    if (rawFixes.length > MAX_BATCH_SIZE) {
+      return res.status(413).json({ error: `Batch exceeds ${MAX_BATCH_SIZE} fixes` })
+    }
+
+    for (let i = 0; i < rawFixes.length; i++) {
+      const validationError = validateFix(rawFixes[i])
+      if (validationError) {
+        return res.status(400).json({ error: `Fix ${i}: ${validationError}` })
+      }
+      if (rawFixes.length > 1 && !rawFixes[i].timestamp) {
+        return res.status(400).json({ error: `Fix ${i}: timestamp is required in a batch` })
+      }
+    }
+
+    const fixes = rawFixes.map(fix => ({
+      deviceId: device.id,
+      latitude: Number(fix.latitude),
+      longitude: Number(fix.longitude),
+      accuracy: toNumberOrNull(fix.accuracy),
+      speed: toNumberOrNull(fix.speed),
+      heading: toNumberOrNull(fix.heading),
+      altitude: toNumberOrNull(fix.altitude),
+      timestamp: fix.timestamp ? new Date(fix.timestamp).toISOString() : new Date().toISOString()
+    }))
+
+    // Broadcast through the Socket.IO server when it is running
+    const io = res.socket.server.io
+
+    const result = fixes.length === 1 && isLiveFix(fixes[0])
+      ? await recordLocation(io, fixes[0])
+      : await recordLocationBatch(io, fixes)
+
+    if (!result.ok) {
+      return res.status(500).json({ error: result.error })
+    }
+
+    return res.status(201).json({ ok: true, count: result.count, filtered: result.filtered || 0 })
+  } catch (error) {
+    console.error('Error ingesting locations:', error)
+    return res.status(500).json({ error: 'Internal error' })
+  }
+}
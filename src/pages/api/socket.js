@@ -1,9 +1,50 @@
 // src/pages/api/socket.js
 import { Server } from 'socket.io'
 import { supabase } from '../../lib/supabase'
+import { getUserFromToken } from '../../lib/auth'
+import { recordBatteryStatus, isValidBatteryLevel } from '../../lib/battery'
+import { evaluateStatusRules, evaluatePeriodicRules } from '../../lib/alerts'
+import { retryPendingDeliveries } from '../../lib/webhooks'
+import { startSos, resolveSos, escalateSosEvents } from '../../lib/sos'
+import {
+  recordLocation,
+  recordLocationBatch,
+  emitToSharedUsers,
+  emitToDeviceViewers,
+  updateDevicePresence,
+  notifyPresenceChange,
+  validateFix,
+  LIVE_THRESHOLD_MS,
+  MAX_BATCH_SIZE
+} from '../../lib/locations'
 
 let io
 
+// Check (and cache per socket) that the authenticated user owns a device.
+// Throws on database errors so callers do not mistake them for "not yours".
+const ownsDevice = async (socket, deviceId) => {
+  if (!deviceId) return false
+  if (socket.data.ownedDevices.has(deviceId)) return true
+
+  const { data, error } = await supabase
+    .from('devices')
+    .select('id')
+    .eq('id', deviceId)
+    .eq('user_id', socket.data.userId)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!data) return false
+
+  socket.data.ownedDevices.add(deviceId)
+  return true
+}
+
+const rejectUnauthorized = (socket, event, message) => {
+  console.warn(`Rejected ${event} from user ${socket.data.userId}: ${message}`)
+  socket.emit('unauthorized', { event, message })
+}
+
 const SocketHandler = (req, res) => {
   if (!res.socket.server.io) {
     console.log('Setting up Socket.IO server...')
@@ -11,115 +52,193 @@ const SocketHandler = (req, res) => {
     io = new Server(res.socket.server, {
       path: '/api/socket',
       cors: {
-        origin: "*",
+        origin: process.env.SOCKET_CORS_ORIGIN ? process.env.SOCKET_CORS_ORIGIN.split(',') : "*",
         methods: ["GET", "POST"]
       }
     })
 
     res.socket.server.io = io
 
+    // Verify the Supabase access token sent in the handshake and bind the socket to that user
+    io.use(async (socket, next) => {
+      try {
+        const user = await getUserFromToken(socket.handshake.auth?.token)
+        if (!user) {
+          return next(new Error('Unauthorized'))
+        }
+
+        socket.data.userId = user.id
+        socket.data.ownedDevices = new Set()
+        next()
+      } catch (error) {
+        console.error('Error authenticating socket:', error)
+        next(new Error('Unauthorized'))
+      }
+    })
+
     io.on('connection', (socket) => {
-      console.log('Client connected:', socket.id)
+      console.log('Client connected:', socket.id, 'user:', socket.data.userId)
 
-      // Join room for specific user
+      // Join room for specific user (only their own)
       socket.on('join-user', (userId) => {
+        if (userId !== socket.data.userId) {
+          rejectUnauthorized(socket, 'join-user', 'Cannot join another user\'s room')
+          return
+        }
+
         socket.join(`user-${userId}`)
         console.log(`User ${userId} joined their room`)
       })
 
-      // Join global room for all updates
-      socket.on('join-global', () => {
-        socket.join('global')
-        console.log('Client joined global room')
-      })
+      // Handle device location updates. Clients pass an ack so they can
+      // queue the fix when it does not arrive or is not stored; errors that
+      // a retry cannot fix carry `retryable: false`.
+      socket.on('location-update', async (data, ack) => {
+        const respond = typeof ack === 'function' ? ack : () => {}
 
-      // Handle device location updates
-      socket.on('location-update', async (data) => {
         try {
-          const { deviceId, latitude, longitude, accuracy, speed, heading, altitude, timestamp } = data
-
-          // Insert location into database
-          const { error: locationError } = await supabase
-            .from('location_history')
-            .insert({
-              device_id: deviceId,
-              latitude,
-              longitude,
-              accuracy,
-              speed,
-              heading,
-              altitude,
-              timestamp: timestamp || new Date().toISOString()
-            })
-
-          if (locationError) {
-            console.error('Error inserting location:', locationError)
+          if (!(await ownsDevice(socket, data?.deviceId))) {
+            rejectUnauthorized(socket, 'location-update', 'Device not found or not owned by you')
+            respond({ ok: false, error: 'Unauthorized', retryable: false })
             return
           }
 
-          // Update device last seen and online status
-          const { error: deviceError } = await supabase
-            .from('devices')
-            .update({ 
-              last_seen: new Date().toISOString(),
-              is_online: true 
-            })
-            .eq('id', deviceId)
-
-          if (deviceError) {
-            console.error('Error updating device:', deviceError)
+          const validationError = validateFix(data)
+          if (validationError) {
+            respond({ ok: false, error: validationError, retryable: false })
             return
           }
 
-          // Get device info with user details
-          const { data: deviceInfo } = await supabase
-            .from('devices_with_users')
-            .select('*')
-            .eq('id', deviceId)
-            .single()
-
-          // Broadcast to global room
-          io.to('global').emit('location-updated', {
-            ...data,
-            deviceInfo
+          respond(await recordLocation(io, data))
+        } catch (error) {
+          console.error('Error handling location update:', error)
+          respond({ ok: false, error: 'Internal error' })
+        }
+      })
+
+      // Handle fixes buffered on the device while it was offline. Fixes that
+      // can never be stored (invalid, or for a device that is gone or not
+      // ours) are dropped and listed by index in `dropped`, so one bad fix
+      // does not block the rest of the client's queue.
+      socket.on('location-batch', async (data, ack) => {
+        const respond = typeof ack === 'function' ? ack : () => {}
+
+        try {
+          const fixes = Array.isArray(data?.fixes) ? data.fixes : []
+
+          if (fixes.length > MAX_BATCH_SIZE) {
+            respond({ ok: false, error: `Batch exceeds ${MAX_BATCH_SIZE} fixes` })
+            return
+          }
+
+          const ownership = {}
+          for (const deviceId of new Set(fixes.map(fix => fix?.deviceId))) {
+            ownership[deviceId] = await ownsDevice(socket, deviceId)
+          }
+
+          const validFixes = []
+          const dropped = []
+          fixes.forEach((fix, index) => {
+            const error = validateFix(fix) || (ownership[fix.deviceId] ? null : 'Device not found or not owned by you')
+            if (error) {
+              dropped.push({ index, error })
+            } else {
+              validFixes.push(fix)
+            }
           })
 
-          // Broadcast to specific user room
-          if (deviceInfo) {
-            io.to(`user-${deviceInfo.user_id}`).emit('device-location-updated', {
-              ...data,
-              deviceInfo
-            })
+          if (dropped.length > 0) {
+            console.warn(`Dropped ${dropped.length} of ${fixes.length} queued fixes from user ${socket.data.userId}`)
           }
 
+          const result = validFixes.length > 0
+            ? await recordLocationBatch(io, validFixes)
+            : { ok: true, count: 0 }
+
+          respond({ ...result, dropped })
         } catch (error) {
-          console.error('Error handling location update:', error)
+          console.error('Error handling location batch:', error)
+          respond({ ok: false, error: 'Internal error' })
         }
       })
 
       // Handle device status updates
       socket.on('device-status', async (data) => {
         try {
-          const { deviceId, isOnline, batteryLevel } = data
-
-          const { error } = await supabase
-            .from('devices')
-            .update({ 
-              is_online: isOnline,
-              battery_level: batteryLevel,
-              last_seen: new Date().toISOString()
-            })
-            .eq('id', deviceId)
-
-          if (!error) {
+          const { deviceId, isOnline, batteryLevel, isCharging } = data
+
+          if (!(await ownsDevice(socket, deviceId))) {
+            rejectUnauthorized(socket, 'device-status', 'Device not found or not owned by you')
+            return
+          }
+
+          const { device, changed } = await updateDevicePresence(deviceId, Boolean(isOnline))
+          if (device && changed) {
+            await notifyPresenceChange(device, Boolean(isOnline))
+          }
+
+          // Browsers without the Battery Status API report null
+          if (isValidBatteryLevel(batteryLevel)) {
+            const batteryDevice = await recordBatteryStatus(deviceId, { level: batteryLevel, charging: isCharging })
+            if (batteryDevice) {
+              await evaluateStatusRules(io, batteryDevice, { batteryLevel, isCharging })
+            }
+          }
+
+          if (device) {
             // Broadcast status update
-            io.to('global').emit('device-status-updated', data)
+            await emitToDeviceViewers(io, device, 'device-status-updated', data)
           }
         } catch (error) {
           console.error('Error updating device status:', error)
         }
       })
 
+      // SOS panic button: raised by the device owner, closed by a viewer's
+      // acknowledgement or the owner's cancellation
+      socket.on('sos-start', async (data, ack) => {
+        const respond = typeof ack === 'function' ? ack : () => {}
+
+        try {
+          if (!(await ownsDevice(socket, data?.deviceId))) {
+            rejectUnauthorized(socket, 'sos-start', 'Device not found or not owned by you')
+            respond({ ok: false, error: 'Unauthorized' })
+            return
+          }
+
+          const position = data.latitude !== undefined && data.longitude !== undefined && !validateFix(data)
+            ? { latitude: Number(data.latitude), longitude: Number(data.longitude) }
+            : {}
+
+          respond(await startSos(io, data.deviceId, position))
+        } catch (error) {
+          console.error('Error starting SOS:', error)
+          respond({ ok: false, error: 'Internal error' })
+        }
+      })
+
+      socket.on('sos-acknowledge', async (data, ack) => {
+        const respond = typeof ack === 'function' ? ack : () => {}
+
+        try {
+          respond(await resolveSos(io, data?.sosId, socket.data.userId, 'acknowledged'))
+        } catch (error) {
+          console.error('Error acknowledging SOS:', error)
+          respond({ ok: false, error: 'Internal error' })
+        }
+      })
+
+      socket.on('sos-cancel', async (data, ack) => {
+        const respond = typeof ack === 'function' ? ack : () => {}
+
+        try {
+          respond(await resolveSos(io, data?.sosId, socket.data.userId, 'cancelled'))
+        } catch (error) {
+          console.error('Error cancelling SOS:', error)
+          respond({ ok: false, error: 'Internal error' })
+        }
+      })
+
       socket.on('disconnect', () => {
         console.log('Client disconnected:', socket.id)
       })
@@ -128,21 +247,54 @@ const SocketHandler = (req, res) => {
     // Set up periodic offline device checker
     setInterval(async () => {
       try {
-        const { error } = await supabase
+        const { data: offlineDevices, error } = await supabase
           .from('devices')
           .update({ is_online: false })
-          .lt('last_seen', new Date(Date.now() - 2 * 60 * 1000).toISOString()) // 2 minutes ago
+          .lt('last_seen', new Date(Date.now() - LIVE_THRESHOLD_MS).toISOString()) // 2 minutes ago
           .eq('is_online', true)
+          .select('id, user_id, device_name, sharing_paused')
+
+        if (!error && offlineDevices) {
+          // Notify clients about offline devices, grouped by owner
+          const deviceIdsByOwner = {}
+          offlineDevices.forEach(device => {
+            deviceIdsByOwner[device.user_id] = [...(deviceIdsByOwner[device.user_id] || []), device.id]
+          })
 
-        if (!error) {
-          // Notify clients about offline devices
-          io.to('global').emit('devices-offline-check')
+          for (const [ownerId, deviceIds] of Object.entries(deviceIdsByOwner)) {
+            await emitToSharedUsers(io, ownerId, 'devices-offline-check', { deviceIds })
+          }
+
+          for (const device of offlineDevices) {
+            await notifyPresenceChange(device, false)
+          }
         }
+
+        // Offline and inactivity alert rules
+        await evaluatePeriodicRules(io)
       } catch (error) {
         console.error('Error checking offline devices:', error)
       }
     }, 30000) // Check every 30 seconds
 
+    // Broadcast SOS events nobody has acknowledged yet again
+    setInterval(async () => {
+      try {
+        await escalateSosEvents(io)
+      } catch (error) {
+        console.error('Error escalating SOS events:', error)
+      }
+    }, 15000)
+
+    // Retry failed webhook deliveries whose backoff has elapsed
+    setInterval(async () => {
+      try {
+        await retryPendingDeliveries()
+      } catch (error) {
+        console.error('Error retrying webhook deliveries:', error)
+      }
+    }, 30000)
+
     console.log('Socket.IO server initialized')
   }
 
@@ -0,0 +1,26 @@
+// src/pages/api/sos.js
+// Open SOS events the signed-in user is told about, in the `sos` socket
+// payload shape:
+//   GET /api/sos
+import { getBearerToken, getUserFromToken } from '../../lib/auth'
+import { listActiveSos } from '../../lib/sos'
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const user = await getUserFromToken(getBearerToken(req))
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    const events = await listActiveSos(user.id)
+    return res.status(200).json({ events })
+  } catch (error) {
+    console.error('Error fetching SOS events:', error)
+    return res.status(500).json({ error: 'Internal error' })
+  }
+}
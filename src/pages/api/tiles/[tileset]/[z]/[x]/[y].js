@@ -0,0 +1,39 @@
+// src/pages/api/tiles/[tileset]/[z]/[x]/[y].js
+// One map tile from an MBTiles file, in the usual XYZ scheme:
+//   GET /api/tiles/<tileset>/<z>/<x>/<y>
+// Tiles are public like the online base maps; <img> requests carry no token.
+import { getTile } from '../../../../../../lib/mbtiles'
+
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const z = Number(req.query.z)
+    const x = Number(req.query.x)
+    // Accept a file extension on the last segment (…/{y}.png)
+    const y = Number(String(req.query.y).replace(/\.\w+$/, ''))
+
+    const tileCount = 2 ** z
+    if (![z, x, y].every(Number.isInteger) || z < 0 || z > 24 || x < 0 || x >= tileCount || y < 0 || y >= tileCount) {
+      return res.status(400).json({ error: 'Invalid tile coordinates' })
+    }
+
+    const tile = getTile(req.query.tileset, z, x, y)
+    if (!tile) {
+      return res.status(404).json({ error: 'Tileset not found' })
+    }
+    if (!tile.data) {
+      return res.status(404).json({ error: 'Tile not found' })
+    }
+
+    res.setHeader('Content-Type', tile.contentType)
+    res.setHeader('Cache-Control', 'public, max-age=86400')
+    return res.status(200).send(tile.data)
+  } catch (error) {
+    console.error('Error serving tile:', error)
+    return res.status(500).json({ error: 'Internal error' })
+  }
+}
@@ -0,0 +1,18 @@
+// src/pages/api/tiles/index.js
+// MBTiles tilesets available as offline base maps:
+//   GET /api/tiles -> { tilesets: [{ id, name, attribution, format, minZoom, maxZoom, bounds }] }
+import { listTilesets } from '../../../lib/mbtiles'
+
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    return res.status(200).json({ tilesets: listTilesets() })
+  } catch (error) {
+    console.error('Error listing tilesets:', error)
+    return res.status(500).json({ error: 'Internal error' })
+  }
+}
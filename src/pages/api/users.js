@@ -0,0 +1,38 @@
+// src/pages/api/users.js
+// Profiles of the signed-in user and everyone sharing a circle with them:
+//   GET /api/users
+import { supabase } from '../../lib/supabase'
+import { getBearerToken, getUserFromToken } from '../../lib/auth'
+import { getSharedUserIds } from '../../lib/circles'
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const user = await getUserFromToken(getBearerToken(req))
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    const sharedUserIds = await getSharedUserIds(user.id)
+
+    const { data: users, error } = await supabase
+      .from('user_profiles')
+      .select('*')
+      .in('id', sharedUserIds)
+      .order('created_at', { ascending: false })
+
+    if (error) {
+      console.error('Error fetching users:', error)
+      return res.status(500).json({ error: 'Internal error' })
+    }
+
+    return res.status(200).json({ users })
+  } catch (error) {
+    console.error('Error fetching users:', error)
+    return res.status(500).json({ error: 'Internal error' })
+  }
+}
@@ -0,0 +1,54 @@
+// src/pages/api/webhooks/[webhookId]/deliveries.js
+// The last deliveries of one of the signed-in user's webhooks:
+//   GET /api/webhooks/<id>/deliveries
+import { getSupabaseAdmin } from '../../../../lib/supabaseAdmin'
+import { getBearerToken, getUserFromToken } from '../../../../lib/auth'
+
+const DELIVERY_LIMIT = 20
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const user = await getUserFromToken(getBearerToken(req))
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    const { data: webhook, error: webhookError } = await getSupabaseAdmin()
+      .from('webhooks')
+      .select('id')
+      .eq('id', req.query.webhookId)
+      .eq('user_id', user.id)
+      .maybeSingle()
+
+    if (webhookError) {
+      console.error('Error fetching webhook:', webhookError)
+      return res.status(500).json({ error: 'Internal error' })
+    }
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' })
+    }
+
+    const { data: deliveries, error } = await getSupabaseAdmin()
+      .from('webhook_deliveries')
+      .select('id, event, status, attempts, response_status, error, created_at, last_attempt_at, next_attempt_at')
+      .eq('webhook_id', webhook.id)
+      .order('created_at', { ascending: false })
+      .limit(DELIVERY_LIMIT)
+
+    if (error) {
+      console.error('Error fetching webhook deliveries:', error)
+      return res.status(500).json({ error: 'Internal error' })
+    }
+
+    return res.status(200).json({ deliveries })
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error)
+    return res.status(500).json({ error: 'Internal error' })
+  }
+}
@@ -0,0 +1,71 @@
+// src/pages/api/webhooks/[webhookId]/index.js
+// Change or remove one of the signed-in user's webhooks:
+//   PATCH  /api/webhooks/<id> { "enabled": false }
+//   DELETE /api/webhooks/<id>  also removes its delivery log
+import { getSupabaseAdmin } from '../../../../lib/supabaseAdmin'
+import { getBearerToken, getUserFromToken } from '../../../../lib/auth'
+import { WEBHOOK_PUBLIC_COLUMNS } from '../../../../lib/webhooks'
+
+export default async function handler(req, res) {
+  if (req.method !== 'PATCH' && req.method !== 'DELETE') {
+    res.setHeader('Allow', 'PATCH, DELETE')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const user = await getUserFromToken(getBearerToken(req))
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    const { webhookId } = req.query
+
+    if (req.method === 'DELETE') {
+      const { data: deleted, error } = await getSupabaseAdmin()
+        .from('webhooks')
+        .delete()
+        .eq('id', webhookId)
+        .eq('user_id', user.id)
+        .select('id')
+        .maybeSingle()
+
+      if (error) {
+        console.error('Error deleting webhook:', error)
+        return res.status(500).json({ error: 'Internal error' })
+      }
+
+      if (!deleted) {
+        return res.status(404).json({ error: 'Webhook not found' })
+      }
+
+      return res.status(204).end()
+    }
+
+    const { enabled } = req.body || {}
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' })
+    }
+
+    const { data: webhook, error } = await getSupabaseAdmin()
+      .from('webhooks')
+      .update({ enabled, updated_at: new Date().toISOString() })
+      .eq('id', webhookId)
+      .eq('user_id', user.id)
+      .select(WEBHOOK_PUBLIC_COLUMNS)
+      .maybeSingle()
+
+    if (error) {
+      console.error('Error updating webhook:', error)
+      return res.status(500).json({ error: 'Internal error' })
+    }
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' })
+    }
+
+    return res.status(200).json({ webhook })
+  } catch (error) {
+    console.error('Error updating webhook:', error)
+    return res.status(500).json({ error: 'Internal error' })
+  }
+}
@@ -0,0 +1,42 @@
+// src/pages/api/webhooks/[webhookId]/test.js
+// Send a `ping` event to one of the signed-in user's webhooks and report
+// whether the endpoint accepted it. The attempt shows up in the delivery log.
+import { getSupabaseAdmin } from '../../../../lib/supabaseAdmin'
+import { getBearerToken, getUserFromToken } from '../../../../lib/auth'
+import { sendTestDelivery } from '../../../../lib/webhooks'
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const user = await getUserFromToken(getBearerToken(req))
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    const { data: webhook, error } = await getSupabaseAdmin()
+      .from('webhooks')
+      .select('*')
+      .eq('id', req.query.webhookId)
+      .eq('user_id', user.id)
+      .maybeSingle()
+
+    if (error) {
+      console.error('Error fetching webhook:', error)
+      return res.status(500).json({ error: 'Internal error' })
+    }
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' })
+    }
+
+    const delivered = await sendTestDelivery(webhook)
+    return res.status(200).json({ delivered })
+  } catch (error) {
+    console.error('Error sending test webhook:', error)
+    return res.status(500).json({ error: 'Internal error' })
+  }
+}
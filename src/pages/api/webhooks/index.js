@@ -0,0 +1,85 @@
+// src/pages/api/webhooks/index.js
+// Webhook subscriptions of the signed-in user:
+//   GET  /api/webhooks  lists them, without their secrets
+//   POST /api/webhooks { "url": "https://...", "events": ["location.updated"] }
+// The signing secret is generated on POST and only returned in that response.
+import { getSupabaseAdmin } from '../../../lib/supabaseAdmin'
+import { getBearerToken, getUserFromToken } from '../../../lib/auth'
+import {
+  WEBHOOK_EVENTS,
+  WEBHOOK_PUBLIC_COLUMNS,
+  generateWebhookSecret,
+  checkWebhookUrl
+} from '../../../lib/webhooks'
+
+const listWebhooks = async (user, res) => {
+  const { data: webhooks, error } = await getSupabaseAdmin()
+    .from('webhooks')
+    .select(WEBHOOK_PUBLIC_COLUMNS)
+    .eq('user_id', user.id)
+    .order('created_at', { ascending: true })
+
+  if (error) {
+    console.error('Error fetching webhooks:', error)
+    return res.status(500).json({ error: 'Internal error' })
+  }
+
+  return res.status(200).json({ webhooks })
+}
+
+const createWebhook = async (user, req, res) => {
+  const { url, events } = req.body || {}
+
+  const urlError = await checkWebhookUrl(url)
+  if (urlError) {
+    return res.status(400).json({ error: urlError })
+  }
+
+  if (!Array.isArray(events) || events.length === 0) {
+    return res.status(400).json({ error: 'Select at least one event' })
+  }
+
+  const unknownEvents = events.filter(event => !WEBHOOK_EVENTS.includes(event))
+  if (unknownEvents.length > 0) {
+    return res.status(400).json({ error: `Unknown events: ${unknownEvents.join(', ')}` })
+  }
+
+  const { data: webhook, error } = await getSupabaseAdmin()
+    .from('webhooks')
+    .insert({
+      user_id: user.id,
+      url,
+      secret: generateWebhookSecret(),
+      events: [...new Set(events)]
+    })
+    .select()
+    .single()
+
+  if (error) {
+    console.error('Error creating webhook:', error)
+    return res.status(500).json({ error: 'Internal error' })
+  }
+
+  return res.status(201).json({ webhook })
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const user = await getUserFromToken(getBearerToken(req))
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    return req.method === 'GET'
+      ? await listWebhooks(user, res)
+      : await createWebhook(user, req, res)
+  } catch (error) {
+    console.error('Error handling webhooks request:', error)
+    return res.status(500).json({ error: 'Internal error' })
+  }
+}
@@ -1,7 +1,35 @@
 //src/pages/index.js
-import { useState, useEffect, useRef } from 'react'
+import { useState, useEffect, useRef, useMemo } from 'react'
 import dynamic from 'next/dynamic'
 import { supabase } from '../lib/supabase'
+import { calculateDistance, formatDistance } from '../lib/geo'
+import { safeWebsiteUrl } from '../lib/urls'
+import { smoothTrack, calculatePathLength } from '../lib/smoothing'
+import {
+  getTrackingSettings,
+  getTrackingMode,
+  getWatchOptions,
+  shouldSendFix
+} from '../lib/trackingPolicy'
+import {
+  enqueueLocation,
+  getQueuedLocations,
+  removeQueuedLocations,
+  removeQueuedLocationsForDevice,
+  countQueuedLocations
+} from '../lib/locationQueue'
+import CirclesManager from '../components/CirclesManager'
+import TrackerSetup from '../components/TrackerSetup'
+import TrackImport from '../components/TrackImport'
+import DeviceTimeline from '../components/DeviceTimeline'
+import BatteryHistoryChart from '../components/BatteryHistoryChart'
+import AlertsInbox, { ALERT_RULE_TYPES } from '../components/AlertsInbox'
+import WebhooksManager from '../components/WebhooksManager'
+import DevicesManager, { DEVICE_TYPES } from '../components/DevicesManager'
+import ProfileEditor from '../components/ProfileEditor'
+import Avatar from '../components/Avatar'
+import UserDetail from '../components/UserDetail'
+import HeatmapControls from '../components/HeatmapControls'
 import io from 'socket.io-client'
 import toast, { Toaster } from 'react-hot-toast'
 import { format } from 'date-fns'
@@ -19,7 +47,17 @@ import {
   EyeIcon,
   ListBulletIcon,
   CalculatorIcon,
-  XMarkIcon
+  XMarkIcon,
+  PlayIcon,
+  PauseIcon,
+  ViewfinderCircleIcon,
+  TrashIcon,
+  UserPlusIcon,
+  ArrowDownTrayIcon,
+  CalendarDaysIcon,
+  BellAlertIcon,
+  LinkIcon,
+  UserCircleIcon
 } from '@heroicons/react/24/outline'
 
 // Dynamically import Map component to avoid SSR issues
@@ -30,11 +68,37 @@ const MapComponent = dynamic(() => import('../components/MapComponent'), {
 
 let socket
 let watchId = null
+let heartbeatTimer = null
+let isFlushingQueue = false
+
+// Max queued fixes uploaded per location-batch
+const QUEUE_BATCH_SIZE = 200
+
+// How often tracking checks whether a heartbeat is due
+const HEARTBEAT_CHECK_MS = 15 * 1000
+
+// GET one of our API routes as the signed-in user. Lists of other people's
+// devices and profiles come from the server, which applies the circle rules.
+const fetchFromApi = async (path) => {
+  const { data: { session } } = await supabase.auth.getSession()
+
+  const response = await fetch(path, {
+    headers: { Authorization: `Bearer ${session?.access_token}` }
+  })
+  const body = await response.json()
+
+  if (!response.ok) {
+    throw new Error(body.error || `Request failed (${response.status})`)
+  }
+
+  return body
+}
 
 export default function Home() {
   const [user, setUser] = useState(null)
   const [isSignedIn, setIsSignedIn] = useState(false)
   const [loading, setLoading] = useState(true)
+  const [isSocketReady, setIsSocketReady] = useState(false)
   
   // Auth states
   const [email, setEmail] = useState('')
@@ -46,28 +110,108 @@ export default function Home() {
   const [currentDevice, setCurrentDevice] = useState(null)
   const [isDeviceSetupComplete, setIsDeviceSetupComplete] = useState(false)
   const [deviceName, setDeviceName] = useState('')
+  const [deviceType, setDeviceType] = useState('mobile')
+  // Browser devices already on the account, offered on the naming screen
+  const [accountDevices, setAccountDevices] = useState([])
   const [showDeviceNaming, setShowDeviceNaming] = useState(false)
   const [locationPermission, setLocationPermission] = useState('prompt')
   const [isOnline, setIsOnline] = useState(navigator.onLine)
   const [locationStatus, setLocationStatus] = useState('checking')
   
   // Movement detection
-  const [lastPosition, setLastPosition] = useState(null)
   const [movementSpeed, setMovementSpeed] = useState(0)
   const [isMovingFast, setIsMovingFast] = useState(false)
+  const [trackingMode, setTrackingMode] = useState(null) // 'moving' | 'stationary' | 'low_power' | 'sos'
+  const lastPositionRef = useRef(null)
+  const lastSentFixRef = useRef(null)
+  const lastHeartbeatRef = useRef(0)
+  const isMovingFastRef = useRef(false)
+  const trackingModeRef = useRef(null)
+  const batteryRef = useRef(null) // { level, charging }
+  const [batteryStatus, setBatteryStatus] = useState(null)
+
+  // Open SOS events of everyone in our circles, this device's own included.
+  // While this device has one, tracking runs in 'sos' mode.
+  const [sosEvents, setSosEvents] = useState([])
+  const sosActiveRef = useRef(false)
+  // Escalation level last alerted per incoming SOS id
+  const notifiedSosRef = useRef({})
+
+  // Fixes waiting in the offline queue
+  const [queuedFixCount, setQueuedFixCount] = useState(0)
   
   // App states
   const [allDeviceLocations, setAllDeviceLocations] = useState([])
   const [allUsers, setAllUsers] = useState([])
   const [currentTab, setCurrentTab] = useState('map')
   const [searchTerm, setSearchTerm] = useState('')
+  const [selectedUserId, setSelectedUserId] = useState(null)
+  // Devices to fit once the main map is shown again ("Show on main map")
+  const [mapFocusDeviceIds, setMapFocusDeviceIds] = useState(null)
+  // Location density overlay on the main map, loaded by HeatmapControls
+  const [showHeatmap, setShowHeatmap] = useState(false)
+  const [heatmapData, setHeatmapData] = useState(null)
   
   // Enhanced states for mobile responsiveness
-  const [activeSidebar, setActiveSidebar] = useState(null) // 'devices' | 'distance' | null
+  const [activeSidebar, setActiveSidebar] = useState(null) // 'devices' | 'distance' | 'history' | 'timeline' | 'geofences' | null
   const [selectedDevice, setSelectedDevice] = useState(null)
   const [distanceFrom, setDistanceFrom] = useState('')
   const [distanceTo, setDistanceTo] = useState('')
   const [calculatedDistance, setCalculatedDistance] = useState(null)
+  // Proximity alert for the selected pair ('proximity' | 'separation')
+  const [pairRuleType, setPairRuleType] = useState('proximity')
+  const [pairRuleThreshold, setPairRuleThreshold] = useState(200)
+
+  // History playback states
+  const [historyDeviceId, setHistoryDeviceId] = useState('')
+  const [historyFrom, setHistoryFrom] = useState(() => format(new Date(Date.now() - 24 * 60 * 60 * 1000), "yyyy-MM-dd'T'HH:mm"))
+  const [historyTo, setHistoryTo] = useState(() => format(new Date(), "yyyy-MM-dd'T'HH:mm"))
+  const [historyPoints, setHistoryPoints] = useState([])
+  const [isLoadingHistory, setIsLoadingHistory] = useState(false)
+  const [playbackIndex, setPlaybackIndex] = useState(0)
+  const [isPlaying, setIsPlaying] = useState(false)
+  const [playbackSpeed, setPlaybackSpeed] = useState(1)
+  const [smoothHistory, setSmoothHistory] = useState(true)
+  const [filteredFixes, setFilteredFixes] = useState([])
+  const [showFilteredFixes, setShowFilteredFixes] = useState(false)
+  const [historyTruncated, setHistoryTruncated] = useState(false)
+
+  // Stop or trip picked in the daily timeline
+  const [timelineSegment, setTimelineSegment] = useState(null)
+
+  // Track export states
+  const [exportDeviceId, setExportDeviceId] = useState(null)
+  const [exportFormat, setExportFormat] = useState('gpx')
+  const [exportFrom, setExportFrom] = useState(() => format(new Date(Date.now() - 24 * 60 * 60 * 1000), "yyyy-MM-dd'T'HH:mm"))
+  const [exportTo, setExportTo] = useState(() => format(new Date(), "yyyy-MM-dd'T'HH:mm"))
+  const [isExporting, setIsExporting] = useState(false)
+
+  // Alerts inbox
+  const [unreadAlertCount, setUnreadAlertCount] = useState(0)
+  const [alertsRefreshKey, setAlertsRefreshKey] = useState(0)
+
+  // Device whose battery chart is open in the devices sidebar
+  const [batteryChartDeviceId, setBatteryChartDeviceId] = useState(null)
+
+  // Geofence states
+  const [geofences, setGeofences] = useState([])
+  const [geofenceDrawMode, setGeofenceDrawMode] = useState(null) // 'circle' | 'polygon' | null
+  const [pendingGeofence, setPendingGeofence] = useState(null)
+  const [geofenceName, setGeofenceName] = useState('')
+
+  // Path drawn on the map; raw fixes stay in historyPoints for the details panel
+  const displayedHistory = useMemo(
+    () => smoothHistory ? smoothTrack(historyPoints) : historyPoints,
+    [historyPoints, smoothHistory]
+  )
+
+  // The pair picked in the distance sidebar also gets a live line on the map
+  const distanceLineDeviceIds = useMemo(
+    () => distanceFrom && distanceTo && distanceFrom !== distanceTo ? [distanceFrom, distanceTo] : [],
+    [distanceFrom, distanceTo]
+  )
+
+  const sosDeviceIds = useMemo(() => sosEvents.map(event => event.deviceId), [sosEvents])
 
   // Map reference for programmatic control
   const mapRef = useRef(null)
@@ -77,6 +221,7 @@ export default function Home() {
     generateOrGetDeviceUUID()
     checkOnlineStatus()
     socketInitializer()
+    countQueuedLocations().then(setQueuedFixCount).catch(() => {})
     
     // Listen for online/offline events
     window.addEventListener('online', () => setIsOnline(true))
@@ -85,11 +230,47 @@ export default function Home() {
     return () => {
       if (socket) socket.disconnect()
       if (watchId) navigator.geolocation.clearWatch(watchId)
+      clearInterval(heartbeatTimer)
       window.removeEventListener('online', () => setIsOnline(true))
       window.removeEventListener('offline', () => setIsOnline(false))
     }
   }, [])
 
+  // Battery state feeds the low-power tracking mode and is reported as telemetry
+  useEffect(() => {
+    if (!('getBattery' in navigator)) return
+
+    let battery = null
+    const updateBattery = () => {
+      batteryRef.current = {
+        level: Math.round(battery.level * 100),
+        charging: battery.charging
+      }
+      setBatteryStatus(batteryRef.current)
+    }
+
+    navigator.getBattery().then(result => {
+      battery = result
+      updateBattery()
+      battery.addEventListener('levelchange', updateBattery)
+      battery.addEventListener('chargingchange', updateBattery)
+    }).catch(error => console.error('Battery status unavailable:', error))
+
+    return () => {
+      if (battery) {
+        battery.removeEventListener('levelchange', updateBattery)
+        battery.removeEventListener('chargingchange', updateBattery)
+      }
+    }
+  }, [])
+
+  // Report battery changes right away rather than with the next sent fix
+  useEffect(() => {
+    if (batteryStatus && currentDevice && isSocketReady) {
+      updateDeviceStatus(true)
+    }
+  }, [batteryStatus, currentDevice, isSocketReady])
+
   useEffect(() => {
     if (isSignedIn && deviceUUID) {
       requestLocationPermission()
@@ -100,9 +281,60 @@ export default function Home() {
     if (isSignedIn) {
       fetchAllDeviceLocations()
       fetchAllUsers()
+      fetchGeofences()
+      fetchUnreadAlertCount()
+      fetchActiveSosEvents()
     }
   }, [isSignedIn])
 
+  // Send every fix at full accuracy while this device has an open SOS
+  useEffect(() => {
+    const isSos = Boolean(currentDevice) && sosEvents.some(event => event.deviceId === currentDevice.id)
+    if (isSos === sosActiveRef.current) return
+
+    sosActiveRef.current = isSos
+    if (watchId !== null) startLocationTracking(currentDevice)
+  }, [sosEvents, currentDevice])
+
+  // Alert about other people's SOS once, and again on every escalation
+  useEffect(() => {
+    sosEvents.forEach(event => {
+      if (event.userId === user?.id) return
+
+      const notifiedLevel = notifiedSosRef.current[event.id]
+      if (notifiedLevel !== undefined && notifiedLevel >= event.escalationLevel) return
+      notifiedSosRef.current[event.id] = event.escalationLevel
+
+      toast.error(
+        event.escalationLevel > 0
+          ? `SOS from ${event.deviceName} is still unacknowledged`
+          : `SOS from ${event.deviceName}`,
+        { id: `sos-${event.id}`, icon: '🆘', duration: 15000 }
+      )
+      if (navigator.vibrate) navigator.vibrate([400, 150, 400, 150, 400])
+      if (notifiedLevel === undefined) setActiveSidebar('devices')
+    })
+  }, [sosEvents, user])
+
+  // Connect with the signed-in user's token and join their room for
+  // owner-only events (re-joined on reconnect)
+  useEffect(() => {
+    if (!user || !isSocketReady) return
+
+    const joinUserRoom = () => socket.emit('join-user', user.id)
+
+    socket.on('connect', joinUserRoom)
+    if (socket.connected) {
+      joinUserRoom()
+    } else {
+      socket.connect()
+    }
+
+    return () => {
+      socket.off('connect', joinUserRoom)
+    }
+  }, [user, isSocketReady])
+
   // Calculate distance when from/to devices change
   useEffect(() => {
     if (distanceFrom && distanceTo && distanceFrom !== distanceTo) {
@@ -110,6 +342,52 @@ export default function Home() {
     }
   }, [distanceFrom, distanceTo, allDeviceLocations])
 
+  // Advance history playback one fix per tick while playing
+  useEffect(() => {
+    if (!isPlaying) return
+
+    const interval = setInterval(() => {
+      setPlaybackIndex(prev => Math.min(prev + 1, historyPoints.length - 1))
+    }, 1000 / playbackSpeed)
+
+    return () => clearInterval(interval)
+  }, [isPlaying, playbackSpeed, historyPoints.length])
+
+  // Stop playback once the last fix is reached
+  useEffect(() => {
+    if (isPlaying && playbackIndex >= historyPoints.length - 1) {
+      setIsPlaying(false)
+    }
+  }, [isPlaying, playbackIndex, historyPoints.length])
+
+  // The map tab mounts its (dynamically loaded) map on demand, so wait for
+  // its ref before fitting the requested devices
+  useEffect(() => {
+    if (currentTab !== 'map' || !mapFocusDeviceIds) return
+
+    let attempts = 0
+    const interval = setInterval(() => {
+      attempts += 1
+      if (typeof mapRef.current?.showBothDevices === 'function') {
+        mapRef.current.showBothDevices(mapFocusDeviceIds)
+        setMapFocusDeviceIds(null)
+        clearInterval(interval)
+      } else if (attempts >= 50) {
+        setMapFocusDeviceIds(null)
+        clearInterval(interval)
+      }
+    }, 100)
+
+    return () => clearInterval(interval)
+  }, [currentTab, mapFocusDeviceIds])
+
+  // The timeline highlight only makes sense while its sidebar is open
+  useEffect(() => {
+    if (activeSidebar !== 'timeline') {
+      setTimelineSegment(null)
+    }
+  }, [activeSidebar])
+
   // Mobile responsive sidebar handler
   const toggleSidebar = (sidebarType) => {
     if (activeSidebar === sidebarType) {
@@ -141,11 +419,28 @@ export default function Home() {
 
   const socketInitializer = async () => {
     await fetch('/api/socket')
-    socket = io('', { path: '/api/socket' })
+    socket = io('', {
+      path: '/api/socket',
+      // Send the current Supabase access token on every (re)connect
+      auth: async (cb) => {
+        const { data: { session } } = await supabase.auth.getSession()
+        cb({ token: session?.access_token })
+      }
+    })
 
     socket.on('connect', () => {
       console.log('Connected to server')
-      socket.emit('join-global')
+      flushQueuedLocations()
+    })
+
+    socket.on('connect_error', (error) => {
+      // Rejected handshakes are not retried; we reconnect once signed in
+      console.error('Socket connection error:', error.message)
+    })
+
+    socket.on('unauthorized', (data) => {
+      console.error('Socket request rejected:', data)
+      toast.error(`Not allowed: ${data.message}`)
     })
 
     socket.on('location-updated', (data) => {
@@ -163,7 +458,118 @@ export default function Home() {
 
     socket.on('device-status-updated', (data) => {
       console.log('Device status updated:', data)
+      setAllDeviceLocations(prev => prev.map(loc =>
+        loc.device_id === data.deviceId
+          ? {
+              ...loc,
+              is_online: data.isOnline,
+              ...(data.batteryLevel !== null && data.batteryLevel !== undefined && {
+                battery_level: data.batteryLevel,
+                is_charging: data.isCharging
+              })
+            }
+          : loc
+      ))
     })
+
+    socket.on('alert-triggered', (data) => {
+      toast.error(data.message, { icon: '🔔', duration: 8000 })
+      setUnreadAlertCount(prev => prev + 1)
+      setAlertsRefreshKey(prev => prev + 1)
+    })
+
+    socket.on('devices-offline-check', ({ deviceIds }) => {
+      setAllDeviceLocations(prev => prev.map(loc =>
+        deviceIds.includes(loc.device_id) ? { ...loc, is_online: false } : loc
+      ))
+    })
+
+    socket.on('sos', (data) => {
+      setSosEvents(prev => [...prev.filter(event => event.id !== data.id), data])
+    })
+
+    socket.on('sos-resolved', (data) => {
+      setSosEvents(prev => prev.filter(event => event.id !== data.id))
+      toast.success(data.status === 'acknowledged'
+        ? `SOS from ${data.deviceName} acknowledged${data.resolvedByName ? ` by ${data.resolvedByName}` : ''}`
+        : `SOS from ${data.deviceName} cancelled`, { duration: 8000 })
+    })
+
+    socket.on('geofence-event', (data) => {
+      const action = data.eventType === 'enter' ? 'entered' : 'left'
+      toast(`${data.deviceName} ${action} ${data.geofenceName}`, {
+        icon: data.eventType === 'enter' ? '📍' : '🚪',
+        duration: 6000
+      })
+    })
+
+    setIsSocketReady(true)
+  }
+
+  // Send a fix live, falling back to the offline queue when it cannot be delivered
+  const sendLocation = async (locationData) => {
+    if (socket && socket.connected && navigator.onLine) {
+      socket.timeout(10000).emit('location-update', locationData, (err, response) => {
+        if (err) {
+          console.warn('Location update not acknowledged, queueing:', err)
+          queueLocation(locationData)
+        } else if (!response?.ok) {
+          // Invalid or unauthorized fixes would be rejected again on every retry
+          if (response?.retryable === false) {
+            console.warn('Location update rejected:', response.error)
+          } else {
+            console.warn('Location update not stored, queueing:', response?.error)
+            queueLocation(locationData)
+          }
+        }
+      })
+      return
+    }
+
+    await queueLocation(locationData)
+  }
+
+  const queueLocation = async (locationData) => {
+    try {
+      await enqueueLocation(locationData)
+      setQueuedFixCount(prev => prev + 1)
+    } catch (error) {
+      console.error('Error queueing location:', error)
+    }
+  }
+
+  // Upload queued fixes in order, one batch at a time, once the socket is back
+  const flushQueuedLocations = async () => {
+    if (isFlushingQueue) return
+    isFlushingQueue = true
+
+    try {
+      while (socket && socket.connected) {
+        const queued = await getQueuedLocations(QUEUE_BATCH_SIZE)
+        if (queued.length === 0) break
+
+        const response = await socket.timeout(30000).emitWithAck('location-batch', {
+          fixes: queued.map(({ id, ...fix }) => fix)
+        })
+
+        if (!response?.ok) {
+          console.error('Location batch rejected:', response?.error)
+          break
+        }
+
+        // Fixes the server dropped as invalid are removed too: resending them cannot help
+        await removeQueuedLocations(queued.map(fix => fix.id))
+        if (response.dropped?.length > 0) {
+          console.warn('Queued locations dropped by the server:', response.dropped.map(({ index, error }) => ({ ...queued[index], error })))
+        }
+        console.log(`Uploaded ${queued.length - (response.dropped?.length || 0)} queued locations`)
+      }
+    } catch (error) {
+      console.error('Error uploading queued locations:', error)
+    } finally {
+      isFlushingQueue = false
+      countQueuedLocations().then(setQueuedFixCount).catch(() => {})
+    }
   }
 
   const checkUser = async () => {
@@ -284,9 +690,18 @@ export default function Home() {
         toast.success(`Welcome back! Using device: ${existingDevice.device_name}`)
         
         getCurrentLocationAndDisplay(existingDevice)
-        startLocationTracking()
+        startLocationTracking(existingDevice)
       } else {
         console.log('No existing device found, showing naming screen')
+
+        const { data: otherDevices } = await supabase
+          .from('devices')
+          .select('id, device_name, device_type, device_token, last_seen')
+          .eq('user_id', user.id)
+          .not('device_token', 'is', null)
+          .order('last_seen', { ascending: false, nullsFirst: false })
+
+        setAccountDevices(otherDevices || [])
         setShowDeviceNaming(true)
         setIsDeviceSetupComplete(false)
       }
@@ -310,7 +725,7 @@ export default function Home() {
         .insert({
           user_id: user.id,
           device_name: deviceName.trim(),
-          device_type: 'mobile',
+          device_type: deviceType,
           device_token: deviceUUID,
           is_online: true
         })
@@ -331,7 +746,7 @@ export default function Home() {
       toast.success(`Device "${deviceName}" registered successfully!`)
       
       getCurrentLocationAndDisplay(data)
-      startLocationTracking()
+      startLocationTracking(data)
     } catch (error) {
       console.error('Unexpected error saving device:', error)
       toast.error('Unexpected error: ' + error.message)
@@ -360,7 +775,7 @@ export default function Home() {
 
         console.log('Sending location data:', locationData)
 
-        socket.emit('location-update', locationData)
+        sendLocation(locationData)
 
         const deviceLocationData = {
           device_id: device.id,
@@ -384,7 +799,7 @@ export default function Home() {
           return newList
         })
 
-        await updateDeviceStatus(true)
+        await updateDeviceStatus(true, device)
         
         toast.success(`Location updated! Your device "${device.device_name}" is now visible on the map.`)
       },
@@ -400,122 +815,138 @@ export default function Home() {
     )
   }
 
-  const startLocationTracking = () => {
-    if (!navigator.geolocation || !currentDevice) return
+  const startLocationTracking = (device = currentDevice) => {
+    if (!navigator.geolocation || !device) return
 
-    console.log('Starting location tracking for device:', currentDevice.device_name)
+    console.log('Starting location tracking for device:', device.device_name)
 
-    watchId = navigator.geolocation.watchPosition(
-      (position) => {
-        const currentTime = Date.now()
-        const newPosition = {
-          latitude: position.coords.latitude,
-          longitude: position.coords.longitude,
-          accuracy: position.coords.accuracy,
-          speed: position.coords.speed,
-          heading: position.coords.heading,
-          altitude: position.coords.altitude,
-          timestamp: new Date().toISOString()
-        }
+    const settings = getTrackingSettings(device)
 
-        if (lastPosition) {
-          const distance = calculateDistance(
-            lastPosition.latitude, lastPosition.longitude,
-            newPosition.latitude, newPosition.longitude
-          )
-          const timeDiff = (currentTime - lastPosition.timestamp) / 1000
-          const calculatedSpeed = timeDiff > 0 ? (distance / timeDiff) * 3.6 : 0
+    // (Re)start watchPosition with the options of a tracking mode
+    const watchWithMode = (mode) => {
+      if (watchId !== null) navigator.geolocation.clearWatch(watchId)
 
-          setMovementSpeed(calculatedSpeed)
-          
-          const isFast = calculatedSpeed > 50
-          if (isFast !== isMovingFast) {
-            setIsMovingFast(isFast)
-            if (isFast) {
-              toast(`Moving fast: ${Math.round(calculatedSpeed)} km/h`, { icon: '⚡' })
-            }
+      trackingModeRef.current = mode
+      setTrackingMode(mode)
+      watchId = navigator.geolocation.watchPosition(handlePosition, handleError, getWatchOptions(mode))
+    }
+
+    const handlePosition = (position) => {
+      const currentTime = Date.now()
+      const newPosition = {
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+        accuracy: position.coords.accuracy,
+        speed: position.coords.speed,
+        heading: position.coords.heading,
+        altitude: position.coords.altitude,
+        timestamp: new Date().toISOString()
+      }
+
+      // Refs rather than state: this callback outlives the render that created it
+      const lastPosition = lastPositionRef.current
+      let speedKmh = 0
+
+      if (position.coords.speed !== null && position.coords.speed !== undefined) {
+        speedKmh = position.coords.speed * 3.6
+      } else if (lastPosition) {
+        const distance = calculateDistance(
+          lastPosition.latitude, lastPosition.longitude,
+          newPosition.latitude, newPosition.longitude
+        )
+        const timeDiff = (currentTime - lastPosition.timestamp) / 1000
+        speedKmh = timeDiff > 0 ? (distance / timeDiff) * 3.6 : 0
+      }
+
+      if (lastPosition) {
+        setMovementSpeed(speedKmh)
+
+        const isFast = speedKmh > 50
+        if (isFast !== isMovingFastRef.current) {
+          isMovingFastRef.current = isFast
+          setIsMovingFast(isFast)
+          if (isFast) {
+            toast(`Moving fast: ${Math.round(speedKmh)} km/h`, { icon: '⚡' })
           }
         }
+      }
 
-        setLastPosition({
-          ...newPosition,
-          timestamp: currentTime
-        })
+      lastPositionRef.current = {
+        ...newPosition,
+        timestamp: currentTime
+      }
 
-        const locationData = {
-          deviceId: currentDevice.id,
+      const mode = getTrackingMode({ speedKmh, battery: batteryRef.current, sos: sosActiveRef.current }, settings)
+
+      if (shouldSendFix(mode, lastSentFixRef.current, newPosition, settings)) {
+        lastSentFixRef.current = newPosition
+        sendLocation({
+          deviceId: device.id,
           ...newPosition
-        }
+        })
+        updateDeviceStatus(true, device)
+      }
 
-        socket.emit('location-update', locationData)
-        updateDeviceStatus(true)
-      },
-      (error) => {
-        console.error('Location tracking error:', error)
-        setLocationStatus('denied')
-        updateDeviceStatus(false)
-        
-        if (error.code === error.PERMISSION_DENIED) {
-          toast.error('Location permission was revoked')
-        }
-      },
-      {
-        enableHighAccuracy: true,
-        maximumAge: 5000,
-        timeout: 10000
+      if (mode !== trackingModeRef.current) {
+        console.log('Tracking mode changed:', trackingModeRef.current, '->', mode)
+        watchWithMode(mode)
       }
-    )
-  }
+    }
 
-  const updateDeviceStatus = async (isOnlineStatus) => {
-    if (!currentDevice) return
+    const handleError = (error) => {
+      console.error('Location tracking error:', error)
 
-    try {
-      const { error } = await supabase
-        .from('devices')
-        .update({ 
-          is_online: isOnlineStatus && isOnline,
-          last_seen: new Date().toISOString()
-        })
-        .eq('id', currentDevice.id)
+      // Timeouts are expected in the slower modes; keep watching
+      if (error.code === error.TIMEOUT) return
 
-      if (error) {
-        console.error('Error updating device status:', error)
+      // Stop reporting the device as online while it has no location
+      clearInterval(heartbeatTimer)
+      heartbeatTimer = null
+      setLocationStatus('denied')
+      updateDeviceStatus(false, device)
+
+      if (error.code === error.PERMISSION_DENIED) {
+        toast.error('Location permission was revoked')
       }
+    }
 
+    // A still phone may get no position callbacks for minutes. Ping the
+    // server whenever nothing was reported for heartbeatInterval seconds so
+    // it does not mark the device offline.
+    clearInterval(heartbeatTimer)
+    heartbeatTimer = setInterval(() => {
+      const lastFixAt = lastSentFixRef.current ? new Date(lastSentFixRef.current.timestamp).getTime() : 0
+      const lastReportAt = Math.max(lastFixAt, lastHeartbeatRef.current)
+
+      if (Date.now() - lastReportAt >= settings.heartbeatInterval * 1000) {
+        lastHeartbeatRef.current = Date.now()
+        updateDeviceStatus(true, device)
+      }
+    }, HEARTBEAT_CHECK_MS)
+
+    lastSentFixRef.current = null
+    lastHeartbeatRef.current = Date.now()
+    watchWithMode(getTrackingMode({ speedKmh: 0, battery: batteryRef.current, sos: sosActiveRef.current }, settings))
+  }
+
+  const updateDeviceStatus = async (isOnlineStatus, device = currentDevice) => {
+    if (!device) return
+
+    try {
+      // The server owns is_online so it can tell when a device comes online or goes offline
       socket.emit('device-status', {
-        deviceId: currentDevice.id,
+        deviceId: device.id,
         isOnline: isOnlineStatus && isOnline,
-        batteryLevel: getBatteryLevel()
+        batteryLevel: getBatteryLevel(),
+        isCharging: batteryRef.current ? batteryRef.current.charging : null
       })
     } catch (error) {
       console.error('Error updating device status:', error)
     }
   }
 
-  const getBatteryLevel = () => {
-    if ('getBattery' in navigator) {
-      navigator.getBattery().then(battery => {
-        return Math.round(battery.level * 100)
-      })
-    }
-    return null
-  }
-
-  const calculateDistance = (lat1, lon1, lat2, lon2) => {
-    const R = 6371e3
-    const φ1 = lat1 * Math.PI/180
-    const φ2 = lat2 * Math.PI/180
-    const Δφ = (lat2-lat1) * Math.PI/180
-    const Δλ = (lon2-lon1) * Math.PI/180
-
-    const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-              Math.cos(φ1) * Math.cos(φ2) *
-              Math.sin(Δλ/2) * Math.sin(Δλ/2)
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a))
-
-    return R * c
-  }
+  // Kept up to date by the battery effect; null when the browser has no Battery Status API
+  const getBatteryLevel = () => batteryRef.current ? batteryRef.current.level : null
 
   // New function to calculate distance between two devices
   const calculateDistanceBetweenDevices = () => {
@@ -533,6 +964,81 @@ export default function Home() {
     }
   }
 
+  // Alert rule for the pair picked in the distance sidebar, evaluated by the
+  // server whenever either device reports (see evaluateProximityRules)
+  const createPairAlertRule = async () => {
+    const fromDevice = allDeviceLocations.find(d => d.device_id === distanceFrom)
+    const toDevice = allDeviceLocations.find(d => d.device_id === distanceTo)
+    if (!fromDevice || !toDevice) return
+
+    if (!(Number(pairRuleThreshold) > 0)) {
+      toast.error('Please enter a distance above 0')
+      return
+    }
+
+    const { label, unit } = ALERT_RULE_TYPES[pairRuleType]
+
+    const { error } = await supabase
+      .from('alert_rules')
+      .insert({
+        user_id: user.id,
+        device_id: fromDevice.device_id,
+        other_device_id: toDevice.device_id,
+        name: `${fromDevice.device_name} and ${toDevice.device_name}: ${label.toLowerCase()} ${pairRuleThreshold} ${unit}`,
+        rule_type: pairRuleType,
+        threshold: Number(pairRuleThreshold),
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+      })
+
+    if (error) {
+      console.error('Error creating alert rule:', error)
+      toast.error('Error creating alert: ' + error.message)
+      return
+    }
+
+    toast.success(`You will be alerted when ${fromDevice.device_name} and ${toDevice.device_name} are ${label.toLowerCase()} ${pairRuleThreshold} ${unit}`)
+  }
+
+  // Raise an SOS for this device. Tracking switches to full rate straight away,
+  // before the server has confirmed it.
+  const startSos = () => {
+    if (!currentDevice || !socket) return
+    if (!window.confirm('Send an SOS with your location to everyone in your circles?')) return
+
+    sosActiveRef.current = true
+    if (watchId !== null) startLocationTracking(currentDevice)
+
+    const position = lastPositionRef.current
+    socket.timeout(10000).emit('sos-start', {
+      deviceId: currentDevice.id,
+      latitude: position?.latitude,
+      longitude: position?.longitude
+    }, (err, response) => {
+      if (err || !response?.ok) {
+        const message = err ? 'no answer from the server' : response?.error
+        console.error('Error sending SOS:', err || response)
+        toast.error('Error sending SOS: ' + message)
+
+        sosActiveRef.current = false
+        if (watchId !== null) startLocationTracking(currentDevice)
+        return
+      }
+
+      setSosEvents(prev => [...prev.filter(event => event.id !== response.sos.id), response.sos])
+      toast.success('SOS sent to everyone in your circles', { icon: '🆘' })
+    })
+  }
+
+  // The sender cancels, anyone else acknowledges; `sos-resolved` closes it for everyone
+  const resolveSos = (event, action) => {
+    socket.timeout(10000).emit(action === 'cancel' ? 'sos-cancel' : 'sos-acknowledge', { sosId: event.id }, (err, response) => {
+      if (err || !response?.ok) {
+        console.error(`Error trying to ${action} SOS:`, err || response)
+        toast.error(`Error trying to ${action} SOS: ` + (err ? 'no answer from the server' : response?.error))
+      }
+    })
+  }
+
   // New function to zoom to specific device
   const zoomToDevice = (deviceId) => {
     const device = allDeviceLocations.find(d => d.device_id === deviceId)
@@ -551,17 +1057,6 @@ export default function Home() {
     }
   }
 
-  // Format distance for display
-  const formatDistance = (distance) => {
-    if (distance < 1000) {
-      return `${Math.round(distance)} m`
-    } else if (distance < 100000) {
-      return `${(distance / 1000).toFixed(1)} km`
-    } else {
-      return `${Math.round(distance / 1000)} km`
-    }
-  }
-
   // Reverse distance calculation
   const reverseDistanceSelection = () => {
     const temp = distanceFrom
@@ -570,66 +1065,258 @@ export default function Home() {
   }
 
   const fetchAllDeviceLocations = async () => {
+    if (!user) return
+
     try {
-      console.log('Fetching all device locations...')
-      
-      let { data, error } = await supabase
-        .from('current_device_locations')
+      // The server only returns devices of people sharing a circle with us
+      const { locations } = await fetchFromApi('/api/devices')
+      setAllDeviceLocations(locations)
+    } catch (error) {
+      console.error('Error fetching device locations:', error)
+      setAllDeviceLocations([])
+    }
+  }
+
+  const fetchActiveSosEvents = async () => {
+    if (!user) return
+
+    try {
+      const { events } = await fetchFromApi('/api/sos')
+      setSosEvents(events)
+    } catch (error) {
+      console.error('Error fetching SOS events:', error)
+      toast.error('Error loading SOS events: ' + error.message)
+    }
+  }
+
+  const fetchLocationHistory = async () => {
+    if (!historyDeviceId) {
+      toast.error('Please select a device')
+      return
+    }
+
+    const from = new Date(historyFrom)
+    const to = new Date(historyTo)
+
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      toast.error('Please select a valid time range')
+      return
+    }
+
+    setIsLoadingHistory(true)
+    setIsPlaying(false)
+
+    try {
+      const params = new URLSearchParams({ from: from.toISOString(), to: to.toISOString() })
+      const { points, filtered, truncated } = await fetchFromApi(
+        `/api/devices/${historyDeviceId}/history?${params}`
+      )
+
+      setHistoryPoints(points)
+      setPlaybackIndex(0)
+      // Fixes rejected by the server-side plausibility checks, for review
+      setFilteredFixes(filtered)
+      setHistoryTruncated(truncated)
+
+      if (points.length === 0) {
+        toast('No recorded locations in this time range', { icon: 'ℹ️' })
+      }
+    } catch (error) {
+      console.error('Error fetching location history:', error)
+      toast.error('Error loading history: ' + error.message)
+    } finally {
+      setIsLoadingHistory(false)
+    }
+  }
+
+  const clearLocationHistory = () => {
+    setIsPlaying(false)
+    setHistoryPoints([])
+    setPlaybackIndex(0)
+    setFilteredFixes([])
+    setShowFilteredFixes(false)
+    setHistoryTruncated(false)
+  }
+
+  const togglePlayback = () => {
+    if (!isPlaying && playbackIndex >= historyPoints.length - 1) {
+      setPlaybackIndex(0)
+    }
+    setIsPlaying(!isPlaying)
+  }
+
+  // Format speed (stored in m/s by the Geolocation API) for display
+  const formatSpeed = (speed) => {
+    if (speed === null || speed === undefined) return 'n/a'
+    return `${Math.round(speed * 3.6 * 10) / 10} km/h`
+  }
+
+  const downloadTrack = async (device) => {
+    const from = new Date(exportFrom)
+    const to = new Date(exportTo)
+
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      toast.error('Please select a valid time range')
+      return
+    }
+
+    setIsExporting(true)
+
+    try {
+      const { data: { session } } = await supabase.auth.getSession()
+      const params = new URLSearchParams({
+        format: exportFormat,
+        from: from.toISOString(),
+        to: to.toISOString()
+      })
+
+      const response = await fetch(`/api/devices/${device.device_id}/export?${params}`, {
+        headers: { Authorization: `Bearer ${session?.access_token}` }
+      })
+
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}))
+        throw new Error(body.error || `Export failed (${response.status})`)
+      }
+
+      // Save the file using the name suggested by the server
+      const disposition = response.headers.get('Content-Disposition') || ''
+      const filename = disposition.match(/filename="(.+)"/)?.[1] || `track.${exportFormat}`
+      const url = URL.createObjectURL(await response.blob())
+      const link = document.createElement('a')
+      link.href = url
+      link.download = filename
+      link.click()
+      URL.revokeObjectURL(url)
+
+      toast.success(`Downloaded ${filename}`)
+    } catch (error) {
+      console.error('Error exporting track:', error)
+      toast.error('Error exporting track: ' + error.message)
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  const fetchUnreadAlertCount = async () => {
+    if (!user) return
+
+    const { count, error } = await supabase
+      .from('alerts')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', user.id)
+      .is('read_at', null)
+
+    if (error) {
+      console.error('Error counting unread alerts:', error)
+      return
+    }
+
+    setUnreadAlertCount(count || 0)
+  }
+
+  const fetchGeofences = async () => {
+    if (!user) return
+
+    try {
+      const { data, error } = await supabase
+        .from('geofences')
         .select('*')
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: true })
 
       if (error) {
-        console.error('Error with view, trying direct query:', error)
-        
-        const { data: locations, error: locError } = await supabase
-          .from('location_history')
-          .select(`
-            *,
-            devices!inner(
-              id,
-              device_name,
-              device_type,
-              is_online,
-              user_id
-            )
-          `)
-          .order('timestamp', { ascending: false })
-          .limit(100)
-
-        if (locError) {
-          console.error('Error fetching locations:', locError)
-          return
-        }
+        console.error('Error fetching geofences:', error)
+        return
+      }
+
+      setGeofences(data || [])
+    } catch (error) {
+      console.error('Error fetching geofences:', error)
+    }
+  }
+
+  const startGeofenceDrawing = (mode) => {
+    setPendingGeofence(null)
+    setGeofenceDrawMode(geofenceDrawMode === mode ? null : mode)
+    setCurrentTab('map')
+    // Close sidebar on mobile so the map can be drawn on
+    if (window.innerWidth < 640) {
+      setActiveSidebar(null)
+    }
+  }
+
+  const handleGeofenceDrawn = (shape) => {
+    setGeofenceDrawMode(null)
+    setPendingGeofence(shape)
+    setGeofenceName('')
+    setActiveSidebar('geofences')
+  }
+
+  const saveGeofence = async () => {
+    if (!pendingGeofence) return
+
+    if (!geofenceName.trim()) {
+      toast.error('Please enter a geofence name')
+      return
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('geofences')
+        .insert({
+          user_id: user.id,
+          name: geofenceName.trim(),
+          ...pendingGeofence
+        })
+        .select()
+        .single()
 
-        data = locations.map(loc => ({
-          device_id: loc.device_id,
-          device_name: loc.devices.device_name,
-          device_type: loc.devices.device_type,
-          is_online: loc.devices.is_online,
-          latitude: loc.latitude,
-          longitude: loc.longitude,
-          accuracy: loc.accuracy,
-          speed: loc.speed,
-          timestamp: loc.timestamp,
-          username: 'Unknown'
-        }))
+      if (error) {
+        console.error('Error saving geofence:', error)
+        toast.error('Error saving geofence: ' + error.message)
+        return
       }
 
-      console.log('Fetched device locations:', data)
-      setAllDeviceLocations(data || [])
+      setGeofences(prev => [...prev, data])
+      setPendingGeofence(null)
+      setGeofenceName('')
+      toast.success(`Geofence "${data.name}" saved`)
     } catch (error) {
-      console.error('Error fetching device locations:', error)
-      setAllDeviceLocations([])
+      console.error('Unexpected error saving geofence:', error)
+      toast.error('Unexpected error: ' + error.message)
     }
   }
 
-  const fetchAllUsers = async () => {
+  const deleteGeofence = async (geofence) => {
+    if (!window.confirm(`Delete geofence "${geofence.name}"?`)) return
+
     try {
-      const { data } = await supabase
-        .from('user_profiles')
-        .select('*')
-        .order('created_at', { ascending: false })
+      const { error } = await supabase
+        .from('geofences')
+        .delete()
+        .eq('id', geofence.id)
+
+      if (error) {
+        console.error('Error deleting geofence:', error)
+        toast.error('Error deleting geofence: ' + error.message)
+        return
+      }
 
-      setAllUsers(data || [])
+      setGeofences(prev => prev.filter(g => g.id !== geofence.id))
+      toast.success(`Geofence "${geofence.name}" deleted`)
+    } catch (error) {
+      console.error('Unexpected error deleting geofence:', error)
+      toast.error('Unexpected error: ' + error.message)
+    }
+  }
+
+  const fetchAllUsers = async () => {
+    if (!user) return
+
+    try {
+      const { users } = await fetchFromApi('/api/users')
+      setAllUsers(users)
     } catch (error) {
       console.error('Error fetching users:', error)
     }
@@ -667,21 +1354,76 @@ export default function Home() {
     }
   }
 
-  const handleSignOut = async () => {
+  const stopLocationTracking = () => {
     if (watchId) {
       navigator.geolocation.clearWatch(watchId)
       watchId = null
     }
+    clearInterval(heartbeatTimer)
+    heartbeatTimer = null
+    trackingModeRef.current = null
+    setTrackingMode(null)
+  }
+
+  // Keep the header and map in sync with edits from the My devices screen
+  const handleDeviceChanged = (device) => {
+    if (currentDevice?.id === device.id) {
+      setCurrentDevice(prev => ({ ...prev, ...device }))
+    }
+    fetchAllDeviceLocations()
+  }
+
+  const handleDeviceDeleted = async (device) => {
+    if (currentDevice?.id === device.id) {
+      stopLocationTracking()
+
+      // Fixes still queued offline would be rejected for a device that no longer exists
+      await removeQueuedLocationsForDevice(device.id).catch(error => {
+        console.error('Error clearing queued fixes:', error)
+      })
+      countQueuedLocations().then(setQueuedFixCount).catch(() => {})
+
+      // A fresh identity sends this browser back to the naming screen
+      localStorage.removeItem('deviceUUID')
+      setCurrentDevice(null)
+      setIsDeviceSetupComplete(false)
+      setDeviceName('')
+      generateOrGetDeviceUUID()
+    }
+
+    if (historyDeviceId === device.id) setHistoryDeviceId('')
+    fetchAllDeviceLocations()
+  }
+
+  // Report this browser as another device of the account, e.g. after its
+  // local storage was cleared
+  const switchToDevice = async (device) => {
+    stopLocationTracking()
+    if (currentDevice) {
+      await updateDeviceStatus(false)
+    }
+
+    localStorage.setItem('deviceUUID', device.device_token)
+    setCurrentDevice(null)
+    setIsDeviceSetupComplete(false)
+    setDeviceUUID(device.device_token)
+    setCurrentTab('map')
+  }
+
+  const handleSignOut = async () => {
+    stopLocationTracking()
     
     if (currentDevice) {
       await updateDeviceStatus(false)
     }
 
     await supabase.auth.signOut()
+    if (socket) socket.disconnect()
     setUser(null)
     setIsSignedIn(false)
     setCurrentDevice(null)
     setIsDeviceSetupComplete(false)
+    setSosEvents([])
     toast.success('Signed out successfully!')
   }
 
@@ -690,6 +1432,14 @@ export default function Home() {
     user.full_name?.toLowerCase().includes(searchTerm.toLowerCase())
   )
 
+  const sidebarHeaders = {
+    devices: { title: 'Connected Devices', subtitle: `${allDeviceLocations.length} devices online` },
+    distance: { title: 'Distance Calculator', subtitle: 'Calculate distance between devices' },
+    history: { title: 'Location History', subtitle: 'Replay where a device has been' },
+    timeline: { title: 'Daily Timeline', subtitle: 'Stops and trips, day by day' },
+    geofences: { title: 'Geofences', subtitle: 'Get notified when devices enter or leave an area' }
+  }
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-50">
@@ -784,6 +1534,15 @@ export default function Home() {
               className="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
               autoFocus
             />
+            <select
+              value={deviceType}
+              onChange={(e) => setDeviceType(e.target.value)}
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            >
+              {Object.entries(DEVICE_TYPES).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
             <button
               onClick={saveDeviceName}
               className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
@@ -791,6 +1550,25 @@ export default function Home() {
               Save Device Name
             </button>
           </div>
+          {accountDevices.length > 0 && (
+            <div className="border-t pt-4">
+              <p className="text-sm text-gray-600 mb-2">Or continue as one of your devices:</p>
+              <div className="space-y-2">
+                {accountDevices.map(device => (
+                  <button
+                    key={device.id}
+                    onClick={() => switchToDevice(device)}
+                    className="w-full flex justify-between items-center px-3 py-2 border rounded-md text-sm hover:bg-gray-50"
+                  >
+                    <span className="font-medium text-gray-900">{device.device_name}</span>
+                    <span className="text-xs text-gray-500">
+                      {device.last_seen ? `last seen ${format(new Date(device.last_seen), 'MMM d, HH:mm')}` : 'never seen'}
+                    </span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
         <Toaster position="top-right" />
       </div>
@@ -814,6 +1592,16 @@ export default function Home() {
                   <div className={`w-3 h-3 rounded-full ${isOnline && locationStatus === 'granted' ? 'bg-green-500' : 'bg-red-500'}`}></div>
                 </div>
               )}
+              {currentDevice && (
+                <button
+                  onClick={startSos}
+                  disabled={trackingMode === 'sos'}
+                  className="bg-red-600 text-white font-bold px-3 sm:px-4 py-2 rounded-full text-sm shadow-md hover:bg-red-700 disabled:opacity-60"
+                  title="Send an SOS with your location to everyone in your circles"
+                >
+                  SOS
+                </button>
+              )}
             </div>
             
             <div className="flex items-center space-x-1 sm:space-x-4">
@@ -834,6 +1622,30 @@ export default function Home() {
                 <CalculatorIcon className="w-4 h-4 sm:w-5 sm:h-5" />
               </button>
 
+              <button
+                onClick={() => toggleSidebar('history')}
+                className={`p-2 rounded-md ${activeSidebar === 'history' ? 'bg-indigo-100 text-indigo-600' : 'bg-gray-100 text-gray-600'} hover:bg-indigo-200`}
+                title="Location History"
+              >
+                <ClockIcon className="w-4 h-4 sm:w-5 sm:h-5" />
+              </button>
+
+              <button
+                onClick={() => toggleSidebar('timeline')}
+                className={`p-2 rounded-md ${activeSidebar === 'timeline' ? 'bg-emerald-100 text-emerald-600' : 'bg-gray-100 text-gray-600'} hover:bg-emerald-200`}
+                title="Daily Timeline"
+              >
+                <CalendarDaysIcon className="w-4 h-4 sm:w-5 sm:h-5" />
+              </button>
+
+              <button
+                onClick={() => toggleSidebar('geofences')}
+                className={`p-2 rounded-md ${activeSidebar === 'geofences' ? 'bg-orange-100 text-orange-600' : 'bg-gray-100 text-gray-600'} hover:bg-orange-200`}
+                title="Geofences"
+              >
+                <ViewfinderCircleIcon className="w-4 h-4 sm:w-5 sm:h-5" />
+              </button>
+
               {/* Status indicators - hidden on very small screens */}
               <div className="hidden sm:flex items-center space-x-2">
                 {!isOnline && (
@@ -848,6 +1660,23 @@ export default function Home() {
                     <span className="hidden lg:inline">No Location</span>
                   </div>
                 )}
+                {queuedFixCount > 0 && (
+                  <div className="flex items-center text-gray-600 text-sm" title="Locations recorded offline, uploaded when the connection returns">
+                    <ClockIcon className="w-4 h-4 mr-1" />
+                    <span className="hidden lg:inline">{queuedFixCount} queued</span>
+                  </div>
+                )}
+                {trackingMode === 'sos' && (
+                  <div className="flex items-center text-red-600 text-sm font-medium" title="SOS is active: every fix is sent">
+                    🆘 <span className="hidden lg:inline ml-1">SOS tracking</span>
+                  </div>
+                )}
+                {trackingMode === 'low_power' && (
+                  <div className="flex items-center text-amber-600 text-sm" title="Battery is low: location is sent less often">
+                    <BatteryIcon className="w-4 h-4 mr-1" />
+                    <span className="hidden lg:inline">Low power</span>
+                  </div>
+                )}
                 {isMovingFast && (
                   <div className="flex items-center text-blue-600 text-sm">
                     ⚡ <span className="hidden lg:inline">{Math.round(movementSpeed)} km/h</span>
@@ -870,6 +1699,51 @@ export default function Home() {
         </div>
       </header>
 
+      {/* Open SOS events: our own can be cancelled, everyone else's acknowledged */}
+      {sosEvents.length > 0 && (
+        <div className="bg-red-600 text-white">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-3 space-y-2">
+            {sosEvents.map(event => {
+              const isOwn = event.userId === user?.id
+
+              return (
+                <div key={event.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+                  <div className="flex items-center text-sm">
+                    <span className="text-xl mr-2 animate-pulse">🆘</span>
+                    <div>
+                      <p className="font-semibold">
+                        {isOwn ? `SOS active on ${event.deviceName}` : `${event.deviceName} needs help`}
+                      </p>
+                      <p className="text-red-100 text-xs">
+                        Since {format(new Date(event.startedAt), 'HH:mm')}
+                        {isOwn ? ' • Your location is shared with every fix' : ''}
+                        {!isOwn && event.escalationLevel > 0 ? ` • Unacknowledged, alerted ${event.escalationLevel + 1} times` : ''}
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex space-x-2">
+                    {!isOwn && allDeviceLocations.some(device => device.device_id === event.deviceId) && (
+                      <button
+                        onClick={() => zoomToDevice(event.deviceId)}
+                        className="bg-red-700 px-3 py-1.5 rounded-md text-sm hover:bg-red-800"
+                      >
+                        Show on map
+                      </button>
+                    )}
+                    <button
+                      onClick={() => resolveSos(event, isOwn ? 'cancel' : 'acknowledge')}
+                      className="bg-white text-red-700 font-medium px-3 py-1.5 rounded-md text-sm hover:bg-red-50"
+                    >
+                      {isOwn ? 'Cancel SOS' : 'Acknowledge'}
+                    </button>
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Location permission request - Mobile Responsive */}
       {locationStatus === 'denied' && isOnline && (
         <div className="bg-orange-50 border-b border-orange-200">
@@ -909,13 +1783,10 @@ export default function Home() {
             <div className="p-4 border-b flex justify-between items-center">
               <div>
                 <h3 className="text-lg font-medium text-gray-900">
-                  {activeSidebar === 'devices' ? 'Connected Devices' : 'Distance Calculator'}
+                  {sidebarHeaders[activeSidebar].title}
                 </h3>
                 <p className="text-sm text-gray-500">
-                  {activeSidebar === 'devices' ? 
-                    `${allDeviceLocations.length} devices online` : 
-                    'Calculate distance between devices'
-                  }
+                  {sidebarHeaders[activeSidebar].subtitle}
                 </p>
               </div>
               <button
@@ -929,54 +1800,137 @@ export default function Home() {
             {/* Devices List Content */}
             {activeSidebar === 'devices' && (
               <div className="divide-y divide-gray-200 max-h-screen sm:max-h-96 overflow-y-auto">
-                {allDeviceLocations.map((device) => {
-                  const timeDiff = (new Date() - new Date(device.timestamp)) / 1000 / 60
-                  const isRecent = timeDiff < 5
-                  const isStale = timeDiff >= 5 && timeDiff < 30
+                {/* Devices with an open SOS are pinned to the top */}
+                {[...allDeviceLocations]
+                  .sort((a, b) => sosDeviceIds.includes(b.device_id) - sosDeviceIds.includes(a.device_id))
+                  .map((device) => {
+                    const timeDiff = (new Date() - new Date(device.timestamp)) / 1000 / 60
+                    const isRecent = timeDiff < 5
+                    const isStale = timeDiff >= 5 && timeDiff < 30
+                    const isSos = sosDeviceIds.includes(device.device_id)
                   
-                  return (
-                    <div
-                      key={device.device_id}
-                      className="p-4 hover:bg-gray-50 cursor-pointer"
-                      onClick={() => zoomToDevice(device.device_id)}
-                    >
-                      <div className="flex items-center justify-between">
-                        <div className="flex items-center space-x-3">
-                          <div className={`w-3 h-3 rounded-full ${
-                            device.is_online && isRecent ? 'bg-green-500' :
-                            device.is_online && isStale ? 'bg-yellow-500' : 'bg-red-500'
-                          }`}></div>
-                          <div className="min-w-0 flex-1">
-                            <p className="text-sm font-medium text-gray-900 truncate">
-                              {device.device_name}
-                            </p>
-                            <p className="text-xs text-gray-500 truncate">
-                              {device.username} • {device.device_type}
-                            </p>
+                    return (
+                      <div
+                        key={device.device_id}
+                        className={`p-4 cursor-pointer ${isSos ? 'bg-red-50 border-l-4 border-red-600 hover:bg-red-100' : 'hover:bg-gray-50'}`}
+                        onClick={() => zoomToDevice(device.device_id)}
+                      >
+                        <div className="flex items-center justify-between">
+                          <div className="flex items-center space-x-3">
+                            <div className="relative">
+                              <Avatar url={device.avatar_url} name={device.username} size="sm" />
+                              <div className={`absolute -bottom-0.5 -right-0.5 w-3 h-3 rounded-full border-2 border-white ${
+                                device.is_online && isRecent ? 'bg-green-500' :
+                                device.is_online && isStale ? 'bg-yellow-500' : 'bg-red-500'
+                              }`}></div>
+                            </div>
+                            <div className="min-w-0 flex-1">
+                              <p className={`text-sm font-medium truncate ${isSos ? 'text-red-700' : 'text-gray-900'}`}>
+                                {isSos && '🆘 '}{device.device_name}
+                              </p>
+                              <p className="text-xs text-gray-500 truncate">
+                                {device.username} • {device.device_type}
+                              </p>
+                            </div>
+                          </div>
+                          <div className="flex items-center flex-shrink-0">
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation()
+                                setExportDeviceId(exportDeviceId === device.device_id ? null : device.device_id)
+                              }}
+                              className={`p-1 rounded ${exportDeviceId === device.device_id ? 'bg-blue-100' : 'hover:bg-gray-200'}`}
+                              title="Export track"
+                            >
+                              <ArrowDownTrayIcon className="w-4 h-4 text-gray-400" />
+                            </button>
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation()
+                                setBatteryChartDeviceId(batteryChartDeviceId === device.device_id ? null : device.device_id)
+                              }}
+                              className={`p-1 rounded ${batteryChartDeviceId === device.device_id ? 'bg-blue-100' : 'hover:bg-gray-200'}`}
+                              title="Battery history"
+                            >
+                              <BatteryIcon className="w-4 h-4 text-gray-400" />
+                            </button>
+                            <button className="p-1 hover:bg-gray-200 rounded">
+                              <EyeIcon className="w-4 h-4 text-gray-400" />
+                            </button>
                           </div>
                         </div>
-                        <button className="p-1 hover:bg-gray-200 rounded flex-shrink-0">
-                          <EyeIcon className="w-4 h-4 text-gray-400" />
-                        </button>
-                      </div>
                       
-                      <div className="mt-2 text-xs text-gray-500 space-y-1">
-                        <div>Last seen: {timeDiff < 1 ? 'Just now' : 
-                                        timeDiff < 60 ? `${Math.round(timeDiff)}m ago` :
-                                        timeDiff < 1440 ? `${Math.round(timeDiff/60)}h ago` :
-                                        `${Math.round(timeDiff/1440)}d ago`}</div>
+                        <div className="mt-2 text-xs text-gray-500 space-y-1">
+                          <div>Last seen: {timeDiff < 1 ? 'Just now' : 
+                                          timeDiff < 60 ? `${Math.round(timeDiff)}m ago` :
+                                          timeDiff < 1440 ? `${Math.round(timeDiff/60)}h ago` :
+                                          `${Math.round(timeDiff/1440)}d ago`}</div>
                         
-                        {device.speed && device.speed > 0 && (
-                          <div>Speed: {Math.round(device.speed * 10) / 10} km/h</div>
-                        )}
+                          {device.speed && device.speed > 0 && (
+                            <div>Speed: {Math.round(device.speed * 10) / 10} km/h</div>
+                          )}
+
+                          {device.battery_level !== null && device.battery_level !== undefined && (
+                            <div className={device.battery_level <= 15 && !device.is_charging ? 'text-red-600' : ''}>
+                              Battery: {device.battery_level}%{device.is_charging ? ' ⚡' : ''}
+                            </div>
+                          )}
                         
-                        <div className="truncate">
-                          📍 {parseFloat(device.latitude).toFixed(4)}, {parseFloat(device.longitude).toFixed(4)}
+                          <div className="truncate">
+                            📍 {parseFloat(device.latitude).toFixed(4)}, {parseFloat(device.longitude).toFixed(4)}
+                          </div>
                         </div>
+
+                        {batteryChartDeviceId === device.device_id && (
+                          <div className="mt-3" onClick={(e) => e.stopPropagation()}>
+                            <BatteryHistoryChart deviceId={device.device_id} />
+                          </div>
+                        )}
+
+                        {/* Track export */}
+                        {exportDeviceId === device.device_id && (
+                          <div
+                            className="mt-3 p-3 bg-gray-50 rounded-lg border space-y-2"
+                            onClick={(e) => e.stopPropagation()}
+                          >
+                            <div className="grid grid-cols-2 gap-2">
+                              <input
+                                type="datetime-local"
+                                value={exportFrom}
+                                onChange={(e) => setExportFrom(e.target.value)}
+                                className="col-span-2 border border-gray-300 rounded-md px-2 py-1 text-xs"
+                                title="From"
+                              />
+                              <input
+                                type="datetime-local"
+                                value={exportTo}
+                                onChange={(e) => setExportTo(e.target.value)}
+                                className="col-span-2 border border-gray-300 rounded-md px-2 py-1 text-xs"
+                                title="To"
+                              />
+                              <select
+                                value={exportFormat}
+                                onChange={(e) => setExportFormat(e.target.value)}
+                                className="border border-gray-300 rounded-md px-2 py-1 text-xs"
+                              >
+                                <option value="gpx">GPX</option>
+                                <option value="kml">KML</option>
+                                <option value="geojson">GeoJSON</option>
+                                <option value="csv">CSV</option>
+                              </select>
+                              <button
+                                onClick={() => downloadTrack(device)}
+                                disabled={isExporting}
+                                className="bg-blue-600 text-white rounded-md px-2 py-1 text-xs hover:bg-blue-700 disabled:opacity-50"
+                              >
+                                {isExporting ? 'Exporting...' : 'Download'}
+                              </button>
+                            </div>
+                          </div>
+                        )}
                       </div>
-                    </div>
-                  )
-                })}
+                    )
+                  })}
                 
                 {allDeviceLocations.length === 0 && (
                   <div className="p-8 text-center text-gray-500">
@@ -984,6 +1938,8 @@ export default function Home() {
                     <p>No devices online</p>
                   </div>
                 )}
+
+                <TrackerSetup user={user} />
               </div>
             )}
 
@@ -1121,6 +2077,288 @@ export default function Home() {
                     >
                       Show Both on Map
                     </button>
+
+                    <div className="p-3 bg-gray-50 rounded-lg border space-y-2">
+                      <div className="text-sm font-medium text-gray-700">Alert me when they are</div>
+                      <div className="flex items-center space-x-2">
+                        <select
+                          value={pairRuleType}
+                          onChange={(e) => setPairRuleType(e.target.value)}
+                          className="flex-1 min-w-0 border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          <option value="proximity">closer than</option>
+                          <option value="separation">further apart than</option>
+                        </select>
+                        <input
+                          type="number"
+                          min="1"
+                          value={pairRuleThreshold}
+                          onChange={(e) => setPairRuleThreshold(e.target.value)}
+                          className="w-20 border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        <span className="text-sm text-gray-500">m</span>
+                      </div>
+                      <button
+                        onClick={createPairAlertRule}
+                        className="w-full bg-gray-200 text-gray-800 py-1.5 px-4 rounded-md text-sm hover:bg-gray-300"
+                      >
+                        Create alert
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Location History Content */}
+            {activeSidebar === 'history' && (
+              <div className="p-4 space-y-4 max-h-screen overflow-y-auto">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Device</label>
+                  <select
+                    value={historyDeviceId}
+                    onChange={(e) => setHistoryDeviceId(e.target.value)}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">Select device...</option>
+                    {allDeviceLocations.map(device => (
+                      <option key={device.device_id} value={device.device_id}>
+                        {device.device_name} ({device.username})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+                  <input
+                    type="datetime-local"
+                    value={historyFrom}
+                    onChange={(e) => setHistoryFrom(e.target.value)}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+                  <input
+                    type="datetime-local"
+                    value={historyTo}
+                    onChange={(e) => setHistoryTo(e.target.value)}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+
+                <div className="flex space-x-2">
+                  <button
+                    onClick={fetchLocationHistory}
+                    disabled={isLoadingHistory}
+                    className="flex-1 bg-indigo-600 text-white py-2 px-4 rounded-md text-sm hover:bg-indigo-700 disabled:opacity-50"
+                  >
+                    {isLoadingHistory ? 'Loading...' : 'Load History'}
+                  </button>
+                  {historyPoints.length > 0 && (
+                    <button
+                      onClick={clearLocationHistory}
+                      className="bg-gray-100 text-gray-700 py-2 px-4 rounded-md text-sm hover:bg-gray-200"
+                    >
+                      Clear
+                    </button>
+                  )}
+                </div>
+
+                {historyTruncated && (
+                  <div className="p-2 bg-yellow-50 rounded-md border border-yellow-200 text-xs text-yellow-800">
+                    This range has too many fixes to play back in full; only the earliest ones are shown. Pick a shorter range to see the rest.
+                  </div>
+                )}
+
+                {filteredFixes.length > 0 && (
+                  <label className="flex items-center justify-between p-2 bg-red-50 rounded-md border border-red-200 text-xs text-red-800">
+                    <span>{filteredFixes.length} implausible fix{filteredFixes.length !== 1 ? 'es' : ''} filtered out</span>
+                    <span className="flex items-center">
+                      <input
+                        type="checkbox"
+                        checked={showFilteredFixes}
+                        onChange={(e) => setShowFilteredFixes(e.target.checked)}
+                        className="mr-1"
+                      />
+                      Show
+                    </span>
+                  </label>
+                )}
+
+                {/* Playback controls */}
+                {historyPoints.length > 0 && (
+                  <div className="mt-4 p-3 bg-indigo-50 rounded-lg border border-indigo-200 space-y-3">
+                    <div className="flex items-center justify-between">
+                      <div className="flex rounded-md overflow-hidden border border-indigo-300 text-xs">
+                        {[false, true].map(smooth => (
+                          <button
+                            key={String(smooth)}
+                            onClick={() => setSmoothHistory(smooth)}
+                            className={`px-2 py-1 ${smoothHistory === smooth ? 'bg-indigo-600 text-white' : 'bg-white text-indigo-700 hover:bg-indigo-100'}`}
+                          >
+                            {smooth ? 'Smoothed' : 'Raw'}
+                          </button>
+                        ))}
+                      </div>
+                      <span className="text-xs text-indigo-900">
+                        {(calculatePathLength(displayedHistory) / 1000).toFixed(2)} km
+                      </span>
+                    </div>
+
+                    <div className="flex items-center space-x-2">
+                      <button
+                        onClick={togglePlayback}
+                        className="p-2 rounded-full bg-indigo-600 text-white hover:bg-indigo-700 flex-shrink-0"
+                        title={isPlaying ? 'Pause' : 'Play'}
+                      >
+                        {isPlaying ? <PauseIcon className="w-4 h-4" /> : <PlayIcon className="w-4 h-4" />}
+                      </button>
+                      <input
+                        type="range"
+                        min={0}
+                        max={historyPoints.length - 1}
+                        value={playbackIndex}
+                        onChange={(e) => setPlaybackIndex(parseInt(e.target.value, 10))}
+                        className="flex-1"
+                      />
+                      <select
+                        value={playbackSpeed}
+                        onChange={(e) => setPlaybackSpeed(parseInt(e.target.value, 10))}
+                        className="border border-gray-300 rounded-md px-1 py-1 text-xs"
+                      >
+                        {[1, 2, 5, 10].map(speed => (
+                          <option key={speed} value={speed}>{speed}x</option>
+                        ))}
+                      </select>
+                    </div>
+
+                    {historyPoints[playbackIndex] && (
+                      <div className="text-xs text-indigo-900 space-y-1">
+                        <div className="font-medium">
+                          {format(new Date(historyPoints[playbackIndex].timestamp), 'MMM d, yyyy HH:mm:ss')}
+                        </div>
+                        <div>Fix {playbackIndex + 1} of {historyPoints.length}</div>
+                        <div>Speed: {formatSpeed(historyPoints[playbackIndex].speed)}</div>
+                        <div>
+                          Heading: {historyPoints[playbackIndex].heading !== null && historyPoints[playbackIndex].heading !== undefined
+                            ? `${Math.round(historyPoints[playbackIndex].heading)}°`
+                            : 'n/a'}
+                        </div>
+                        {historyPoints[playbackIndex].accuracy && (
+                          <div>Accuracy: ±{Math.round(historyPoints[playbackIndex].accuracy)}m</div>
+                        )}
+                        <div className="truncate">
+                          📍 {parseFloat(historyPoints[playbackIndex].latitude).toFixed(6)}, {parseFloat(historyPoints[playbackIndex].longitude).toFixed(6)}
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                <div className="pt-4 border-t">
+                  <TrackImport
+                    user={user}
+                    onImported={(deviceId) => {
+                      // Reload the path if the imported device is being played back
+                      if (deviceId === historyDeviceId && historyPoints.length > 0) {
+                        fetchLocationHistory()
+                      }
+                    }}
+                  />
+                </div>
+              </div>
+            )}
+
+            {/* Daily Timeline Content */}
+            {activeSidebar === 'timeline' && (
+              <div className="p-4 max-h-screen overflow-y-auto">
+                <DeviceTimeline
+                  devices={allDeviceLocations}
+                  selectedSegment={timelineSegment}
+                  onSegmentSelect={setTimelineSegment}
+                />
+              </div>
+            )}
+
+            {/* Geofences Content */}
+            {activeSidebar === 'geofences' && (
+              <div className="p-4 space-y-4 max-h-screen overflow-y-auto">
+                <div className="grid grid-cols-2 gap-2">
+                  {['circle', 'polygon'].map(mode => (
+                    <button
+                      key={mode}
+                      onClick={() => startGeofenceDrawing(mode)}
+                      className={`py-2 px-3 rounded-md text-sm capitalize ${
+                        geofenceDrawMode === mode
+                          ? 'bg-purple-600 text-white hover:bg-purple-700'
+                          : 'bg-orange-100 text-orange-700 hover:bg-orange-200'
+                      }`}
+                    >
+                      {geofenceDrawMode === mode ? 'Cancel' : `Draw ${mode}`}
+                    </button>
+                  ))}
+                </div>
+
+                {/* Name the newly drawn shape */}
+                {pendingGeofence && (
+                  <div className="p-3 bg-purple-50 rounded-lg border border-purple-200 space-y-2">
+                    <div className="text-sm font-medium text-purple-900">
+                      New {pendingGeofence.shape_type}
+                      {pendingGeofence.shape_type === 'circle' && ` (${formatDistance(pendingGeofence.radius)} radius)`}
+                    </div>
+                    <input
+                      type="text"
+                      placeholder="e.g., Home, School, Office"
+                      value={geofenceName}
+                      onChange={(e) => setGeofenceName(e.target.value)}
+                      className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+                      autoFocus
+                    />
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={saveGeofence}
+                        className="flex-1 bg-purple-600 text-white py-2 px-4 rounded-md text-sm hover:bg-purple-700"
+                      >
+                        Save
+                      </button>
+                      <button
+                        onClick={() => setPendingGeofence(null)}
+                        className="bg-gray-100 text-gray-700 py-2 px-4 rounded-md text-sm hover:bg-gray-200"
+                      >
+                        Discard
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                <div className="divide-y divide-gray-200">
+                  {geofences.map(geofence => (
+                    <div key={geofence.id} className="py-3 flex items-center justify-between">
+                      <div className="min-w-0 flex-1">
+                        <p className="text-sm font-medium text-gray-900 truncate">{geofence.name}</p>
+                        <p className="text-xs text-gray-500 capitalize">
+                          {geofence.shape_type}
+                          {geofence.shape_type === 'circle' && ` • ${formatDistance(parseFloat(geofence.radius))}`}
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => deleteGeofence(geofence)}
+                        className="p-1 hover:bg-red-100 rounded flex-shrink-0"
+                        title="Delete geofence"
+                      >
+                        <TrashIcon className="w-4 h-4 text-red-500" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+
+                {geofences.length === 0 && !pendingGeofence && (
+                  <div className="p-4 text-center text-gray-500">
+                    <ViewfinderCircleIcon className="w-12 h-12 mx-auto mb-4 text-gray-300" />
+                    <p className="text-sm">No geofences yet. Draw one on the map.</p>
                   </div>
                 )}
               </div>
@@ -1142,7 +2380,7 @@ export default function Home() {
           <div className="bg-white border-b">
             <div className="px-3 sm:px-6">
               <nav className="flex space-x-4 sm:space-x-8">
-                {['map', 'users'].map((tab) => (
+                {['map', 'devices', 'users', 'circles', 'alerts', 'webhooks', 'profile'].map((tab) => (
                   <button
                     key={tab}
                     onClick={() => setCurrentTab(tab)}
@@ -1153,8 +2391,18 @@ export default function Home() {
                     }`}
                   >
                     {tab === 'map' && <MapPinIcon className="w-4 h-4 sm:w-5 sm:h-5 inline mr-1" />}
+                    {tab === 'devices' && <DevicePhoneMobileIcon className="w-4 h-4 sm:w-5 sm:h-5 inline mr-1" />}
                     {tab === 'users' && <UserGroupIcon className="w-4 h-4 sm:w-5 sm:h-5 inline mr-1" />}
+                    {tab === 'circles' && <UserPlusIcon className="w-4 h-4 sm:w-5 sm:h-5 inline mr-1" />}
+                    {tab === 'alerts' && <BellAlertIcon className="w-4 h-4 sm:w-5 sm:h-5 inline mr-1" />}
+                    {tab === 'webhooks' && <LinkIcon className="w-4 h-4 sm:w-5 sm:h-5 inline mr-1" />}
+                    {tab === 'profile' && <UserCircleIcon className="w-4 h-4 sm:w-5 sm:h-5 inline mr-1" />}
                     <span className="hidden sm:inline">{tab}</span>
+                    {tab === 'alerts' && unreadAlertCount > 0 && (
+                      <span className="ml-1 px-1.5 py-0.5 rounded-full bg-red-500 text-white text-xs">
+                        {unreadAlertCount}
+                      </span>
+                    )}
                   </button>
                 ))}
               </nav>
@@ -1171,6 +2419,12 @@ export default function Home() {
                     {allDeviceLocations.length} devices online
                   </div>
                 </div>
+                {showHeatmap && (
+                  <HeatmapControls
+                    devices={allDeviceLocations}
+                    onLoaded={setHeatmapData}
+                  />
+                )}
                 <MapComponent 
                   ref={mapRef}
                   devices={allDeviceLocations} 
@@ -1178,15 +2432,41 @@ export default function Home() {
                   showAllDevices={true}
                   selectedDevice={selectedDevice}
                   onDeviceSelect={setSelectedDevice}
+                  historyPath={displayedHistory.length > 0 ? displayedHistory : null}
+                  playbackIndex={historyPoints.length > 0 ? playbackIndex : null}
+                  highlightedSegment={timelineSegment}
+                  filteredFixes={showFilteredFixes ? filteredFixes : []}
+                  geofences={pendingGeofence ? [...geofences, pendingGeofence] : geofences}
+                  drawMode={geofenceDrawMode}
+                  onGeofenceDrawn={handleGeofenceDrawn}
+                  heatmap={showHeatmap ? heatmapData : null}
+                  heatmapEnabled={showHeatmap}
+                  onHeatmapToggle={setShowHeatmap}
+                  distanceLineDeviceIds={distanceLineDeviceIds}
+                  sosDeviceIds={sosDeviceIds}
                 />
               </div>
             )}
 
             {/* Users Tab - Mobile Responsive */}
-            {currentTab === 'users' && (
+            {currentTab === 'users' && selectedUserId && allUsers.some(u => u.id === selectedUserId) && (
+              <UserDetail
+                profile={allUsers.find(u => u.id === selectedUserId)}
+                viewerId={user.id}
+                locations={allDeviceLocations}
+                onBack={() => setSelectedUserId(null)}
+                onShowOnMap={(deviceIds) => {
+                  setSelectedDevice(null)
+                  setMapFocusDeviceIds(deviceIds)
+                  setCurrentTab('map')
+                }}
+              />
+            )}
+
+            {currentTab === 'users' && !(selectedUserId && allUsers.some(u => u.id === selectedUserId)) && (
               <div className="space-y-4 sm:space-y-6">
                 <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center space-y-3 sm:space-y-0">
-                  <h2 className="text-lg sm:text-xl font-semibold">All Users</h2>
+                  <h2 className="text-lg sm:text-xl font-semibold">People You Share With</h2>
                   <div className="relative">
                     <MagnifyingGlassIcon className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 sm:h-5 sm:w-5 text-gray-400" />
                     <input
@@ -1202,13 +2482,13 @@ export default function Home() {
                 {/* Users Grid - Mobile Responsive */}
                 <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6">
                   {filteredUsers.map((user) => (
-                    <div key={user.id} className="bg-white p-4 sm:p-6 rounded-lg shadow-md border">
+                    <div
+                      key={user.id}
+                      onClick={() => setSelectedUserId(user.id)}
+                      className="bg-white p-4 sm:p-6 rounded-lg shadow-md border cursor-pointer hover:border-blue-300 hover:shadow-lg transition-shadow"
+                    >
                       <div className="flex items-center space-x-3 sm:space-x-4">
-                        <div className="w-10 h-10 sm:w-12 sm:h-12 bg-blue-500 rounded-full flex items-center justify-center flex-shrink-0">
-                          <span className="text-white font-medium text-sm sm:text-base">
-                            {user.username?.charAt(0)?.toUpperCase() || '?'}
-                          </span>
-                        </div>
+                        <Avatar url={user.avatar_url} name={user.username} />
                         <div className="flex-1 min-w-0">
                           <h3 className="text-base sm:text-lg font-medium truncate">{user.username}</h3>
                           {user.full_name && (
@@ -1216,6 +2496,28 @@ export default function Home() {
                           )}
                         </div>
                       </div>
+
+                      {user.bio && (
+                        <p className="mt-3 text-sm text-gray-700 line-clamp-3">{user.bio}</p>
+                      )}
+
+                      {(user.company_name || user.location || safeWebsiteUrl(user.website)) && (
+                        <div className="mt-3 text-xs text-gray-600 space-y-1">
+                          {user.company_name && <div className="truncate">🏢 {user.company_name}</div>}
+                          {user.location && <div className="truncate">📍 {user.location}</div>}
+                          {safeWebsiteUrl(user.website) && (
+                            <a
+                              href={safeWebsiteUrl(user.website)}
+                              onClick={(e) => e.stopPropagation()}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="block truncate text-blue-600 hover:text-blue-800"
+                            >
+                              {user.website.replace(/^https?:\/\//, '')}
+                            </a>
+                          )}
+                        </div>
+                      )}
                       
                       <div className="mt-3 sm:mt-4 text-xs text-gray-500">
                         Joined {format(new Date(user.created_at), 'MMM yyyy')}
@@ -1228,11 +2530,58 @@ export default function Home() {
                   <div className="text-center py-8 sm:py-12">
                     <UserGroupIcon className="mx-auto h-10 w-10 sm:h-12 sm:w-12 text-gray-400" />
                     <h3 className="mt-2 text-sm font-medium text-gray-900">No users found</h3>
-                    <p className="mt-1 text-sm text-gray-500">Try adjusting your search terms.</p>
+                    <p className="mt-1 text-sm text-gray-500">Try adjusting your search terms, or invite people from the Circles tab.</p>
                   </div>
                 )}
               </div>
             )}
+
+            {/* Alerts Tab */}
+            {currentTab === 'alerts' && (
+              <AlertsInbox
+                user={user}
+                refreshKey={alertsRefreshKey}
+                onUnreadChange={setUnreadAlertCount}
+              />
+            )}
+
+            {/* My Devices Tab */}
+            {currentTab === 'devices' && (
+              <DevicesManager
+                user={user}
+                currentDeviceId={currentDevice?.id}
+                onChanged={handleDeviceChanged}
+                onDeleted={handleDeviceDeleted}
+                onUseHere={switchToDevice}
+              />
+            )}
+
+            {/* Profile Tab */}
+            {currentTab === 'profile' && (
+              <ProfileEditor
+                user={user}
+                onSaved={() => {
+                  fetchAllUsers()
+                  fetchAllDeviceLocations()
+                }}
+              />
+            )}
+
+            {/* Webhooks Tab */}
+            {currentTab === 'webhooks' && (
+              <WebhooksManager user={user} />
+            )}
+
+            {/* Circles Tab */}
+            {currentTab === 'circles' && (
+              <CirclesManager
+                user={user}
+                onMembershipChange={() => {
+                  fetchAllDeviceLocations()
+                  fetchAllUsers()
+                }}
+              />
+            )}
           </main>
         </div>
       </div>